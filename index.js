@@ -18,16 +18,18 @@ import { getExtensionSettings } from './utils/storage.js';
 import { injectContext, clearContext, registerContextBuilder } from './utils/context-inject.js';
 import { createPopup, createTabs, closePopup } from './utils/popup.js';
 import { showToast, showConfirm, escapeHtml } from './utils/ui.js';
-import { exportAllData, importAllData, clearAllData } from './utils/storage.js';
+import { exportAllData, exportSelectedData, previewImport, applyImport, listDataEntries, getCurrentBindingKeys, clearAllData, initStorage, getStorageUsage, syncChatMetadata, carryOverBranchedChatData } from './utils/storage.js';
 import { renderTimeDividerUI, renderReadReceiptUI, renderNoContactUI, renderEventGeneratorUI, renderVoiceMemoUI, triggerQuickSend, triggerReadReceipt, triggerNoContact, triggerUserImageGenerationAndSend, triggerVoiceMemoInsertion, triggerDeletedMessage } from './modules/quick-tools/quick-tools.js';
 import { startFirstMsgTimer, renderFirstMsgSettingsUI } from './modules/firstmsg/firstmsg.js';
 import { initEmoticon, openEmoticonPopup } from './modules/emoticon/emoticon.js';
 import { initContacts, openContactsPopup, getContacts, getAppearanceTagsByName, buildAppearanceTagVariableMap, resolveAppearanceTagVariables } from './modules/contacts/contacts.js';
 import { initCall, isCallActive, onCharacterMessageRenderedForProactiveCall, openCallLogsPopup, triggerProactiveIncomingCall, requestActiveCharacterCall } from './modules/call/call.js';
-import { initWallet, openWalletPopup } from './modules/wallet/wallet.js';
+import { initWallet, openWalletPopup, trackIncomingTransferFromCharacterMessage } from './modules/wallet/wallet.js';
 import { initSns, openSnsPopup, triggerNpcPosting, triggerPendingCommentReaction, hasPendingCommentReaction } from './modules/sns/sns.js';
 import { initCalendar, openCalendarPopup } from './modules/calendar/calendar.js';
-import { initGifticon, openGifticonPopup, trackGifticonUsageFromCharacterMessage } from './modules/gifticon/gifticon.js';
+import { initGroupChat, openGroupChatPopup, isGroupRoomMessage } from './modules/groupchat/groupchat.js';
+import { initMessenger, openMessengerPopup } from './modules/messenger/messenger.js';
+import { initGifticon, openGifticonPopup, trackGifticonUsageFromCharacterMessage, trackReceivedGifticonFromCharacterMessage } from './modules/gifticon/gifticon.js';
 import { generateImageTags } from './utils/image-tag-generator.js';
 
 // 설정 키
@@ -38,6 +40,28 @@ const THEME_STORAGE_KEY = 'st-lifesim:forced-theme';
 const IMAGE_INTENT_CONTEXT_WINDOW = 4;
 const MAX_MESSENGER_IMAGES_PER_RESPONSE = 3;
 const ALWAYS_ON_MODULES = new Set(['quickTools', 'contacts']);
+const STORAGE_USAGE_MAX_CHATS = 10;
+// 저장소 사용량 표시용 모듈 키 → 이름
+const STORAGE_MODULE_LABELS = {
+    'contacts': '📋 연락처',
+    'contact-affinity': '💞 호감도',
+    'contact-relations': '🕸️ 인물 관계',
+    'group-rooms': '💬 단톡방',
+    'messenger-threads': '✉️ 메신저',
+    'user-profile': '👤 유저 프로필',
+    'call-logs': '📞 통화 기록',
+    'call-log-collapsed': '📞 통화 기록 접힘 상태',
+    'call-keywords': '📞 통화 키워드',
+    'wallet': '💰 지갑',
+    'wallet-setup-done': '💰 지갑 설정',
+    'gifticons': '🎁 기프티콘',
+    'gifticon-shop': '🛒 기프티콘 상점',
+    'calendar': '📅 캘린더',
+    'event-archive': '⚡ 사건 기록',
+    'emoticons': '😊 이모티콘',
+    'sns-feed': '📸 SNS 피드',
+    'sns-avatars': '📸 SNS 아바타',
+};
 const AI_ROUTE_DEFAULTS = {
     api: '',
     chatSource: '',
@@ -101,6 +125,9 @@ const DEFAULT_MESSAGE_TEMPLATES = {
 const DEFAULT_SETTINGS = {
     enabled: true,
     defaultBinding: 'chat',
+    // 채팅 바인딩 데이터를 채팅 메타데이터에도 저장 (채팅 파일과 함께 이동)
+    chatMetadataSync: false,
+    chatMetadataConflict: 'newer',
     modules: {
         quickTools: true,
         emoticon: true,
@@ -110,7 +137,13 @@ const DEFAULT_SETTINGS = {
         sns: true,
         calendar: true,
         gifticon: true,
+        groupchat: true,
+        messenger: true,
     },
+    // 메신저 개인 대화 요약을 메인 채팅 컨텍스트에 주입
+    messengerDigest: false,
+    // 캐릭터 메시지마다 호감도 변화를 AI로 판별 (추가 생성 호출)
+    affinityEnabled: false,
     emoticonSize: 80,   // px
     emoticonRadius: 10, // px
     imageRadius: 10, // px
@@ -215,6 +248,12 @@ function getSettings() {
     if (ext[SETTINGS_KEY].defaultBinding == null) {
         ext[SETTINGS_KEY].defaultBinding = DEFAULT_SETTINGS.defaultBinding;
     }
+    if (typeof ext[SETTINGS_KEY].chatMetadataSync !== 'boolean') {
+        ext[SETTINGS_KEY].chatMetadataSync = DEFAULT_SETTINGS.chatMetadataSync;
+    }
+    if (!['newer', 'metadata', 'local', 'ask'].includes(ext[SETTINGS_KEY].chatMetadataConflict)) {
+        ext[SETTINGS_KEY].chatMetadataConflict = DEFAULT_SETTINGS.chatMetadataConflict;
+    }
     if (ext[SETTINGS_KEY].defaultSnsImageUrl == null) {
         ext[SETTINGS_KEY].defaultSnsImageUrl = '';
     }
@@ -292,6 +331,18 @@ function getSettings() {
         if (!ext[SETTINGS_KEY].modules) ext[SETTINGS_KEY].modules = {};
         ext[SETTINGS_KEY].modules.gifticon = true;
     }
+    if (ext[SETTINGS_KEY].modules.groupchat == null) {
+        ext[SETTINGS_KEY].modules.groupchat = true;
+    }
+    if (ext[SETTINGS_KEY].modules.messenger == null) {
+        ext[SETTINGS_KEY].modules.messenger = true;
+    }
+    if (ext[SETTINGS_KEY].messengerDigest == null) {
+        ext[SETTINGS_KEY].messengerDigest = DEFAULT_SETTINGS.messengerDigest;
+    }
+    if (ext[SETTINGS_KEY].affinityEnabled == null) {
+        ext[SETTINGS_KEY].affinityEnabled = DEFAULT_SETTINGS.affinityEnabled;
+    }
     ALWAYS_ON_MODULES.forEach((moduleKey) => {
         if (!ext[SETTINGS_KEY].modules) ext[SETTINGS_KEY].modules = {};
         ext[SETTINGS_KEY].modules[moduleKey] = true;
@@ -914,6 +965,8 @@ function openMainMenuPopup() {
         { key: 'call', icon: '📞', label: '통화', action: openCallLogsPopup },
         { key: 'wallet', icon: '💰', label: '지갑', action: openWalletPopup },
         { key: 'gifticon', icon: '🎁', label: '기프티콘', action: openGifticonPopup },
+        { key: 'groupchat', icon: '💬', label: '단톡방', action: openGroupChatPopup },
+        { key: 'messenger', icon: '✉️', label: '메신저', action: openMessengerPopup },
         { key: 'sns', icon: '📸', label: 'SNS', action: openSnsPopup },
         { key: 'calendar', icon: '📅', label: '캘린더', action: openCalendarPopup },
         { key: null, icon: '⚙️', label: '설정', action: openSettingsPanel },
@@ -1029,23 +1082,7 @@ function openSettingsPanel(onBack) {
         const exportBtn = document.createElement('button');
         exportBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
         exportBtn.textContent = '📤 내보내기';
-        exportBtn.onclick = () => {
-            try {
-                const json = exportAllData();
-                const blob = new Blob([json], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `st-lifesim-backup-${new Date().toISOString().slice(0, 10)}.json`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                showToast('데이터 내보내기 완료', 'success');
-            } catch (e) {
-                showToast('내보내기 실패: ' + e.message, 'error');
-            }
-        };
+        exportBtn.onclick = () => openBackupExportDialog();
 
         const importInput = document.createElement('input');
         importInput.type = 'file';
@@ -1056,8 +1093,7 @@ function openSettingsPanel(onBack) {
             if (!file) return;
             try {
                 const text = await file.text();
-                importAllData(text);
-                showToast('데이터 가져오기 완료. 페이지를 새로고침하세요.', 'success', 4000);
+                openImportPreviewDialog(previewImport(text));
             } catch (err) {
                 showToast('가져오기 실패: ' + err.message, 'error');
             }
@@ -1074,6 +1110,9 @@ function openSettingsPanel(onBack) {
         dataBtnRow.appendChild(importInput);
         wrapper.appendChild(dataBtnRow);
 
+        wrapper.appendChild(buildChatMetadataSyncSection());
+        wrapper.appendChild(buildStorageUsageSection());
+
         wrapper.appendChild(Object.assign(document.createElement('hr'), { className: 'slm-hr' }));
 
         // ── 확률 설정 (기존 확률 탭에서 통합) ──
@@ -1141,7 +1180,7 @@ function openSettingsPanel(onBack) {
         resetBtn.onclick = async () => {
             const confirmed = await showConfirm('진짜 초기화하시겠습니까?', '예', '아니오');
             if (!confirmed) return;
-            clearAllData();
+            await clearAllData();
             localStorage.removeItem(THEME_STORAGE_KEY);
             const ext = getExtensionSettings();
             if (ext && ext[SETTINGS_KEY]) {
@@ -1156,6 +1195,121 @@ function openSettingsPanel(onBack) {
         return wrapper;
     }
 
+    // 채팅 메타데이터 동기화 (지갑·통화 기록·사건 기록·캘린더를 채팅 파일에도 저장)
+    function buildChatMetadataSyncSection() {
+        const section = document.createElement('div');
+        section.className = 'slm-storage-usage';
+
+        const syncLbl = document.createElement('label');
+        syncLbl.className = 'slm-toggle-label';
+        const syncChk = document.createElement('input');
+        syncChk.type = 'checkbox';
+        syncChk.checked = settings.chatMetadataSync === true;
+        syncLbl.append(syncChk, document.createTextNode(' 채팅 파일에 함께 저장 (지갑·통화 기록·사건 기록·캘린더)'));
+        section.appendChild(syncLbl);
+        section.appendChild(Object.assign(document.createElement('div'), {
+            className: 'slm-desc',
+            textContent: '채팅 메타데이터에 저장해 다른 기기에서 같은 채팅을 열어도 데이터가 따라옵니다. 캘린더는 저장 범위가 채팅일 때만 적용됩니다.',
+        }));
+
+        const conflictRow = document.createElement('div');
+        conflictRow.className = 'slm-input-row';
+        conflictRow.appendChild(Object.assign(document.createElement('div'), { className: 'slm-label', textContent: '충돌 시' }));
+        const conflictSelect = document.createElement('select');
+        conflictSelect.className = 'slm-select';
+        [
+            { value: 'newer', label: '최근 수정된 쪽 사용' },
+            { value: 'metadata', label: '채팅 파일 우선' },
+            { value: 'local', label: '브라우저 우선' },
+            { value: 'ask', label: '매번 묻기' },
+        ].forEach(({ value, label }) => conflictSelect.appendChild(new Option(label, value)));
+        conflictSelect.value = settings.chatMetadataConflict;
+        conflictSelect.disabled = !syncChk.checked;
+        conflictSelect.onchange = () => {
+            settings.chatMetadataConflict = conflictSelect.value;
+            saveSettings();
+        };
+        conflictRow.appendChild(conflictSelect);
+        section.appendChild(conflictRow);
+
+        syncChk.onchange = async () => {
+            settings.chatMetadataSync = syncChk.checked;
+            conflictSelect.disabled = !syncChk.checked;
+            saveSettings();
+            if (!syncChk.checked) return;
+            try {
+                const { adopted, pushed } = await syncChatMetadata();
+                showToast(`채팅 파일 동기화 완료 (가져옴 ${adopted.length}, 기록 ${pushed.length})`, 'success');
+            } catch (e) {
+                showToast('채팅 파일 동기화 실패: ' + e.message, 'error');
+            }
+        };
+        return section;
+    }
+
+    // 저장소 사용량 (모듈별 / 채팅별)
+    function buildStorageUsageSection() {
+        const section = document.createElement('div');
+        section.className = 'slm-storage-usage';
+
+        const header = document.createElement('div');
+        header.className = 'slm-input-row';
+        const usageTitle = Object.assign(document.createElement('div'), { className: 'slm-label', textContent: '📊 저장소 사용량' });
+        usageTitle.style.fontWeight = '600';
+        const refreshBtn = document.createElement('button');
+        refreshBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+        refreshBtn.textContent = '🔄';
+        refreshBtn.title = '새로고침';
+        header.append(usageTitle, refreshBtn);
+        section.appendChild(header);
+
+        const body = document.createElement('div');
+        section.appendChild(body);
+
+        const renderRows = (title, entries, labelFn) => {
+            if (entries.length === 0) return;
+            body.appendChild(Object.assign(document.createElement('div'), { className: 'slm-desc slm-storage-usage-heading', textContent: title }));
+            entries.forEach(([key, size]) => {
+                const row = document.createElement('div');
+                row.className = 'slm-storage-usage-row';
+                row.innerHTML = `<span class="slm-storage-usage-name">${escapeHtml(labelFn(key))}</span><span class="slm-storage-usage-size">${escapeHtml(formatBytes(size))}</span>`;
+                body.appendChild(row);
+            });
+        };
+
+        const render = async () => {
+            body.innerHTML = '<div class="slm-desc">계산 중...</div>';
+            try {
+                const usage = await getStorageUsage();
+                body.innerHTML = '';
+                const backendLabel = usage.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage (IndexedDB 사용 불가)';
+                const quotaText = usage.quota ? ` · 브라우저 전체 ${formatBytes(usage.usage ?? 0)} / ${formatBytes(usage.quota)}` : '';
+                body.appendChild(Object.assign(document.createElement('div'), {
+                    className: 'slm-desc',
+                    textContent: `${backendLabel} · 라이프심 ${formatBytes(usage.total)}${quotaText}`,
+                }));
+                const byModule = Object.entries(usage.byModule).sort((a, b) => b[1] - a[1]);
+                renderRows('모듈별', byModule, key => STORAGE_MODULE_LABELS[key] ? `${STORAGE_MODULE_LABELS[key]} (${key})` : key);
+                const currentChatKey = `chat:${getContext()?.chatId ?? ''}`;
+                const byChat = Object.entries(usage.byBinding)
+                    .filter(([key]) => key.startsWith('chat:'))
+                    .sort((a, b) => b[1] - a[1])
+                    .slice(0, STORAGE_USAGE_MAX_CHATS);
+                renderRows('채팅별', byChat, key => `${key.slice('chat:'.length)}${key === currentChatKey ? ' (현재 채팅)' : ''}`);
+                const otherBindings = Object.entries(usage.byBinding)
+                    .filter(([key]) => !key.startsWith('chat:'))
+                    .sort((a, b) => b[1] - a[1]);
+                renderRows('캐릭터별 / 전역', otherBindings, key => (key === 'global' ? '전역' : key));
+            } catch (e) {
+                body.innerHTML = '';
+                body.appendChild(Object.assign(document.createElement('div'), { className: 'slm-desc', textContent: `사용량 계산 실패: ${e.message}` }));
+            }
+        };
+        refreshBtn.onclick = () => { void render(); };
+        void render();
+        return section;
+    }
+
     // ─────────────────────────────────────────
     // 탭 2: 모듈 관리
     // ─────────────────────────────────────────
@@ -1170,6 +1324,8 @@ function openSettingsPanel(onBack) {
             { key: 'call', label: '📞 통화 기록' },
             { key: 'wallet', label: '💰 지갑' },
             { key: 'gifticon', label: '🎁 기프티콘' },
+            { key: 'groupchat', label: '💬 단톡방' },
+            { key: 'messenger', label: '✉️ 메신저' },
             { key: 'sns', label: '📸 SNS' },
             { key: 'calendar', label: '📅 캘린더' },
         ];
@@ -1198,6 +1354,48 @@ function openSettingsPanel(onBack) {
             wrapper.appendChild(row);
         });
 
+        // 호감도 자동 판별
+        const affinityRow = document.createElement('div');
+        affinityRow.className = 'slm-settings-row';
+        affinityRow.style.marginTop = '8px';
+        const affinityLbl = document.createElement('label');
+        affinityLbl.className = 'slm-toggle-label';
+        const affinityChk = document.createElement('input');
+        affinityChk.type = 'checkbox';
+        affinityChk.checked = settings.affinityEnabled === true;
+        affinityChk.onchange = () => {
+            settings.affinityEnabled = affinityChk.checked;
+            saveSettings();
+        };
+        affinityLbl.append(affinityChk, document.createTextNode(' 💞 캐릭터 메시지로 호감도 자동 판별'));
+        affinityRow.appendChild(affinityLbl);
+        wrapper.appendChild(affinityRow);
+        wrapper.appendChild(Object.assign(document.createElement('div'), {
+            className: 'slm-desc',
+            textContent: '감정 표현이 있거나 다른 연락처가 언급된 메시지마다 AI 생성을 한 번 더 호출합니다.',
+        }));
+
+        // 메신저 개인 대화 요약 주입
+        const digestRow = document.createElement('div');
+        digestRow.className = 'slm-settings-row';
+        digestRow.style.marginTop = '8px';
+        const digestLbl = document.createElement('label');
+        digestLbl.className = 'slm-toggle-label';
+        const digestChk = document.createElement('input');
+        digestChk.type = 'checkbox';
+        digestChk.checked = settings.messengerDigest === true;
+        digestChk.onchange = () => {
+            settings.messengerDigest = digestChk.checked;
+            saveSettings();
+        };
+        digestLbl.append(digestChk, document.createTextNode(' ✉️ 메신저 최근 대화 요약을 메인 채팅에 주입'));
+        digestRow.appendChild(digestLbl);
+        wrapper.appendChild(digestRow);
+        wrapper.appendChild(Object.assign(document.createElement('div'), {
+            className: 'slm-desc',
+            textContent: '최근 개인 대화 몇 개를 요약해 넣습니다. {{char}}는 그럴 법한 경우에만 내용을 아는 것으로 안내됩니다.',
+        }));
+
         return wrapper;
     }
 
@@ -2568,7 +2766,7 @@ function openSettingsPanel(onBack) {
             { key: 'voiceMemoAiPrompt', label: '🤖 AI 음성메시지 생성 프롬프트', hint: '{charName}: 캐릭터 이름', rows: 4 },
             { key: 'readReceipt', label: '👻 읽씹 프롬프트', hint: '{charName}: 캐릭터 이름 ({{user}}, {{char}} 사용 가능)', rows: 3 },
             { key: 'noContact', label: '📵 연락 안 됨 프롬프트', hint: '{charName}: 캐릭터 이름 ({{user}} 사용 가능)', rows: 3 },
-            { key: 'gifticonSend', label: '🎁 기프티콘 전송', hint: '{emoji}, {senderName}, {recipient}, {name}, {valuePart}, {memoPart}', rows: 4 },
+            { key: 'gifticonSend', label: '🎁 기프티콘 전송', hint: '{card}, {emoji}, {senderName}, {recipient}, {name}, {valuePart}, {memoPart}', rows: 4 },
         ];
         templateDefs.forEach(({ key, label, hint, rows = 2 }) => {
             const group = document.createElement('div');
@@ -2657,6 +2855,266 @@ function openSettingsPanel(onBack) {
     });
 }
 
+/**
+ * 모듈 키를 표시용 이름으로 바꾼다
+ * @param {string} module
+ * @returns {string}
+ */
+function getStorageModuleLabel(module) {
+    return STORAGE_MODULE_LABELS[module] ? `${STORAGE_MODULE_LABELS[module]} (${module})` : module;
+}
+
+/**
+ * 바인딩 키를 표시용 이름으로 바꾼다 (현재 채팅/캐릭터는 따로 표시)
+ * @param {string} bindingKey
+ * @returns {string}
+ */
+function getBindingKeyLabel(bindingKey) {
+    const current = getCurrentBindingKeys();
+    if (bindingKey === current.chat) return '현재 채팅';
+    if (bindingKey === current.character) return '현재 캐릭터';
+    if (bindingKey === 'global') return '전역';
+    if (bindingKey.startsWith('chat:')) return `다른 채팅 (${bindingKey.slice('chat:'.length)})`;
+    if (bindingKey.startsWith('char:')) return `다른 캐릭터 (${bindingKey.slice('char:'.length)})`;
+    return bindingKey;
+}
+
+/**
+ * JSON 문자열을 파일로 내려받는다
+ * @param {string} json
+ * @param {string} filename
+ */
+function downloadJson(json, filename) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 체크박스 라벨 행을 만든다
+ * @param {string} text
+ * @param {boolean} checked
+ * @returns {{row: HTMLElement, input: HTMLInputElement}}
+ */
+function createCheckboxRow(text, checked) {
+    const row = document.createElement('label');
+    row.className = 'slm-toggle-label';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    row.append(input, document.createTextNode(text));
+    return { row, input };
+}
+
+/**
+ * 선택 백업(내보내기) 다이얼로그를 연다
+ * 현재 채팅·현재 캐릭터·전역 범위에서 모듈을 골라 내보내거나, 전체 데이터를 내보낼 수 있다
+ */
+function openBackupExportDialog() {
+    const current = getCurrentBindingKeys();
+    const scopeKeys = new Set(Object.values(current));
+    const entries = listDataEntries().filter(entry => scopeKeys.has(entry.bindingKey));
+    const sizeByModule = {};
+    entries.forEach(entry => { sizeByModule[entry.module] = (sizeByModule[entry.module] || 0) + entry.size; });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form slm-backup-dialog';
+
+    const bindingTitle = Object.assign(document.createElement('div'), { className: 'slm-label', textContent: '범위' });
+    bindingTitle.style.fontWeight = '600';
+    wrapper.appendChild(bindingTitle);
+    const bindingInputs = {};
+    [
+        { key: 'chat', label: '이 채팅' },
+        { key: 'character', label: '이 캐릭터' },
+        { key: 'global', label: '전역' },
+    ].forEach(({ key, label }) => {
+        const { row, input } = createCheckboxRow(label, true);
+        bindingInputs[key] = input;
+        wrapper.appendChild(row);
+    });
+
+    const moduleTitle = Object.assign(document.createElement('div'), { className: 'slm-label', textContent: '모듈' });
+    moduleTitle.style.fontWeight = '600';
+    wrapper.appendChild(moduleTitle);
+    const moduleInputs = {};
+    const modules = Object.keys(sizeByModule).sort();
+    if (modules.length === 0) {
+        wrapper.appendChild(Object.assign(document.createElement('div'), { className: 'slm-desc', textContent: '현재 범위에 저장된 데이터가 없습니다.' }));
+    }
+    modules.forEach(module => {
+        const { row, input } = createCheckboxRow(`${getStorageModuleLabel(module)} · ${formatBytes(sizeByModule[module])}`, true);
+        moduleInputs[module] = input;
+        wrapper.appendChild(row);
+    });
+
+    const { row: uiRow, input: uiInput } = createCheckboxRow('UI 설정 포함 (테마·사운드 프리셋 등)', false);
+    wrapper.appendChild(uiRow);
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const allBtn = document.createElement('button');
+    allBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+    allBtn.textContent = '전체 백업 (모든 채팅·캐릭터)';
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    exportBtn.textContent = '📤 선택 항목 내보내기';
+    footer.append(allBtn, exportBtn);
+
+    const { close } = createPopup({
+        id: 'backup-export',
+        title: '📤 데이터 내보내기',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    allBtn.onclick = () => {
+        try {
+            downloadJson(exportAllData(), `st-lifesim-backup-${date}.json`);
+            showToast('데이터 내보내기 완료', 'success');
+            close();
+        } catch (e) {
+            showToast('내보내기 실패: ' + e.message, 'error');
+        }
+    };
+    exportBtn.onclick = () => {
+        const selectedModules = modules.filter(m => moduleInputs[m].checked);
+        const selectedBindings = Object.keys(bindingInputs).filter(b => bindingInputs[b].checked);
+        if ((selectedModules.length === 0 || selectedBindings.length === 0) && !uiInput.checked) {
+            showToast('내보낼 모듈과 범위를 선택해주세요.', 'warn');
+            return;
+        }
+        try {
+            const json = exportSelectedData({ modules: selectedModules, bindings: selectedBindings, includeUiSettings: uiInput.checked });
+            downloadJson(json, `st-lifesim-backup-partial-${date}.json`);
+            showToast('선택한 데이터 내보내기 완료', 'success');
+            close();
+        } catch (e) {
+            showToast('내보내기 실패: ' + e.message, 'error');
+        }
+    };
+}
+
+/**
+ * 가져오기 미리보기 다이얼로그를 연다
+ * 모듈별로 덮어쓸 항목과 형태 검사 결과를 보여주고, 교체/병합/건너뛰기를 고르게 한다
+ * @param {ReturnType<typeof previewImport>} preview
+ */
+function openImportPreviewDialog(preview) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form slm-backup-dialog';
+    wrapper.appendChild(Object.assign(document.createElement('div'), {
+        className: 'slm-desc',
+        textContent: '병합은 같은 ID 항목을 백업 값으로 바꾸고 나머지는 유지합니다. 형태 검사에 실패한 항목은 가져오지 않습니다.',
+    }));
+
+    const byModule = new Map();
+    preview.entries.forEach(entry => {
+        if (!byModule.has(entry.module)) byModule.set(entry.module, []);
+        byModule.get(entry.module).push(entry);
+    });
+
+    const modeSelects = {};
+    [...byModule.keys()].sort().forEach(module => {
+        const moduleEntries = byModule.get(module);
+        const block = document.createElement('div');
+        block.className = 'slm-backup-module';
+
+        const header = document.createElement('div');
+        header.className = 'slm-input-row';
+        const title = Object.assign(document.createElement('div'), { className: 'slm-label', textContent: getStorageModuleLabel(module) });
+        title.style.fontWeight = '600';
+        const select = document.createElement('select');
+        select.className = 'slm-select slm-backup-mode';
+        [
+            { value: 'replace', label: '교체' },
+            { value: 'merge', label: '병합' },
+            { value: 'skip', label: '건너뛰기' },
+        ].forEach(({ value, label }) => select.appendChild(new Option(label, value)));
+        const hasValid = moduleEntries.some(entry => entry.valid);
+        select.value = hasValid ? 'replace' : 'skip';
+        select.disabled = !hasValid;
+        modeSelects[module] = select;
+        header.append(title, select);
+        block.appendChild(header);
+
+        moduleEntries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'slm-storage-usage-row';
+            let status;
+            if (!entry.valid) status = `⚠️ ${entry.error || '형식 오류'}`;
+            else if (entry.exists) status = '덮어씀';
+            else status = '새로 추가';
+            if (entry.valid && entry.upgraded) status += ' · 이전 버전 변환';
+            row.innerHTML = `<span class="slm-storage-usage-name">${escapeHtml(getBindingKeyLabel(entry.bindingKey))}</span><span class="slm-backup-status${entry.valid ? '' : ' slm-backup-status-error'}">${escapeHtml(status)}</span>`;
+            block.appendChild(row);
+        });
+        wrapper.appendChild(block);
+    });
+
+    let uiInput = null;
+    if (preview.uiEntries.length > 0) {
+        const uiCheckbox = createCheckboxRow(`UI 설정 ${preview.uiEntries.length}건 가져오기 (테마·사운드 프리셋 등)`, true);
+        uiInput = uiCheckbox.input;
+        wrapper.appendChild(uiCheckbox.row);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+    cancelBtn.textContent = '취소';
+    const importBtn = document.createElement('button');
+    importBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    importBtn.textContent = '📥 가져오기';
+    footer.append(cancelBtn, importBtn);
+
+    const { close } = createPopup({
+        id: 'backup-import',
+        title: '📥 가져오기 미리보기',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    importBtn.onclick = async () => {
+        const modes = {};
+        Object.entries(modeSelects).forEach(([module, select]) => { modes[module] = select.value; });
+        importBtn.disabled = true;
+        try {
+            const { replaced, merged, skipped } = await applyImport(preview, modes, { includeUiSettings: uiInput?.checked ?? false });
+            const skippedNote = skipped > 0 ? `, 건너뜀 ${skipped}` : '';
+            showToast(`가져오기 완료 (교체 ${replaced}, 병합 ${merged}${skippedNote}). 페이지를 새로고침하세요.`, 'success', 4000);
+            close();
+        } catch (e) {
+            importBtn.disabled = false;
+            showToast('가져오기 실패: ' + e.message, 'error');
+        }
+    };
+}
+
+/**
+ * 바이트 수를 읽기 쉬운 단위로 변환한다
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    const n = Math.max(0, Number(bytes) || 0);
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
 /**
  * 설정을 저장한다
  */
@@ -3360,6 +3818,9 @@ async function init() {
 
     const settings = getSettings();
 
+    // 모듈 데이터 저장소 준비 (IndexedDB 로드 + localStorage 이전)
+    try { await initStorage(); } catch (e) { console.error('[ST-LifeSim] 저장소 초기화 오류:', e); }
+
     // 이모티콘 모서리 반경 CSS 변수 적용
     document.documentElement.style.setProperty('--slm-emoticon-radius', (settings.emoticonRadius ?? 10) + 'px');
     document.documentElement.style.setProperty('--slm-image-radius', (settings.imageRadius ?? 10) + 'px');
@@ -3392,6 +3853,8 @@ async function init() {
         { key: 'sns', fn: initSns },
         { key: 'calendar', fn: initCalendar },
         { key: 'gifticon', fn: initGifticon },
+        { key: 'groupchat', fn: initGroupChat },
+        { key: 'messenger', fn: initMessenger },
     ];
     for (const { key, fn } of moduleInits) {
         if (isModuleEnabled(key)) {
@@ -3423,6 +3886,7 @@ async function init() {
 
     const refreshContextAndInjection = async () => {
         if (!isEnabled()) return;
+        await syncChatMetadata().catch(e => console.error('[ST-LifeSim] 채팅 메타데이터 동기화 오류:', e));
         await injectContext().catch(e => console.error('[ST-LifeSim] 컨텍스트 주입 오류:', e));
         try { updateMessageImageInjection(); } catch (e) { console.error('[ST-LifeSim] 이미지 프롬프트 재주입 오류:', e); }
     };
@@ -3433,7 +3897,16 @@ async function init() {
 
     // 채팅/캐릭터 전환 시 컨텍스트를 즉시 갱신
     if (evSrc && eventTypes?.CHAT_CHANGED) {
-        evSrc.on(eventTypes.CHAT_CHANGED, refreshContextAndInjection);
+        evSrc.on(eventTypes.CHAT_CHANGED, async () => {
+            // 분기·복제된 채팅이면 원본 채팅의 라이프심 데이터를 먼저 옮겨 온다
+            try {
+                const carried = await carryOverBranchedChatData();
+                if (carried) showToast(`분기된 채팅에 라이프심 데이터를 복사했습니다 (${carried.modules.length}개 항목)`, 'info', 2500);
+            } catch (e) {
+                console.error('[ST-LifeSim] 분기 채팅 데이터 복사 오류:', e);
+            }
+            await refreshContextAndInjection();
+        });
     }
     if (evSrc && eventTypes?.CHARACTER_CHANGED) {
         evSrc.on(eventTypes.CHARACTER_CHANGED, refreshContextAndInjection);
@@ -3443,11 +3916,18 @@ async function init() {
     }
     void refreshContextAndInjection();
 
+    // 단톡방에서 채팅창으로 올린 메시지는 1:1 대화가 아니므로 자동 감지·트리거를 건너뛴다
+    const isLatestGroupRoomMessage = () => {
+        const chat = getContext()?.chat || [];
+        return isGroupRoomMessage(chat[chat.length - 1]);
+    };
+
     // 유저 메시지 전송 시 설정된 확률로 SNS 포스팅 트리거
     if (evSrc && eventTypes?.MESSAGE_SENT) {
         let snsTriggerInFlight = false;
         let snsReactionInFlight = false;
         evSrc.on(eventTypes.MESSAGE_SENT, () => {
+            if (isLatestGroupRoomMessage()) return;
             if (isModuleEnabled('sns')) {
                 const prob = (getSettings().snsPostingProbability ?? 10) / 100;
                 if (!snsTriggerInFlight && Math.random() < prob) {
@@ -3475,9 +3955,15 @@ async function init() {
 
     if (evSrc && eventTypes?.CHARACTER_MESSAGE_RENDERED) {
         evSrc.on(eventTypes.CHARACTER_MESSAGE_RENDERED, async () => {
+            if (isLatestGroupRoomMessage()) return;
             onCharacterMessageRenderedForProactiveCall();
             trackGifticonUsageFromCharacterMessage();
+            if (isModuleEnabled('wallet')) trackIncomingTransferFromCharacterMessage();
             await applyCharacterImageDisplayMode().catch((e) => console.error('[ST-LifeSim] 이미지 표시 모드 적용 오류:', e));
+            // 이미지 치환이 메시지 본문을 다시 쓰므로, 마커를 붙이는 기프티콘 감지는 그 뒤에 실행한다
+            if (isModuleEnabled('gifticon')) {
+                await trackReceivedGifticonFromCharacterMessage().catch((e) => console.error('[ST-LifeSim] 받은 기프티콘 감지 오류:', e));
+            }
         });
     }
 
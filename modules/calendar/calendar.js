@@ -1,42 +1,416 @@
 /**
  * calendar.js
  * 일정 캘린더 모듈
- * - 1~30일 순환 달력 (롤플레이용, 현실 날짜 미사용)
- * - 오늘 날짜 수동 설정 및 앞뒤 이동
- * - 일정 추가/편집/삭제
- * - 컨텍스트에 오늘/예정 일정 주입
+ * - 롤플레이 세계의 현재 날짜·시각(인월드 시계)을 실제 달력 날짜로 관리
+ * - 시간 구분선(퀵 도구)으로 시계를 앞으로 진행, 캘린더에서 직접 설정
+ * - 일정 추가/편집/삭제 (날짜·시간 기준), 반복 일정(매일/매주/매월/매년)
+ * - 인월드 날짜가 넘어가면 미리 알림 토스트, 지난 미완료 일정은 '놓침' 처리
+ * - 컨텍스트에 현재 인월드 시각, 예정 일정, 알림, 놓친 일정 주입
+ * - iCalendar(.ics) 파일로 일정 내보내기/가져오기
+ * - 최근 대화와 기존 일정을 보고 일정 추가/변경/취소/완료를 자동 반영
  */
 
 import { getContext } from '../../utils/st-context.js';
-import { loadData, saveData, getDefaultBinding } from '../../utils/storage.js';
+import { loadData, saveData, getDefaultBinding, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
 import { showToast, escapeHtml, generateId } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
 import { getContacts } from '../contacts/contacts.js';
+import { isGroupRoomMessage } from '../groupchat/groupchat.js';
 
 const MODULE_KEY = 'calendar';
 let lastAutoScheduleSignature = '';
 let autoScheduleListenerRegistered = false;
-const MIN_AUTO_DAY_OFFSET = 1;
-const MAX_AUTO_DAY_OFFSET = 5;
+// 인월드 날짜가 바뀔 때 호출할 다른 모듈의 리스너 (예: 지갑 정기 거래)
+const dayChangeListeners = [];
+// 자동 판별로 추가·변경할 수 있는 날짜 범위 (오늘 기준 일수)
+const MIN_AUTO_DAY_OFFSET = 0;
+const MAX_AUTO_DAY_OFFSET = 60;
 const MAX_SIGNATURE_TEXT_LENGTH = 180;
+// 자동 판별에 넘길 최근 메시지 수와 기존 일정 범위
+const AUTO_SCHEDULE_MESSAGE_COUNT = 4;
+const AUTO_SCHEDULE_PAST_DAYS = 7;
+const AUTO_SCHEDULE_FUTURE_DAYS = 60;
+const AUTO_SCHEDULE_MAX_EVENTS = 20;
+const UPCOMING_CONTEXT_DAYS = 7;
+// 시계를 처음 만들 때의 기본 시각 (현실 오늘 날짜의 이 시각)
+const DEFAULT_START_HOUR = 9;
+// 1~30일 순환 캘린더를 실제 날짜로 옮길 때의 기준 (순환 1일 = 이 날짜)
+// 언제 마이그레이션해도 같은 날짜가 나오도록 현실 날짜 대신 고정값을 쓴다
+const LEGACY_DAY_EPOCH = { year: 2025, month: 0, day: 1 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS_KO = ['일', '월', '화', '수', '목', '금', '토'];
+const WEEKDAYS_EN = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// 반복 주기 (value → 표시 이름)
+const REPEAT_OPTIONS = [
+    { value: 'none', label: '반복 없음' },
+    { value: 'daily', label: '매일' },
+    { value: 'weekly', label: '매주' },
+    { value: 'monthly', label: '매월' },
+    { value: 'yearly', label: '매년' },
+];
+// 미리 알림 (일정 며칠 전부터 알릴지, 빈 값은 알림 없음)
+const REMINDER_OPTIONS = [
+    { value: '', label: '알림 없음' },
+    { value: '0', label: '당일' },
+    { value: '1', label: '1일 전' },
+    { value: '3', label: '3일 전' },
+    { value: '7', label: '7일 전' },
+];
+// 반복 일정에서 기억해 둘 놓친 날짜 수
+const MAX_MISSED_DATES = 5;
+// 다음 반복 날짜를 찾을 때 살펴볼 최대 일수 (매년 반복도 포함되도록)
+const MAX_OCCURRENCE_SCAN_DAYS = 400;
+// iCalendar 변환 설정
+const ICS_PRODID = '-//ST-LifeSim//Calendar//KO';
+const ICS_UID_SUFFIX = '@st-lifesim';
+const ICS_CONTACT_PROP = 'X-ST-LIFESIM-CONTACT-ID';
+// 해석하지 못한 원본 RRULE을 보관해 다시 내보낼 때 쓰는 속성
+const ICS_ORIGINAL_RRULE_PROP = 'X-ST-LIFESIM-RRULE';
+const ICS_MAX_LINE_OCTETS = 75;
+// RRULE FREQ ↔ 반복 주기
+const ICS_FREQ_TO_REPEAT = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly', YEARLY: 'yearly' };
 const SCHEDULE_ACTION_RE = /(만나|보자|보기로|약속|예약|갈게|가자|보기야|보는거야|보기로해)/;
 const SCHEDULE_TIME_RE = /(오늘|내일|모레|이번\s*주|다음\s*주|월요일|화요일|수요일|목요일|금요일|토요일|일요일|\d+\s*시)/;
+// 기존 일정의 변경·취소·완료를 암시하는 표현
+const SCHEDULE_CHANGE_RE = /(미루|미뤄|옮기|옮겨|바꾸|바꿔|변경|연기|취소|못\s*가|못\s*만나|다음에\s*보|다녀왔|끝났|마쳤|reschedul|postpone|cancel)/;
 
 /**
- * 기본 캘린더 데이터
+ * @typedef {Object} CalendarEvent
+ * @property {string} id
+ * @property {string} date - 인월드 날짜 'YYYY-MM-DD' (반복 일정은 다음 회차 날짜)
+ * @property {string} time - 'HH:MM' 또는 빈 문자열
+ * @property {string} title
+ * @property {string} description
+ * @property {string} relatedContactId
+ * @property {boolean} done
+ * @property {'none'|'daily'|'weekly'|'monthly'|'yearly'} repeat
+ * @property {string} [startDate] - 반복 기준 날짜 (매월/매년 반복의 기준 일자)
+ * @property {number|null} reminderDays - 며칠 전부터 알릴지 (null이면 알림 없음)
+ * @property {boolean} reminderPrompt - 알림을 프롬프트에도 주입할지 여부
+ * @property {string} [remindedFor] - 마지막으로 알린 회차 날짜
+ * @property {boolean} missed - 지나갔는데 완료되지 않은 일정 (반복 없음)
+ * @property {string[]} [missedDates] - 놓친 회차 날짜 목록 (반복 일정)
+ * @property {boolean} [addedByAi]
+ * @property {number} [chatLength] - 등록 시점의 채팅 메시지 수
+ * @property {string} [icsRrule] - .ics에서 가져왔지만 해석하지 못한 원본 RRULE
  */
-const DEFAULT_CALENDAR = {
-    today: 1,
-    events: [],
-};
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 오늘 날짜를 숫자로 보정하고 ID 없는 일정에 ID를 부여한다
+        (data) => {
+            const cal = { today: 1, events: [], ...(data && typeof data === 'object' ? data : {}) };
+            cal.today = Number(cal.today) || 1;
+            cal.events = (Array.isArray(cal.events) ? cal.events : [])
+                .filter(ev => ev && typeof ev === 'object')
+                .map(ev => ({ ...ev, id: ev.id || generateId() }));
+            return cal;
+        },
+        // v1 → v2: 1~30일 순환 날짜를 실제 날짜로 바꾼다.
+        // 순환 오늘을 고정 기준일 + (오늘 - 1)일로 삼고, 기존 일정은 오늘 기준 D+n(30일 순환) 거리를 유지한다.
+        (data) => {
+            const today = Number(data.today) || 1;
+            const now = new Date(Date.UTC(LEGACY_DAY_EPOCH.year, LEGACY_DAY_EPOCH.month, LEGACY_DAY_EPOCH.day + today - 1, DEFAULT_START_HOUR, 0));
+            const events = data.events.map(({ day, ...ev }) => {
+                const offset = ((Number(day) || today) - today + 30) % 30;
+                return { ...ev, date: toDateString(addDays(now, offset)) };
+            });
+            return { now: toDateTimeString(now), events };
+        },
+        // v2 → v3: 반복·알림·놓침 필드 기본값을 채운다
+        (data) => ({
+            ...data,
+            events: data.events.map(ev => ({
+                repeat: 'none',
+                reminderDays: null,
+                reminderPrompt: false,
+                missed: false,
+                ...ev,
+            })),
+        }),
+    ],
+    validate: (data) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return '캘린더 데이터가 객체가 아닙니다.';
+        if (!parseWorldDateTime(data.now)) return '현재 인월드 시각이 올바르지 않습니다.';
+        if (!Array.isArray(data.events)) return '일정 목록이 배열이 아닙니다.';
+        if (data.events.some(ev => !ev?.id || typeof ev.title !== 'string')) return 'ID나 제목이 없는 일정이 있습니다.';
+        if (data.events.some(ev => !parseWorldDateTime(ev.date))) return '날짜가 올바르지 않은 일정이 있습니다.';
+        if (data.events.some(ev => !REPEAT_OPTIONS.some(o => o.value === ev.repeat))) return '반복 설정이 올바르지 않은 일정이 있습니다.';
+        return null;
+    },
+    // 채팅 바인딩으로 저장할 때만 동기화된다
+    chatMetadata: true,
+    // 분기 지점 이후에 등록된 일정은 지운다 (chatLength: 등록 시점의 채팅 메시지 수)
+    trimForBranch: (cal, { chat }) => ({
+        ...cal,
+        events: cal.events.filter(ev => typeof ev.chatLength !== 'number' || ev.chatLength <= chat.length),
+    }),
+});
+
+// ─────────────────────────────────────────
+// 인월드 날짜·시각 계산
+// 날짜는 시간대 영향을 받지 않도록 UTC 필드로만 다룬다.
+// ─────────────────────────────────────────
+
+/**
+ * 'YYYY-MM-DD' 또는 'YYYY-MM-DDTHH:MM' 문자열을 Date로 바꾼다
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseWorldDateTime(value) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?$/.exec(String(value || ''));
+    if (!m) return null;
+    const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0)));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} 'YYYY-MM-DDTHH:MM'
+ */
+function toDateTimeString(date) {
+    return date.toISOString().slice(0, 16);
+}
+
+/**
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * 두 날짜 사이의 일수 차이 (to - from)
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @returns {number}
+ */
+function getDayDiff(fromDate, toDate) {
+    const from = parseWorldDateTime(String(fromDate).slice(0, 10));
+    const to = parseWorldDateTime(String(toDate).slice(0, 10));
+    if (!from || !to) return 0;
+    return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+/**
+ * 시계를 처음 만들 때의 시각: 현실 오늘 날짜의 기본 시각
+ * @returns {Date}
+ */
+function createDefaultNow() {
+    const real = new Date();
+    return new Date(Date.UTC(real.getFullYear(), real.getMonth(), real.getDate(), DEFAULT_START_HOUR, 0));
+}
+
+/**
+ * 날짜를 '2025년 5월 3일 (토)' 형식으로 표시한다
+ * @param {string} value - 'YYYY-MM-DD...' 문자열
+ * @returns {string}
+ */
+function formatDateLabel(value) {
+    const d = parseWorldDateTime(String(value || '').slice(0, 10));
+    if (!d) return '';
+    return `${d.getUTCFullYear()}년 ${d.getUTCMonth() + 1}월 ${d.getUTCDate()}일 (${WEEKDAYS_KO[d.getUTCDay()]})`;
+}
+
+/**
+ * 시각을 '오후 2시 30분' 형식으로 표시한다
+ * @param {Date} d
+ * @returns {string}
+ */
+function formatTimeLabel(d) {
+    const h = d.getUTCHours();
+    const min = d.getUTCMinutes();
+    return `${h < 12 ? '오전' : '오후'} ${h % 12 || 12}시${min ? ` ${min}분` : ''}`;
+}
+
+/**
+ * 인월드 시각을 사람이 읽는 한국어 문자열로 표시한다 (예: 2025년 5월 3일 (토) 오후 2시)
+ * @param {string} value - 'YYYY-MM-DDTHH:MM'
+ * @returns {string}
+ */
+export function formatInWorldTime(value) {
+    const d = parseWorldDateTime(value);
+    if (!d) return '';
+    return `${formatDateLabel(value)} ${formatTimeLabel(d)}`;
+}
+
+/**
+ * 모델에게 전달할 영어 시각 표기 (예: Saturday, 2025-05-03 14:00)
+ * @param {string} value
+ * @returns {string}
+ */
+function formatInWorldTimeForPrompt(value) {
+    const d = parseWorldDateTime(value);
+    if (!d) return '';
+    return `${WEEKDAYS_EN[d.getUTCDay()]}, ${value.replace('T', ' ')}`;
+}
+
+// ─────────────────────────────────────────
+// 반복 일정 · 알림 · 놓침 처리
+// ─────────────────────────────────────────
+
+/**
+ * 반복 규칙상 해당 날짜가 일정의 회차인지 확인한다 (기준 날짜 이전은 제외)
+ * 매월 31일·2월 29일처럼 없는 날짜는 그 달의 마지막 날로 본다.
+ * @param {CalendarEvent} ev
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {boolean}
+ */
+function occursOn(ev, date) {
+    if (!ev.repeat || ev.repeat === 'none') return ev.date === date;
+    const start = parseWorldDateTime(ev.startDate || ev.date);
+    const d = parseWorldDateTime(date);
+    if (!start || !d || d.getTime() < start.getTime()) return false;
+    const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    const anchorDay = Math.min(start.getUTCDate(), lastDay);
+    switch (ev.repeat) {
+        case 'daily': return true;
+        case 'weekly': return getDayDiff(toDateString(start), date) % 7 === 0;
+        case 'monthly': return d.getUTCDate() === anchorDay;
+        case 'yearly': return d.getUTCMonth() === start.getUTCMonth() && d.getUTCDate() === anchorDay;
+        default: return false;
+    }
+}
+
+/**
+ * 주어진 날짜 이후(당일 포함) 첫 회차 날짜를 구한다
+ * @param {CalendarEvent} ev
+ * @param {string} fromDate - 'YYYY-MM-DD'
+ * @returns {string|null}
+ */
+function getNextOccurrence(ev, fromDate) {
+    const from = parseWorldDateTime(fromDate);
+    if (!from) return null;
+    for (let i = 0; i <= MAX_OCCURRENCE_SCAN_DAYS; i++) {
+        const date = toDateString(addDays(from, i));
+        if (occursOn(ev, date)) return date;
+    }
+    return null;
+}
+
+/**
+ * 반복 일정의 이번 회차를 마치고 다음 회차로 넘긴다
+ * @param {CalendarEvent} ev
+ */
+function rollToNextOccurrence(ev) {
+    const next = getNextOccurrence(ev, toDateString(addDays(parseWorldDateTime(ev.date), 1)));
+    if (next) ev.date = next;
+}
+
+/**
+ * 인월드 날짜가 바뀐 뒤 지난 일정을 놓침 처리한다
+ * - 반복 없음: 지난 미완료 일정 → missed
+ * - 반복 일정: 지난 회차를 missedDates에 남기고 오늘 이후 회차로 넘김
+ * @param {{now: string, events: CalendarEvent[]}} cal - 직접 수정된다
+ * @returns {CalendarEvent[]} 이번에 놓친 일정
+ */
+function processDayChange(cal) {
+    const today = cal.now.slice(0, 10);
+    const missed = [];
+
+    cal.events.forEach(ev => {
+        if (ev.done) return;
+        if (getDayDiff(today, ev.date) < 0) {
+            if (ev.repeat && ev.repeat !== 'none') {
+                ev.missedDates = [...(ev.missedDates || []), ev.date].slice(-MAX_MISSED_DATES);
+                ev.date = getNextOccurrence(ev, today) || ev.date;
+                missed.push(ev);
+            } else if (!ev.missed) {
+                ev.missed = true;
+                missed.push(ev);
+            }
+        }
+    });
+
+    return missed;
+}
+
+/**
+ * 알림 기간에 들어왔지만 아직 이번 회차를 알리지 않은 일정을 찾아 알림 처리한다
+ * 날짜가 바뀔 때뿐 아니라 일정을 저장하거나 같은 날 안에서 시계를 옮길 때도 부른다.
+ * @param {{now: string, events: CalendarEvent[]}} cal - 직접 수정된다 (remindedFor 기록)
+ * @returns {CalendarEvent[]}
+ */
+function collectDueReminders(cal) {
+    const today = cal.now.slice(0, 10);
+    return cal.events.filter(ev => {
+        if (ev.done || ev.missed || typeof ev.reminderDays !== 'number') return false;
+        const diff = getDayDiff(today, ev.date);
+        if (diff < 0 || diff > ev.reminderDays || ev.remindedFor === ev.date) return false;
+        ev.remindedFor = ev.date;
+        return true;
+    });
+}
+
+/**
+ * 미리 알림·놓친 일정을 토스트로 알린다
+ * @param {{now: string}} cal
+ * @param {{reminders: CalendarEvent[], missed: CalendarEvent[]}} result
+ */
+function notifyCalendarAlerts(cal, { reminders, missed }) {
+    const today = cal.now.slice(0, 10);
+    reminders.forEach(ev => {
+        const diff = getDayDiff(today, ev.date);
+        const when = diff === 0 ? '오늘' : `${diff}일 후`;
+        showToast(`⏰ 일정 알림: ${ev.title} (${when}${ev.time ? ` ${ev.time}` : ''})`, 'info', 3000);
+    });
+    missed.forEach(ev => {
+        const date = ev.missedDates?.length ? ev.missedDates[ev.missedDates.length - 1] : ev.date;
+        showToast(`⚠️ 놓친 일정: ${ev.title} (${formatDateLabel(date)})`, 'warn', 3000);
+    });
+}
+
+/**
+ * 시계를 바꾼 뒤 날짜가 달라졌으면 놓침 처리를 하고, 알림 기간에 든 일정을 알린 뒤 저장한다
+ * @param {{now: string, events: CalendarEvent[]}} cal
+ * @param {string} previous - 변경 전 인월드 시각
+ */
+function commitClockChange(cal, previous) {
+    const dayChanged = previous.slice(0, 10) !== cal.now.slice(0, 10);
+    const missed = dayChanged ? processDayChange(cal) : [];
+    const reminders = collectDueReminders(cal);
+    saveCalendar(cal);
+    notifyCalendarAlerts(cal, { reminders, missed });
+    if (!dayChanged) return;
+    const change = { previousDate: previous.slice(0, 10), currentDate: cal.now.slice(0, 10) };
+    dayChangeListeners.forEach(listener => {
+        try {
+            listener(change);
+        } catch (e) {
+            console.error('[ST-LifeSim] 인월드 날짜 변경 처리 오류:', e);
+        }
+    });
+}
+
+/**
+ * 인월드 날짜가 바뀔 때 호출될 리스너를 등록한다
+ * @param {(change: {previousDate: string, currentDate: string}) => void} listener
+ */
+export function onInWorldDayChange(listener) {
+    if (!dayChangeListeners.includes(listener)) dayChangeListeners.push(listener);
+}
 
 /**
  * 캘린더 데이터 불러오기
- * @returns {Object}
+ * @returns {{now: string, events: CalendarEvent[]}}
  */
 function loadCalendar() {
-    return loadData(MODULE_KEY, { ...DEFAULT_CALENDAR }, getDefaultBinding());
+    const cal = loadData(MODULE_KEY, null, getDefaultBinding());
+    if (!cal || !parseWorldDateTime(cal.now)) {
+        return { now: toDateTimeString(createDefaultNow()), events: Array.isArray(cal?.events) ? cal.events : [] };
+    }
+    return cal;
 }
 
 /**
@@ -48,13 +422,121 @@ function saveCalendar(cal) {
 }
 
 /**
- * 일수를 30일 범위로 정규화한다 (1~30)
- * 음수 입력도 정상 처리한다
- * @param {number} day
- * @returns {number}
+ * 현재 인월드 시각을 반환한다
+ * @returns {string} 'YYYY-MM-DDTHH:MM'
+ */
+export function getInWorldNow() {
+    return loadCalendar().now;
+}
+
+/**
+ * 인월드 시각을 지정한 값으로 설정한다
+ * @param {string} value - 'YYYY-MM-DDTHH:MM'
+ * @returns {boolean} 성공 여부
+ */
+export function setInWorldTime(value) {
+    if (!parseWorldDateTime(value)) return false;
+    const cal = loadCalendar();
+    const previous = cal.now;
+    cal.now = value.length === 10 ? `${value}T00:00` : value;
+    commitClockChange(cal, previous);
+    return true;
+}
+
+/**
+ * 인월드 시계를 진행했을 때의 시각을 구한다 (시계는 바꾸지 않음)
+ * @param {Object} amount
+ * @param {number} [amount.minutes=0]
+ * @param {number} [amount.days=0]
+ * @param {number} [amount.hour] - 지정하면 진행 후 그 시각(정각)으로 맞춘다 (예: '다음날' → 오전 9시)
+ * @param {string} [now] - 기준 시각 (기본: 현재 인월드 시각)
+ * @returns {string} 'YYYY-MM-DDTHH:MM'
+ */
+export function getAdvancedInWorldTime({ minutes = 0, days = 0, hour } = {}, now = getInWorldNow()) {
+    let next = addDays(new Date(parseWorldDateTime(now).getTime() + minutes * 60 * 1000), days);
+    if (Number.isInteger(hour)) {
+        next = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate(), hour, 0));
+    }
+    return toDateTimeString(next);
+}
+
+/**
+ * 인월드 시계를 앞으로 진행한다
+ * @param {{minutes?: number, days?: number, hour?: number}} amount - getAdvancedInWorldTime 참고
+ * @returns {{previous: string, current: string}}
+ */
+export function advanceInWorldTime(amount = {}) {
+    const cal = loadCalendar();
+    const previous = cal.now;
+    cal.now = getAdvancedInWorldTime(amount, previous);
+    commitClockChange(cal, previous);
+    return { previous, current: cal.now };
+}
+
+/**
+ * 시간 구분선 직접 입력 문자열을 해석해 목표 인월드 시각을 구한다
+ * - 절대: '2025년 5월 3일 오후 2시', '5월 3일', '2025-05-03 14:00'
+ * - 상대: '30분 후', '2시간 뒤', '3일 후', '2주 후', '1달 후', '내일', '모레'
+ * 날짜 없이 시각만 있으면 오늘(이미 지난 시각이면 다음날) 그 시각으로 본다.
+ * @param {string} text
+ * @param {string} [now] - 기준 시각 (기본: 현재 인월드 시각)
+ * @returns {string|null} 'YYYY-MM-DDTHH:MM' 또는 해석 실패 시 null
  */
-function normalizeDay(day) {
-    return ((day - 1) % 30 + 30) % 30 + 1;
+export function parseInWorldTimeInput(text, now = getInWorldNow()) {
+    const base = parseWorldDateTime(now);
+    const input = String(text || '').trim();
+    if (!base || !input) return null;
+
+    const rel = input.match(/(\d+)\s*(분|시간|일|주|달|개월|년)\s*(후|뒤)/);
+    if (rel) {
+        const n = Number(rel[1]);
+        const unit = rel[2];
+        if (unit === '분') return toDateTimeString(new Date(base.getTime() + n * 60 * 1000));
+        if (unit === '시간') return toDateTimeString(new Date(base.getTime() + n * 60 * 60 * 1000));
+        if (unit === '일') return toDateTimeString(addDays(base, n));
+        if (unit === '주') return toDateTimeString(addDays(base, n * 7));
+        const months = unit === '년' ? n * 12 : n;
+        const d = new Date(base.getTime());
+        d.setUTCMonth(d.getUTCMonth() + months);
+        return toDateTimeString(d);
+    }
+
+    let date = null;
+    const iso = input.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+    const ymd = input.match(/(?:(\d{4})\s*년\s*)?(\d{1,2})\s*월\s*(\d{1,2})\s*일/);
+    if (iso) {
+        date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+    } else if (ymd) {
+        const year = ymd[1] ? Number(ymd[1]) : base.getUTCFullYear();
+        date = new Date(Date.UTC(year, Number(ymd[2]) - 1, Number(ymd[3])));
+    } else if (/모레/.test(input)) {
+        date = addDays(base, 2);
+    } else if (/내일|다음\s*날/.test(input)) {
+        date = addDays(base, 1);
+    }
+
+    let hour = null;
+    let minute = 0;
+    const hm = input.match(/(\d{1,2}):(\d{2})/);
+    const korean = input.match(/(오전|오후|아침|저녁|밤|새벽)?\s*(\d{1,2})\s*시(?:\s*(\d{1,2})\s*분|\s*(반))?/);
+    if (hm) {
+        hour = Number(hm[1]);
+        minute = Number(hm[2]);
+    } else if (korean) {
+        hour = Number(korean[2]) % 12;
+        // '밤 12시'는 자정, 수식어 없는 '12시'는 정오로 본다
+        if (['오후', '저녁', '밤'].includes(korean[1]) && !(korean[1] === '밤' && Number(korean[2]) === 12)) hour += 12;
+        if (!korean[1] && Number(korean[2]) === 12) hour = 12;
+        minute = korean[3] ? Number(korean[3]) : (korean[4] ? 30 : 0);
+    }
+    if (!date && hour === null) return null;
+    if (hour !== null && (hour > 23 || minute > 59)) return null;
+
+    const target = date || new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate()));
+    const h = hour ?? (date ? DEFAULT_START_HOUR : base.getUTCHours());
+    let result = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), target.getUTCDate(), h, hour === null ? 0 : minute));
+    if (!date && result.getTime() <= base.getTime()) result = addDays(result, 1);
+    return Number.isNaN(result.getTime()) ? null : toDateTimeString(result);
 }
 
 /**
@@ -64,30 +546,51 @@ export function initCalendar() {
     // 컨텍스트 빌더 등록
     registerContextBuilder('calendar', () => {
         const cal = loadCalendar();
-        if (!cal.events || cal.events.length === 0) return null;
+        const today = cal.now.slice(0, 10);
+        const timeLine = `=== In-World Time ===\nCurrent in-world time: ${formatInWorldTimeForPrompt(cal.now)}`;
+
+        const sections = [timeLine];
 
-        const today = cal.today;
         const upcoming = cal.events
-            .filter(e => !e.done)
-            .map(e => {
-                // 오늘과의 차이 계산 (30일 순환)
-                const diff = (e.day - today + 30) % 30;
-                return { ...e, diff };
-            })
-            .filter(e => e.diff <= 7) // 7일 이내
-            .sort((a, b) => a.diff - b.diff);
-
-        if (upcoming.length === 0) return null;
-
-        const lines = upcoming.map(e => {
-            const label = e.diff === 0
-                ? `Today (Day ${today})`
-                : `D+${e.diff} (Day ${e.day})`;
-            const aiFlag = e.addedByAi ? ' [scheduled by char]' : '';
-            return `${label}: ${e.title}${e.time ? ` (${e.time})` : ''}${e.description ? `, ${e.description}` : ''}${aiFlag}`;
-        });
+            .filter(e => !e.done && !e.missed)
+            .map(e => ({ ...e, diff: getDayDiff(today, e.date) }))
+            .filter(e => e.diff >= 0 && e.diff <= UPCOMING_CONTEXT_DAYS)
+            .sort((a, b) => a.diff - b.diff || String(a.time || '').localeCompare(String(b.time || '')));
+
+        if (upcoming.length > 0) {
+            const lines = upcoming.map(e => {
+                const weekday = WEEKDAYS_EN[parseWorldDateTime(e.date).getUTCDay()].slice(0, 3);
+                const label = e.diff === 0
+                    ? `Today (${e.date} ${weekday})`
+                    : `D+${e.diff} (${e.date} ${weekday})`;
+                const repeatFlag = e.repeat && e.repeat !== 'none' ? ` [repeats ${e.repeat}]` : '';
+                const aiFlag = e.addedByAi ? ' [scheduled by char]' : '';
+                return `${label}: ${e.title}${e.time ? ` (${e.time})` : ''}${e.description ? `, ${e.description}` : ''}${repeatFlag}${aiFlag}`;
+            });
+            sections.push(`=== Schedule ===\n${lines.join('\n')}`);
+        }
+
+        // 미리 알림이 울린 일정 중 프롬프트 주입을 켠 것
+        const reminders = upcoming.filter(e => e.reminderPrompt && e.remindedFor === e.date);
+        if (reminders.length > 0) {
+            const lines = reminders.map(e => {
+                const when = e.diff === 0 ? 'today' : `in ${e.diff} day(s)`;
+                return `Reminder: {{user}} has "${e.title}" ${when} (${e.date}${e.time ? ` ${e.time}` : ''}).`;
+            });
+            sections.push(`=== Reminders ===\n${lines.join('\n')}`);
+        }
+
+        // 최근에 놓친 일정 (캐릭터가 반응할 수 있도록)
+        const missed = cal.events
+            .map(e => ({ e, date: e.missed && !e.done ? e.date : (e.missedDates || [])[e.missedDates?.length - 1] }))
+            .filter(({ date }) => date && getDayDiff(date, today) > 0 && getDayDiff(date, today) <= UPCOMING_CONTEXT_DAYS)
+            .sort((a, b) => a.date.localeCompare(b.date));
+        if (missed.length > 0) {
+            const lines = missed.map(({ e, date }) => `${date}: ${e.title}${e.time ? ` (${e.time})` : ''} - missed, it passed without happening`);
+            sections.push(`=== Missed Plans ===\n${lines.join('\n')}`);
+        }
 
-        return `=== Schedule ===\n${lines.join('\n')}`;
+        return sections.join('\n');
     });
 
     const ctx = getContext();
@@ -96,13 +599,17 @@ export function initCalendar() {
     if (!eventTypes?.CHARACTER_MESSAGE_RENDERED || autoScheduleListenerRegistered) return;
     autoScheduleListenerRegistered = true;
     ctx.eventSource.on(eventTypes.CHARACTER_MESSAGE_RENDERED, () => {
-        autoRegisterScheduleFromCharacterMessage().catch(e => {
+        autoUpdateScheduleFromChat().catch(e => {
             console.error('[ST-LifeSim] 일정 자동 판별 오류:', e);
         });
     });
 }
 
-async function autoRegisterScheduleFromCharacterMessage() {
+/**
+ * 최근 대화(유저 메시지 + 캐릭터 응답)와 기존 일정을 함께 보고
+ * 일정 추가/변경/취소/완료를 판별해 반영한다.
+ */
+async function autoUpdateScheduleFromChat() {
     const ctx = getContext();
     if (!ctx || typeof ctx.generateQuietPrompt !== 'function') return;
 
@@ -110,37 +617,73 @@ async function autoRegisterScheduleFromCharacterMessage() {
     const lastIdx = chat.length - 1;
     if (lastIdx < 0) return;
     const lastMsg = chat[lastIdx];
-    if (!lastMsg || lastMsg.is_user) return;
-
-    const text = String(lastMsg.mes || '')
-        .replace(/<[^>]*>/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+    if (!lastMsg || lastMsg.is_user || isGroupRoomMessage(lastMsg)) return;
+
+    const recent = chat
+        .slice(-AUTO_SCHEDULE_MESSAGE_COUNT)
+        .filter(m => m && !m.is_system)
+        .map(m => ({ isUser: !!m.is_user, name: m.name, text: cleanMessageText(m.mes) }))
+        .filter(m => m.text);
+    const text = cleanMessageText(lastMsg.mes);
     if (!text) return;
-    if (!isLikelyScheduleCandidate(text)) return;
+
+    const cal = loadCalendar();
+    const today = cal.now.slice(0, 10);
+    const candidates = cal.events
+        .filter(e => !e.done)
+        .map(e => ({ e, diff: getDayDiff(today, e.date) }))
+        .filter(({ diff }) => diff >= -AUTO_SCHEDULE_PAST_DAYS && diff <= AUTO_SCHEDULE_FUTURE_DAYS)
+        .sort((a, b) => a.diff - b.diff)
+        .slice(0, AUTO_SCHEDULE_MAX_EVENTS)
+        .map(({ e }) => e);
+
+    // 키워드는 이번 주고받기(직전 캐릭터 메시지 이후)에서만 찾는다.
+    // 창 전체를 보면 한 번 나온 일정 이야기 때문에 이후 캐릭터 메시지마다 다시 판별하게 된다.
+    const isCharMessage = m => m && !m.is_user && !m.is_system;
+    let exchangeStart = lastIdx;
+    while (exchangeStart > 0 && !isCharMessage(chat[exchangeStart - 1])) exchangeStart--;
+    const exchange = chat.slice(exchangeStart)
+        .filter(m => m && !m.is_system)
+        .map(m => cleanMessageText(m.mes))
+        .filter(Boolean);
+    if (!exchange.some(t => isLikelyScheduleCandidate(t, candidates))) return;
 
     const signature = `${lastIdx}:${text.slice(0, MAX_SIGNATURE_TEXT_LENGTH)}`;
     if (signature === lastAutoScheduleSignature) return;
     lastAutoScheduleSignature = signature;
 
-    const cal = loadCalendar();
-    const prompt = `You are a schedule classifier for roleplay chat.
-Determine whether the latest character message contains a concrete plan/appointment worth adding to calendar.
-Ignore trivial greetings or light reminders (e.g. "좋은 아침", "밥 챙겨먹어") as not schedulable.
-If schedulable, produce an event between D+1 and D+5 for {{user}}.
+    const eventLines = candidates.map(e => {
+        const weekday = WEEKDAYS_EN[parseWorldDateTime(e.date).getUTCDay()].slice(0, 3);
+        const status = e.missed ? ' [missed]' : '';
+        return `[${e.id}] ${e.date} (${weekday})${e.time ? ` ${e.time}` : ''}: ${e.title}${status}`;
+    });
+    const messageLines = recent.map(m => `${m.isUser ? '{{user}}' : (m.name || '{{char}}')}: "${m.text}"`);
+
+    const prompt = `You are a schedule manager for roleplay chat.
+Read the latest conversation and decide how {{user}}'s calendar should change.
+- "add": a new concrete plan/appointment both sides agreed on.
+- "reschedule": an existing event moved to another date/time (e.g. "let's move it to Friday").
+- "cancel": an existing event called off.
+- "complete": an existing event that has now happened.
+Use the event id from the list for reschedule/cancel/complete. Never add an event that duplicates an existing one; reschedule it instead.
+Ignore trivial greetings or light reminders (e.g. "좋은 아침", "밥 챙겨먹어").
+Dates must be between today and ${MAX_AUTO_DAY_OFFSET} days later.
 Reply in JSON only:
-{"shouldSchedule":true,"title":"short title","dayOffset":1,"description":"short note"}
-or
-{"shouldSchedule":false}
-Current day: ${cal.today}
-Character message: "${text}"`;
+{"operations":[{"op":"add","title":"short title","date":"YYYY-MM-DD","time":"HH:MM or empty","description":"short note"},{"op":"reschedule","id":"event id","date":"YYYY-MM-DD","time":"HH:MM or empty"},{"op":"cancel","id":"event id"},{"op":"complete","id":"event id"}]}
+or {"operations":[]} if nothing changes.
+Current in-world time: ${formatInWorldTimeForPrompt(cal.now)}
+Existing events:
+${eventLines.length > 0 ? eventLines.join('\n') : '(none)'}
+Latest conversation:
+${messageLines.join('\n')}`;
 
     const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: ctx.name2 || '{{char}}' }) || '';
     if (!raw) {
         console.warn('[ST-LifeSim] 일정 자동판별 AI 응답이 비어 있습니다.');
         return;
     }
-    const match = raw.match(/\{[\s\S]*?\}/);
+    // operations 배열이 중첩되므로 가장 바깥 { ... } 블록을 추출한다
+    const match = raw.match(/\{[\s\S]*\}/);
     if (!match) {
         console.warn('[ST-LifeSim] 일정 자동판별 JSON 추출 실패');
         return;
@@ -151,36 +694,148 @@ Character message: "${text}"`;
     } catch {
         return;
     }
-    if (!data?.shouldSchedule) return;
-
-    const title = String(data.title || '').trim();
-    if (!title) return;
-    const offset = Math.max(MIN_AUTO_DAY_OFFSET, Math.min(MAX_AUTO_DAY_OFFSET, parseInt(data.dayOffset) || MIN_AUTO_DAY_OFFSET));
-    const day = normalizeDay(cal.today + offset);
-    const description = String(data.description || '').trim();
-
-    const nextCal = loadCalendar();
-    const duplicate = nextCal.events.some(e => !e.done && e.title === title && e.day === day);
-    if (duplicate) return;
-
-    nextCal.events.push({
-        id: generateId(),
-        day,
-        time: '',
-        title,
-        description,
-        relatedContactId: '',
-        done: false,
-        addedByAi: true,
+    const operations = Array.isArray(data?.operations) ? data.operations : [];
+    if (operations.length === 0) return;
+
+    const summary = applyScheduleOperations(operations, new Set(candidates.map(e => e.id)));
+    const parts = [
+        summary.added && `추가 ${summary.added}`,
+        summary.rescheduled && `변경 ${summary.rescheduled}`,
+        summary.cancelled && `취소 ${summary.cancelled}`,
+        summary.completed && `완료 ${summary.completed}`,
+    ].filter(Boolean);
+    if (parts.length > 0) showToast(`📅 대화에서 일정 반영: ${parts.join(', ')}`, 'info', 2500);
+}
+
+/**
+ * 메시지 본문에서 HTML 태그와 중복 공백을 걷어낸다
+ * @param {string} mes
+ * @returns {string}
+ */
+function cleanMessageText(mes) {
+    return String(mes || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * AI가 준 날짜를 자동 판별 허용 범위 안의 'YYYY-MM-DD'로 정리한다
+ * @param {*} value
+ * @param {string} today
+ * @returns {string|null} 범위를 벗어나거나 형식이 아니면 null
+ */
+function normalizeAutoDate(value, today) {
+    const parsed = parseWorldDateTime(String(value || '').trim().slice(0, 10));
+    if (!parsed) return null;
+    const date = toDateString(parsed);
+    const diff = getDayDiff(today, date);
+    return diff >= MIN_AUTO_DAY_OFFSET && diff <= MAX_AUTO_DAY_OFFSET ? date : null;
+}
+
+/**
+ * 자동 판별 결과(add/reschedule/cancel/complete)를 캘린더에 반영한다
+ * @param {Object[]} operations
+ * @param {Set<string>} allowedIds - AI에게 보여준 기존 일정 ID (그 외 ID는 무시)
+ * @returns {{added: number, rescheduled: number, cancelled: number, completed: number}}
+ */
+function applyScheduleOperations(operations, allowedIds) {
+    const cal = loadCalendar();
+    const today = cal.now.slice(0, 10);
+    const summary = { added: 0, rescheduled: 0, cancelled: 0, completed: 0 };
+
+    operations.forEach(op => {
+        const type = String(op?.op || '').toLowerCase();
+        if (type === 'add') {
+            const title = String(op.title || '').trim();
+            const date = normalizeAutoDate(op.date, today);
+            if (!title || !date) return;
+            const duplicate = cal.events.some(e => !e.done && e.title === title && e.date === date);
+            if (duplicate) return;
+            cal.events.push({
+                id: generateId(),
+                date,
+                time: normalizeTime(op.time),
+                title,
+                description: String(op.description || '').trim(),
+                relatedContactId: '',
+                done: false,
+                repeat: 'none',
+                reminderDays: null,
+                reminderPrompt: false,
+                missed: false,
+                addedByAi: true,
+                chatLength: getContext()?.chat?.length ?? 0,
+            });
+            summary.added++;
+            return;
+        }
+
+        const id = String(op?.id || '').trim();
+        if (!allowedIds.has(id)) return;
+        const idx = cal.events.findIndex(e => e.id === id);
+        if (idx === -1) return;
+        const ev = cal.events[idx];
+        const repeating = ev.repeat && ev.repeat !== 'none';
+
+        if (type === 'reschedule') {
+            const date = normalizeAutoDate(op.date, today);
+            if (!date) return;
+            ev.date = date;
+            if (op.time !== undefined) ev.time = normalizeTime(op.time);
+            ev.missed = false;
+            delete ev.remindedFor;
+            summary.rescheduled++;
+        } else if (type === 'cancel') {
+            // 반복 일정은 이번 회차만 건너뛴다
+            if (repeating) rollToNextOccurrence(ev);
+            else cal.events.splice(idx, 1);
+            summary.cancelled++;
+        } else if (type === 'complete') {
+            if (repeating) {
+                rollToNextOccurrence(ev);
+            } else {
+                ev.done = true;
+                ev.missed = false;
+            }
+            summary.completed++;
+        }
     });
-    saveCalendar(nextCal);
+
+    if (Object.values(summary).some(Boolean)) {
+        const reminders = collectDueReminders(cal);
+        saveCalendar(cal);
+        notifyCalendarAlerts(cal, { reminders, missed: [] });
+    }
+    return summary;
+}
+
+/**
+ * AI가 준 시각 문자열을 'HH:MM'으로 정리한다 (형식이 아니면 빈 문자열)
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeTime(value) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return '';
+    return `${m[1].padStart(2, '0')}:${m[2]}`;
 }
 
-function isLikelyScheduleCandidate(text) {
+/**
+ * AI 판별을 돌릴 만한 메시지인지 키워드로 미리 거른다
+ * 새 약속(행동+시점), 변경·취소 표현, 기존 일정 제목 언급 중 하나면 후보로 본다.
+ * @param {string} text
+ * @param {CalendarEvent[]} events - 기존 일정
+ * @returns {boolean}
+ */
+function isLikelyScheduleCandidate(text, events = []) {
     const lowered = text.toLowerCase();
     const hasAction = SCHEDULE_ACTION_RE.test(lowered);
     const hasTime = SCHEDULE_TIME_RE.test(lowered);
-    return hasAction && hasTime;
+    if (hasAction && hasTime) return true;
+    if (events.length === 0) return false;
+    return SCHEDULE_CHANGE_RE.test(lowered)
+        || events.some(e => e.title && lowered.includes(String(e.title).toLowerCase()));
 }
 
 /**
@@ -206,18 +861,20 @@ function buildCalendarContent() {
     wrapper.className = 'slm-calendar-wrapper';
 
     let cal = loadCalendar();
+    // 달력 그리드에 표시 중인 달 ('YYYY-MM')
+    let viewMonth = cal.now.slice(0, 7);
 
-    // 오늘 날짜 헤더
+    // 현재 인월드 시각 헤더 (하루씩 앞뒤 이동)
     const todayRow = document.createElement('div');
     todayRow.className = 'slm-today-row';
 
     const prevBtn = document.createElement('button');
     prevBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
     prevBtn.textContent = '◀';
+    prevBtn.title = '하루 전';
     prevBtn.onclick = () => {
-        cal = loadCalendar();
-        cal.today = normalizeDay(cal.today - 1);
-        saveCalendar(cal);
+        advanceInWorldTime({ days: -1 });
+        viewMonth = getInWorldNow().slice(0, 7);
         renderAll();
     };
 
@@ -227,18 +884,43 @@ function buildCalendarContent() {
     const nextBtn = document.createElement('button');
     nextBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
     nextBtn.textContent = '▶';
+    nextBtn.title = '하루 뒤';
     nextBtn.onclick = () => {
-        cal = loadCalendar();
-        cal.today = normalizeDay(cal.today + 1);
-        saveCalendar(cal);
+        advanceInWorldTime({ days: 1 });
+        viewMonth = getInWorldNow().slice(0, 7);
         renderAll();
     };
 
+    const setBtn = document.createElement('button');
+    setBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+    setBtn.textContent = '⏰ 설정';
+    setBtn.onclick = () => openClockDialog(() => {
+        viewMonth = getInWorldNow().slice(0, 7);
+        renderAll();
+    });
+
     todayRow.appendChild(prevBtn);
     todayRow.appendChild(todayLabel);
     todayRow.appendChild(nextBtn);
+    todayRow.appendChild(setBtn);
     wrapper.appendChild(todayRow);
 
+    // 표시 중인 달 이동
+    const monthRow = document.createElement('div');
+    monthRow.className = 'slm-cal-month-row';
+    const prevMonthBtn = document.createElement('button');
+    prevMonthBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+    prevMonthBtn.textContent = '‹';
+    prevMonthBtn.onclick = () => { viewMonth = shiftMonth(viewMonth, -1); renderCalGrid(); };
+    const monthLabel = document.createElement('span');
+    monthLabel.className = 'slm-cal-month-label';
+    const nextMonthBtn = document.createElement('button');
+    nextMonthBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+    nextMonthBtn.textContent = '›';
+    nextMonthBtn.onclick = () => { viewMonth = shiftMonth(viewMonth, 1); renderCalGrid(); };
+    monthRow.append(prevMonthBtn, monthLabel, nextMonthBtn);
+    wrapper.appendChild(monthRow);
+
     // 달력 그리드 (7열)
     const calGrid = document.createElement('div');
     calGrid.className = 'slm-cal-grid';
@@ -264,7 +946,53 @@ function buildCalendarContent() {
 
     const btnRow = document.createElement('div');
     btnRow.className = 'slm-btn-row';
+    const exportIcsBtn = document.createElement('button');
+    exportIcsBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    exportIcsBtn.textContent = '📤 .ics';
+    exportIcsBtn.title = '일정을 iCalendar(.ics) 파일로 내보내기';
+    exportIcsBtn.onclick = () => {
+        if (loadCalendar().events.length === 0) { showToast('내보낼 일정이 없습니다.', 'warn'); return; }
+        const blob = new Blob([exportCalendarIcs()], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `st-lifesim-calendar-${new Date().toISOString().slice(0, 10)}.ics`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        showToast('일정 내보내기 완료', 'success');
+    };
+
+    const importIcsBtn = document.createElement('button');
+    importIcsBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    importIcsBtn.textContent = '📥 .ics';
+    importIcsBtn.title = 'iCalendar(.ics) 파일에서 일정 가져오기';
+    importIcsBtn.onclick = () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.ics,text/calendar';
+        input.onchange = async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                const { added, updated, missed, unsupportedRules } = importCalendarIcs(await file.text());
+                if (added + updated === 0) { showToast('가져올 일정이 없습니다.', 'warn'); return; }
+                renderAll();
+                showToast(`일정 가져오기 완료 (추가 ${added}개, 갱신 ${updated}개${missed > 0 ? `, 지난 일정 ${missed}개 놓침` : ''})`, 'success');
+                if (unsupportedRules > 0) {
+                    showToast(`반복 규칙(INTERVAL·COUNT·UNTIL·BYDAY 등)을 해석할 수 없는 일정 ${unsupportedRules}개는 한 번만 있는 일정으로 가져왔습니다.`, 'warn', 4000);
+                }
+            } catch (err) {
+                showToast('가져오기 실패: ' + err.message, 'error');
+            }
+        };
+        input.click();
+    };
+
     btnRow.appendChild(addBtn);
+    btnRow.appendChild(exportIcsBtn);
+    btnRow.appendChild(importIcsBtn);
     btnRow.appendChild(clearAllBtn);
     wrapper.appendChild(btnRow);
 
@@ -274,49 +1002,59 @@ function buildCalendarContent() {
 
     function renderAll() {
         cal = loadCalendar();
-        todayLabel.textContent = `오늘: ${cal.today}일`;
+        todayLabel.textContent = formatInWorldTime(cal.now);
         renderCalGrid();
         renderEvents();
     }
 
-    // 달력 그리드 렌더링 (1~30일 7열 배치)
+    // 달력 그리드 렌더링 (표시 중인 달, 1일을 해당 요일 칸부터 배치)
     function renderCalGrid() {
         calGrid.innerHTML = '';
+        const [year, month] = viewMonth.split('-').map(Number);
+        monthLabel.textContent = `${year}년 ${month}월`;
 
         // 요일 헤더
-        const days = ['일', '월', '화', '수', '목', '금', '토'];
-        days.forEach(d => {
+        WEEKDAYS_KO.forEach(d => {
             const cell = document.createElement('div');
             cell.className = 'slm-cal-header';
             cell.textContent = d;
             calGrid.appendChild(cell);
         });
 
-        // 1일이 일요일이 되도록 빈 셀 채우기 (고정 레이아웃)
-        // 실제 롤플레이 캘린더이므로 1일부터 순서대로 표시
-        for (let day = 1; day <= 30; day++) {
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        for (let i = 0; i < firstWeekday; i++) {
+            const blank = document.createElement('div');
+            blank.className = 'slm-cal-day empty';
+            calGrid.appendChild(blank);
+        }
+
+        const today = cal.now.slice(0, 10);
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = `${viewMonth}-${String(day).padStart(2, '0')}`;
             const cell = document.createElement('div');
             cell.className = 'slm-cal-day';
 
-            if (day === cal.today) cell.classList.add('today');
+            if (date === today) cell.classList.add('today');
 
-            const hasEvent = cal.events.some(e => e.day === day && !e.done);
+            // 반복 일정은 다음 회차 이후의 회차도 표시한다
+            const hasEvent = cal.events.some(e => !e.done && (e.date === date
+                || (e.repeat !== 'none' && date > e.date && occursOn(e, date))));
             if (hasEvent) cell.classList.add('has-event');
 
             cell.textContent = String(day);
-            cell.onclick = () => openEventDialog({ day }, renderAll);
+            cell.onclick = () => openEventDialog({ date }, renderAll);
             calGrid.appendChild(cell);
         }
     }
 
-    // 일정 목록 렌더링
+    // 일정 목록 렌더링 (날짜·시간순)
     function renderEvents() {
         eventList.innerHTML = '';
-        const events = [...cal.events].sort((a, b) => {
-            const da = (a.day - cal.today + 30) % 30;
-            const db = (b.day - cal.today + 30) % 30;
-            return da - db;
-        });
+        const today = cal.now.slice(0, 10);
+        const events = [...cal.events].sort((a, b) => (
+            String(a.date).localeCompare(String(b.date)) || String(a.time || '').localeCompare(String(b.time || ''))
+        ));
 
         if (events.length === 0) {
             eventList.innerHTML = '<div class="slm-empty">일정이 없습니다.</div>';
@@ -325,15 +1063,23 @@ function buildCalendarContent() {
 
         events.forEach(ev => {
             const row = document.createElement('div');
-            row.className = `slm-event-row${ev.done ? ' done' : ''}`;
+            row.className = `slm-event-row${ev.done ? ' done' : ''}${ev.missed && !ev.done ? ' missed' : ''}`;
 
-            const diff = (ev.day - cal.today + 30) % 30;
-            const label = diff === 0 ? '오늘' : `D+${diff}`;
+            const diff = getDayDiff(today, ev.date);
+            const label = diff === 0 ? '오늘' : (diff > 0 ? `D+${diff}` : `D${diff}`);
+            const d = parseWorldDateTime(ev.date);
+            const shortDate = d ? `${d.getUTCMonth() + 1}/${d.getUTCDate()}(${WEEKDAYS_KO[d.getUTCDay()]})` : ev.date;
+            const repeatLabel = ev.repeat && ev.repeat !== 'none'
+                ? REPEAT_OPTIONS.find(o => o.value === ev.repeat)?.label
+                : '';
 
             row.innerHTML = `
-                <span class="slm-event-label">${escapeHtml(label)}(${ev.day}일)</span>
+                <span class="slm-event-label">${escapeHtml(label)} ${escapeHtml(shortDate)}</span>
                 <span class="slm-event-time">${escapeHtml(ev.time || '')}</span>
                 <span class="slm-event-title">${escapeHtml(ev.title)}${ev.addedByAi ? ' 🤖' : ''}</span>
+                ${repeatLabel ? `<span class="slm-event-badge">🔁 ${escapeHtml(repeatLabel)}</span>` : ''}
+                ${typeof ev.reminderDays === 'number' ? '<span class="slm-event-badge">⏰</span>' : ''}
+                ${ev.missed && !ev.done ? '<span class="slm-event-badge slm-event-badge-missed">놓침</span>' : ''}
                 ${ev.description ? `<span class="slm-event-desc">${escapeHtml(ev.description)}</span>` : ''}
             `;
 
@@ -351,7 +1097,17 @@ function buildCalendarContent() {
             doneBtn.onclick = () => {
                 const c = loadCalendar();
                 const e = c.events.find(e => e.id === ev.id);
-                if (e) { e.done = !e.done; saveCalendar(c); renderAll(); }
+                if (!e) return;
+                if (e.repeat && e.repeat !== 'none') {
+                    // 반복 일정은 이번 회차만 마치고 다음 회차로 넘긴다
+                    rollToNextOccurrence(e);
+                    showToast(`다음 일정: ${formatDateLabel(e.date)}`, 'success', 1500);
+                } else {
+                    e.done = !e.done;
+                    if (e.done) e.missed = false;
+                }
+                saveCalendar(c);
+                renderAll();
             };
 
             const delBtn = document.createElement('button');
@@ -377,9 +1133,275 @@ function buildCalendarContent() {
     return wrapper;
 }
 
+// ─────────────────────────────────────────
+// iCalendar (.ics) 내보내기/가져오기
+// ─────────────────────────────────────────
+
+/**
+ * TEXT 값 이스케이프 (RFC 5545 3.3.11)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * TEXT 값 이스케이프 해제
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeIcsText(text) {
+    return String(text || '').replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * 한 줄을 75옥텟 단위로 접는다 (멀티바이트 문자는 자르지 않는다)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const len = encoder.encode(ch).length;
+        // 이어지는 줄은 앞의 공백 1옥텟을 포함해 계산한다
+        const limit = parts.length === 0 ? ICS_MAX_LINE_OCTETS : ICS_MAX_LINE_OCTETS - 1;
+        if (size + len > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += ch;
+        size += len;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * 일정 목록을 iCalendar 문자열로 변환한다
+ * 반복 일정은 기준 날짜를 DTSTART로, 관련 인물은 X- 속성으로 내보낸다.
+ * @returns {string}
+ */
+export function exportCalendarIcs() {
+    const cal = loadCalendar();
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN'];
+
+    cal.events.forEach(ev => {
+        const repeating = ev.repeat && ev.repeat !== 'none';
+        const date = (repeating ? ev.startDate || ev.date : ev.date).replace(/-/g, '');
+        const time = normalizeTime(ev.time);
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${ev.icsUid || `${ev.id}${ICS_UID_SUFFIX}`}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(time ? `DTSTART:${date}T${time.replace(':', '')}00` : `DTSTART;VALUE=DATE:${date}`);
+        lines.push(`SUMMARY:${escapeIcsText(ev.title)}`);
+        if (ev.description) lines.push(`DESCRIPTION:${escapeIcsText(ev.description)}`);
+        if (repeating) lines.push(`RRULE:FREQ=${ev.repeat.toUpperCase()}`);
+        else if (ev.icsRrule) lines.push(`${ICS_ORIGINAL_RRULE_PROP}:${escapeIcsText(ev.icsRrule)}`);
+        if (ev.done) lines.push('STATUS:COMPLETED');
+        if (ev.relatedContactId) lines.push(`${ICS_CONTACT_PROP}:${escapeIcsText(ev.relatedContactId)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * DTSTART 값을 인월드 날짜·시각으로 바꾼다
+ * UTC(Z) 시각은 브라우저 현지 시각으로, TZID가 붙은 시각은 적힌 그대로 본다.
+ * @param {string} value
+ * @returns {{date: string, time: string}|null}
+ */
+function parseIcsDateTime(value) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(String(value || '').trim());
+    if (!m) return null;
+    if (!m[4]) return { date: `${m[1]}-${m[2]}-${m[3]}`, time: '' };
+    if (m[6]) {
+        const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5])));
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+            time: `${pad(d.getHours())}:${pad(d.getMinutes())}`,
+        };
+    }
+    return { date: `${m[1]}-${m[2]}-${m[3]}`, time: `${m[4]}:${m[5]}` };
+}
+
+/**
+ * RRULE을 반복 주기로 바꾼다
+ * FREQ 하나(간격 1)로 나타낼 수 있는 규칙만 받고, INTERVAL·COUNT·UNTIL·BYDAY 등이 붙은 규칙은 해석하지 않는다.
+ * @param {string} rrule
+ * @returns {CalendarEvent['repeat']|null} 반복 주기 (규칙이 없으면 'none', 해석할 수 없으면 null)
+ */
+function parseIcsRrule(rrule) {
+    const value = String(rrule || '').trim();
+    if (!value) return 'none';
+    const parts = Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+        const [key, ...rest] = part.split('=');
+        return [key.trim().toUpperCase(), rest.join('=').trim().toUpperCase()];
+    }));
+    const repeat = ICS_FREQ_TO_REPEAT[parts.FREQ];
+    const supported = Object.entries(parts).every(([key, val]) => key === 'FREQ' || key === 'WKST' || (key === 'INTERVAL' && Number(val) === 1));
+    return repeat && supported ? repeat : null;
+}
+
+/**
+ * iCalendar 문자열에서 VEVENT 속성 목록을 추출한다
+ * @param {string} text
+ * @returns {Object<string, string>[]} 속성 이름(대문자) → 값
+ */
+function parseIcsEvents(text) {
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (/^BEGIN:VEVENT$/i.test(line)) { current = {}; return; }
+        if (/^END:VEVENT$/i.test(line)) { if (current) events.push(current); current = null; return; }
+        if (!current) return;
+        const colon = line.indexOf(':');
+        if (colon === -1) return;
+        const name = line.slice(0, colon).split(';')[0].toUpperCase();
+        if (!(name in current)) current[name] = line.slice(colon + 1);
+    });
+    return events;
+}
+
+/**
+ * iCalendar 문자열의 일정을 현재 캘린더로 가져온다
+ * - UID가 같은 일정은 갱신하고, 새 일정은 추가한다
+ * - 반복 일정은 현재 인월드 날짜 이후의 첫 회차로 맞춘다
+ * - 현재 인월드 날짜보다 지난 미완료 단발 일정은 날짜 변경 때와 같이 놓침 처리한다
+ * - 해석할 수 없는 RRULE은 반복 없이 DTSTART 한 번으로 가져오고, 원본은 icsRrule에 보관한다
+ * @param {string} text
+ * @returns {{added: number, updated: number, missed: number, unsupportedRules: number}}
+ */
+export function importCalendarIcs(text) {
+    if (!/BEGIN:VCALENDAR/i.test(String(text || ''))) throw new Error('iCalendar 형식이 아닙니다.');
+    const cal = loadCalendar();
+    const today = cal.now.slice(0, 10);
+    let added = 0;
+    let updated = 0;
+    let unsupportedRules = 0;
+
+    parseIcsEvents(text).forEach(props => {
+        const start = parseIcsDateTime(props.DTSTART);
+        const title = unescapeIcsText(props.SUMMARY).trim();
+        if (!start || !title || !parseWorldDateTime(start.date)) return;
+
+        const uid = unescapeIcsText(props.UID).trim();
+        const ownId = uid.endsWith(ICS_UID_SUFFIX) ? uid.slice(0, -ICS_UID_SUFFIX.length) : '';
+        const rrule = String(props.RRULE || unescapeIcsText(props[ICS_ORIGINAL_RRULE_PROP])).trim();
+        const parsedRepeat = parseIcsRrule(rrule);
+        if (!parsedRepeat) unsupportedRules++;
+        const repeat = parsedRepeat || 'none';
+        const imported = {
+            date: start.date,
+            time: start.time,
+            title,
+            description: unescapeIcsText(props.DESCRIPTION).trim(),
+            relatedContactId: unescapeIcsText(props[ICS_CONTACT_PROP]).trim(),
+            repeat,
+            startDate: repeat === 'none' ? undefined : start.date,
+            missed: false,
+            icsRrule: parsedRepeat ? undefined : rrule,
+        };
+        if (repeat !== 'none') {
+            imported.date = getNextOccurrence(imported, start.date < today ? today : start.date) || start.date;
+        }
+        const done = /^COMPLETED$/i.test(props.STATUS || '');
+
+        const existing = cal.events.find(e => (ownId && e.id === ownId) || (uid && e.icsUid === uid));
+        if (existing) {
+            Object.assign(existing, imported, { done });
+            updated++;
+        } else {
+            cal.events.push({
+                id: ownId || generateId(),
+                ...imported,
+                done,
+                reminderDays: null,
+                reminderPrompt: false,
+                icsUid: uid && !ownId ? uid : undefined,
+                chatLength: getContext()?.chat?.length ?? 0,
+            });
+            added++;
+        }
+    });
+
+    // 지난 일정은 날짜가 바뀐 것처럼 놓침 처리해 캐릭터가 반응할 수 있게 한다
+    const missed = added + updated > 0 ? processDayChange(cal).length : 0;
+    if (added + updated > 0) saveCalendar(cal);
+    return { added, updated, missed, unsupportedRules };
+}
+
+/**
+ * 'YYYY-MM' 문자열을 달 단위로 이동한다
+ * @param {string} yearMonth
+ * @param {number} delta
+ * @returns {string}
+ */
+function shiftMonth(yearMonth, delta) {
+    const [year, month] = yearMonth.split('-').map(Number);
+    return toDateString(new Date(Date.UTC(year, month - 1 + delta, 1))).slice(0, 7);
+}
+
+/**
+ * 인월드 시각 설정 서브창을 연다
+ * @param {Function} onSave - 저장 후 콜백
+ */
+function openClockDialog(onSave) {
+    const now = getInWorldNow();
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form';
+
+    const dateInput = createFormField(wrapper, '날짜', 'date', now.slice(0, 10));
+    const timeInput = createFormField(wrapper, '시각', 'time', now.slice(11, 16));
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-secondary';
+    cancelBtn.textContent = '취소';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'slm-btn slm-btn-primary';
+    saveBtn.textContent = '저장';
+
+    footer.appendChild(cancelBtn);
+    footer.appendChild(saveBtn);
+
+    const { close } = createPopup({
+        id: 'calendar-clock',
+        title: '⏰ 인월드 시각 설정',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    saveBtn.onclick = () => {
+        const value = `${dateInput.value}T${normalizeTime(timeInput.value) || '00:00'}`;
+        if (!setInWorldTime(value)) { showToast('날짜를 확인해주세요.', 'warn'); return; }
+        close();
+        onSave();
+        showToast(`인월드 시각: ${formatInWorldTime(value)}`, 'success');
+    };
+}
+
 /**
  * 일정 추가/편집 서브창을 연다
- * @param {Object|null} existing - 편집할 일정 또는 { day } 형태의 기본값
+ * @param {Object|null} existing - 편집할 일정 또는 { date } 형태의 기본값
  * @param {Function} onSave - 저장 후 콜백
  */
 function openEventDialog(existing, onSave) {
@@ -390,28 +1412,7 @@ function openEventDialog(existing, onSave) {
     wrapper.className = 'slm-form';
 
     // 날짜 입력
-    const dayRow = document.createElement('div');
-    dayRow.className = 'slm-input-row';
-
-    const dayLabel = document.createElement('label');
-    dayLabel.className = 'slm-label';
-    dayLabel.textContent = '날짜';
-
-    const dayInput = document.createElement('input');
-    dayInput.className = 'slm-input slm-input-sm';
-    dayInput.type = 'number';
-    dayInput.min = '1';
-    dayInput.max = '30';
-    dayInput.value = String(existing?.day || cal.today);
-
-    const dayUnit = document.createElement('span');
-    dayUnit.className = 'slm-label';
-    dayUnit.textContent = '일';
-
-    dayRow.appendChild(dayLabel);
-    dayRow.appendChild(dayInput);
-    dayRow.appendChild(dayUnit);
-    wrapper.appendChild(dayRow);
+    const dateInput = createFormField(wrapper, '날짜', 'date', existing?.date || cal.now.slice(0, 10));
 
     // 시간 입력
     const timeInput = createFormField(wrapper, '시간', 'time', existing?.time || '');
@@ -422,6 +1423,26 @@ function openEventDialog(existing, onSave) {
     // 내용 입력
     const descInput = createFormField(wrapper, '내용', 'text', existing?.description || '');
 
+    // 반복 주기 선택
+    const repeatSelect = createSelectField(wrapper, '반복', REPEAT_OPTIONS, existing?.repeat || 'none');
+
+    // 미리 알림 선택
+    const reminderSelect = createSelectField(
+        wrapper,
+        '미리 알림',
+        REMINDER_OPTIONS,
+        typeof existing?.reminderDays === 'number' ? String(existing.reminderDays) : '',
+    );
+
+    const reminderPromptLabel = document.createElement('label');
+    reminderPromptLabel.className = 'slm-toggle-label';
+    const reminderPromptCheck = document.createElement('input');
+    reminderPromptCheck.type = 'checkbox';
+    reminderPromptCheck.checked = !!existing?.reminderPrompt;
+    reminderPromptLabel.appendChild(reminderPromptCheck);
+    reminderPromptLabel.appendChild(document.createTextNode(' 알림을 프롬프트에도 주입'));
+    wrapper.appendChild(reminderPromptLabel);
+
     // 관련 인물 선택
     const contactLabel = document.createElement('label');
     contactLabel.className = 'slm-label';
@@ -474,31 +1495,42 @@ function openEventDialog(existing, onSave) {
     saveBtn.onclick = () => {
         const title = titleInput.value.trim();
         if (!title) { showToast('제목을 입력해주세요.', 'warn'); return; }
-
-        const day = parseInt(dayInput.value) || 1;
+        if (!parseWorldDateTime(dateInput.value)) { showToast('날짜를 입력해주세요.', 'warn'); return; }
 
         const c = loadCalendar();
+        const repeat = repeatSelect.value;
+        const dateChanged = existing?.date !== dateInput.value;
         const eventData = {
             id: existing?.id || generateId(),
-            day: normalizeDay(day),
+            date: dateInput.value,
             time: timeInput.value,
             title,
             description: descInput.value.trim(),
             relatedContactId: contactSelect.value,
             done: existing?.done || false,
+            repeat,
+            startDate: repeat === 'none' ? undefined : (dateChanged || !existing?.startDate ? dateInput.value : existing.startDate),
+            reminderDays: reminderSelect.value === '' ? null : Number(reminderSelect.value),
+            reminderPrompt: reminderPromptCheck.checked,
+            // 날짜를 옮기면 놓침 상태와 알림 기록을 초기화한다
+            missed: dateChanged ? false : (existing?.missed || false),
+            remindedFor: dateChanged ? undefined : existing?.remindedFor,
+            chatLength: existing?.chatLength ?? getContext()?.chat?.length ?? 0,
         };
 
         if (isEdit) {
             const idx = c.events.findIndex(e => e.id === existing.id);
-            if (idx !== -1) c.events[idx] = eventData;
+            if (idx !== -1) c.events[idx] = { ...c.events[idx], ...eventData };
         } else {
             c.events.push(eventData);
         }
 
+        const reminders = collectDueReminders(c);
         saveCalendar(c);
         close();
         onSave();
         showToast(isEdit ? '일정 수정 완료' : '일정 추가 완료', 'success');
+        notifyCalendarAlerts(c, { reminders, missed: [] });
     };
 }
 
@@ -520,6 +1552,34 @@ function createFormField(container, label, type, value) {
     return input;
 }
 
+/**
+ * 선택 필드를 생성한다
+ * @param {HTMLElement} container
+ * @param {string} label
+ * @param {{value: string, label: string}[]} options
+ * @param {string} value - 선택된 값
+ * @returns {HTMLSelectElement}
+ */
+function createSelectField(container, label, options, value) {
+    const lbl = document.createElement('label');
+    lbl.className = 'slm-label';
+    lbl.textContent = label;
+
+    const select = document.createElement('select');
+    select.className = 'slm-select';
+    options.forEach(o => {
+        const opt = document.createElement('option');
+        opt.value = o.value;
+        opt.textContent = o.label;
+        if (o.value === value) opt.selected = true;
+        select.appendChild(opt);
+    });
+
+    container.appendChild(lbl);
+    container.appendChild(select);
+    return select;
+}
+
 /**
  * AI(캐릭터)가 원하는 일정을 자동으로 캘린더에 등록한다.
  * generateQuietPrompt로 JSON 형식 일정 데이터를 생성 후 파싱한다.
@@ -531,8 +1591,8 @@ export async function triggerAiSchedule(onSave) {
     const cal = loadCalendar();
 
     const prompt = `You are ${charName}. Based on the current conversation and your personality, suggest one upcoming event you want to schedule with {{user}}. Reply in JSON format only, no extra text:
-{"title": "Event title", "day": <number 1-30>, "time": "HH:MM or empty", "description": "short description"}
-Current day: ${cal.today}. Choose a day within the next 14 days (wrap around 30 if needed).`;
+{"title": "Event title", "date": "YYYY-MM-DD", "time": "HH:MM or empty", "description": "short description"}
+Current in-world time: ${formatInWorldTimeForPrompt(cal.now)}. Choose a date within the next 14 days.`;
 
     try {
         if (!ctx || typeof ctx.generateQuietPrompt !== 'function') {
@@ -545,18 +1605,23 @@ Current day: ${cal.today}. Choose a day within the next 14 days (wrap around 30
         const data = JSON.parse(match[0]);
         const title = (data.title || '').trim();
         if (!title) { showToast('AI 일정 제목이 비어 있습니다.', 'warn'); return; }
-        const parsedDay = parseInt(data.day);
-        const day = normalizeDay(Number.isFinite(parsedDay) ? parsedDay : cal.today + 3);
+        const parsedDate = parseWorldDateTime(String(data.date || '').trim());
+        const date = parsedDate ? toDateString(parsedDate) : toDateString(addDays(parseWorldDateTime(cal.now), 3));
         const c = loadCalendar();
         c.events.push({
             id: generateId(),
-            day,
-            time: data.time || '',
+            date,
+            time: normalizeTime(data.time),
             title,
             description: (data.description || '').trim(),
             relatedContactId: '',
             done: false,
+            repeat: 'none',
+            reminderDays: null,
+            reminderPrompt: false,
+            missed: false,
             addedByAi: true,
+            chatLength: getContext()?.chat?.length ?? 0,
         });
         saveCalendar(c);
         if (typeof onSave === 'function') onSave();
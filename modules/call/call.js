@@ -12,10 +12,11 @@
 
 import { getContext } from '../../utils/st-context.js';
 import { slashSend, slashSendAs, slashGen } from '../../utils/slash.js';
-import { loadData, saveData, getDefaultBinding, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getDefaultBinding, getExtensionSettings, registerSchema } from '../../utils/storage.js';
 import { showToast, escapeHtml, generateId, showConfirm } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
 import { getContacts } from '../contacts/contacts.js';
+import { isGroupRoomMessage } from '../groupchat/groupchat.js';
 
 const MODULE_KEY = 'call-logs';
 const COLLAPSED_KEY = 'call-log-collapsed';
@@ -91,6 +92,25 @@ function pickParticle(name) {
     return '이(가)';
 }
 
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 배열이 아니거나 ID가 없는 통화 기록을 정리한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(log => log && typeof log === 'object')
+            .map(log => ({ ...log, id: log.id || generateId() })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '통화 기록이 배열이 아닙니다.';
+        if (data.some(log => !log?.id || typeof log.contactName !== 'string')) return 'ID나 상대 이름이 없는 통화 기록이 있습니다.';
+        return null;
+    },
+    chatMetadata: true,
+    // 분기 지점 이후 대화 구간을 가진 통화 기록은 지운다
+    trimForBranch: (logs, { chat }) => logs.filter(log => (
+        typeof log.endMessageIdx !== 'number' || log.endMessageIdx < chat.length
+    )),
+});
+
 // 통화 감지 키워드 (설정에서 변경 가능)
 const DEFAULT_KEYWORDS = ['전화할게', '전화 걸게', '전화해도 돼', '전화 줄게', 'call', 'phone'];
 const EXPLICIT_CHAR_CALL_INTENT_RE = /(지금\s*전화(할게|걸게)|곧\s*전화(할게|걸게)|I['’]m calling( you)? now|calling you now)/i;
@@ -333,6 +353,9 @@ export function initCall() {
     // AI 응답 완료 시 통화 키워드 감지 + 통화 중 char 종료 감지 + 비-char 통화 메시지 재주입
     ctx.eventSource.on(eventTypes.CHARACTER_MESSAGE_RENDERED, async () => {
         if (!isCallModuleEnabled()) return;
+        // 단톡방에서 올라온 메시지는 통화 감지·재주입 대상이 아니다
+        const renderedChat = getContext()?.chat || [];
+        if (isGroupRoomMessage(renderedChat[renderedChat.length - 1])) return;
 
         // 통화 중: char 측 통화 종료 감지
         if (callActive) {
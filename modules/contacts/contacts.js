@@ -6,16 +6,146 @@
  * - 연락처 클릭 시 상세 정보 팝업
  * - 컨텍스트에 인물 정보 주입
  * - 채팅별 또는 캐릭터별 바인딩
+ * - vCard(.vcf) 가져오기/내보내기
+ * - 연락처·{{char}}별 호감도 (캐릭터 메시지마다 AI가 변화 판별, 게이지·추이 차트, 컨텍스트 주입)
+ * - 인물 관계도 (연락처 사이 관계, 끌어서 배치·잇기, 최근 언급된 인물의 관계를 컨텍스트에 주입)
  */
 
 import { getContext } from '../../utils/st-context.js';
-import { loadData, saveData, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getExtensionSettings, getDefaultBinding, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
-import { showToast, escapeHtml, generateId } from '../../utils/ui.js';
+import { showToast, showPrompt, escapeHtml, generateId } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
+import { getContactDebt, renameDebtCounterpart } from '../wallet/wallet.js';
+import { getInWorldNow } from '../calendar/calendar.js';
+import { isGroupRoomMessage } from '../groupchat/groupchat.js';
+import { downloadTextFile, pickRecordsFile } from '../../utils/records-io.js';
+import { parseVCards, buildVCard, escapeVCardText, unescapeVCardText, splitVCardList } from '../../utils/vcard.js';
 
 const MODULE_KEY = 'contacts';
 const MAX_AI_CONTACT_KEYWORD_LENGTH = 200;
+// vCard 표준 속성에 없는 연락처 필드 → X- 속성 이름
+const VCARD_X_FIELDS = {
+    relationToUser: 'X-ST-LIFESIM-RELATION-TO-USER',
+    relationToChar: 'X-ST-LIFESIM-RELATION-TO-CHAR',
+    personality: 'X-ST-LIFESIM-PERSONALITY',
+    appearanceTags: 'X-ST-LIFESIM-APPEARANCE-TAGS',
+};
+const AFFINITY_KEY = 'contact-affinity';
+const AFFINITY_DEFAULT = 50;
+// 한 번의 판별로 움직일 수 있는 최대 폭
+const AFFINITY_MAX_DELTA = 10;
+// 한 메시지에서 판별할 최대 인원 (보낸 캐릭터 + 언급된 연락처)
+const AFFINITY_MAX_TARGETS = 4;
+const AFFINITY_EVAL_MAX_TEXT = 1200;
+const AFFINITY_HISTORY_LIMIT = 60;
+const AFFINITY_RECENT_SHOWN = 5;
+// 감정·관계 변화 단서 (없고 다른 연락처도 언급되지 않으면 AI 판별을 건너뛴다)
+const AFFINITY_CUE_RE = /(좋아|사랑|싫어|미워|고마|감사|미안|사과|용서|화났|화나|짜증|실망|서운|섭섭|감동|설레|질투|배신|고백|헤어지|헤어져|키스|안아|포옹|눈물|울었|울면서|싸우|싸웠|다퉜|믿어|믿을|약속|love|hate|sorry|thank|angry|upset|jealous|betray|confess|kiss|hug|forgive|trust|promise|break up)/i;
+// 점수 구간별 단계 (높은 구간부터)
+const AFFINITY_LEVELS = [
+    { min: 85, label: '깊은 애정', prompt: 'deeply attached and fully trusting' },
+    { min: 65, label: '호감', prompt: 'warm and friendly' },
+    { min: 40, label: '보통', prompt: 'neutral' },
+    { min: 20, label: '서먹함', prompt: 'distant and guarded' },
+    { min: 0, label: '적대', prompt: 'cold and hostile' },
+];
+const RELATIONS_KEY = 'contact-relations';
+// 관계 종류 (directed: 한쪽 방향 관계, 1 → 2)
+const RELATION_TYPES = [
+    { key: 'friend', label: '친구', prompt: 'friends' },
+    { key: 'lover', label: '연인', prompt: 'lovers' },
+    { key: 'ex', label: '전 연인', prompt: 'exes' },
+    { key: 'crush', label: '짝사랑', prompt: 'has a crush on', directed: true },
+    { key: 'sibling', label: '형제자매', prompt: 'siblings' },
+    { key: 'family', label: '가족', prompt: 'family' },
+    { key: 'coworker', label: '직장 동료', prompt: 'coworkers' },
+    { key: 'classmate', label: '동창', prompt: 'classmates' },
+    { key: 'rival', label: '라이벌', prompt: 'rivals' },
+    { key: 'dislike', label: '싫어함', prompt: 'dislikes', directed: true },
+    { key: 'other', label: '기타', prompt: '' },
+];
+// 컨텍스트에서 '최근 언급'으로 보는 메시지 수와 넣을 관계 수
+const RELATION_CONTEXT_MESSAGES = 6;
+const RELATION_CONTEXT_MAX = 12;
+const GRAPH_SIZE = 320;
+const GRAPH_NODE_RADIUS = 18;
+let lastAffinitySignature = '';
+let affinityListenerRegistered = false;
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: ID 없는 연락처에 ID를 부여하고 태그를 배열로 보정한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(c => c && typeof c === 'object')
+            .map(c => ({
+                ...c,
+                id: c.id || generateId(),
+                tags: Array.isArray(c.tags) ? c.tags : [],
+            })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '연락처 목록이 배열이 아닙니다.';
+        if (data.some(c => !c?.id || typeof c.name !== 'string')) return 'ID나 이름이 없는 연락처가 있습니다.';
+        return null;
+    },
+    // 예전 버전은 {{char}} 연락처를 채팅 바인딩에 두었다. 캐릭터 목록에 아직 없으면 채팅 목록에서 옮겨 온다.
+    relocate: {
+        from: (binding) => (binding === 'character' ? 'chat' : null),
+        apply: (chatContacts, charContacts) => {
+            const charName = getContext()?.name2;
+            const current = charContacts || [];
+            if (!charName || current.some(c => c.isCharAuto || c.name === charName)) return null;
+            const idx = chatContacts.findIndex(c => c.isCharAuto || c.name === charName);
+            if (idx === -1) return null;
+            return {
+                data: [...current, { ...chatContacts[idx], binding: 'character', isCharAuto: true }],
+                legacy: chatContacts.filter((_, i) => i !== idx),
+            };
+        },
+    },
+});
+registerSchema(AFFINITY_KEY, {
+    migrations: [
+        // v0 → v1: 이름별 { score, history } 형태로 보정한다
+        (data) => Object.fromEntries(Object.entries(data && typeof data === 'object' && !Array.isArray(data) ? data : {})
+            .filter(([, record]) => record && typeof record === 'object')
+            .map(([name, record]) => [name, {
+                score: Math.max(0, Math.min(100, Number(record.score ?? AFFINITY_DEFAULT) || 0)),
+                history: Array.isArray(record.history) ? record.history : [],
+            }])),
+    ],
+    validate: (data) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return '호감도 데이터가 객체가 아닙니다.';
+        if (Object.values(data).some(record => typeof record?.score !== 'number')) return '점수가 없는 호감도 기록이 있습니다.';
+        return null;
+    },
+    chatMetadata: true,
+    // 분기 지점 이후에 생긴 변화는 지우고 점수를 그 시점으로 되돌린다
+    trimForBranch: (data, { chat }) => Object.fromEntries(Object.entries(data).map(([name, record]) => {
+        const history = record.history.filter(entry => typeof entry.chatLength !== 'number' || entry.chatLength <= chat.length);
+        return [name, { score: history[history.length - 1]?.score ?? AFFINITY_DEFAULT, history }];
+    })),
+});
+registerSchema(RELATIONS_KEY, {
+    migrations: [
+        // v0 → v1: { relations, positions } 형태로 보정하고 관계에 ID를 붙인다
+        (data) => {
+            const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+            return {
+                relations: (Array.isArray(source.relations) ? source.relations : [])
+                    .filter(rel => rel && typeof rel === 'object' && rel.from && rel.to)
+                    .map(rel => ({ ...rel, id: rel.id || generateId(), type: rel.type || 'other' })),
+                positions: source.positions && typeof source.positions === 'object' ? source.positions : {},
+            };
+        },
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data?.relations)) return '관계 목록이 배열이 아닙니다.';
+        if (data.relations.some(rel => !rel?.id || !rel.from || !rel.to)) return 'ID나 인물이 없는 관계가 있습니다.';
+        return null;
+    },
+});
 const MODEL_KEY_BY_SOURCE = {
     openai: 'openai_model',
     claude: 'claude_model',
@@ -62,6 +192,32 @@ const MODEL_KEY_BY_SOURCE = {
  * @property {boolean} [isUserAuto] - {{user}} 자동 추가 여부
  */
 
+/**
+ * @typedef {Object} AffinityEntry
+ * @property {number} score - 변화 후 점수 (0~100)
+ * @property {number} delta
+ * @property {string} reason
+ * @property {string} worldDate - 인월드 날짜 (YYYY-MM-DD)
+ * @property {number} chatLength - 판별 당시 채팅 메시지 수 (분기 정리용)
+ * @property {string} date - 실제 기록 시각 (ISO)
+ * @property {boolean} [auto] - AI 판별 여부 (직접 조정은 false)
+ */
+
+/**
+ * @typedef {Object} ContactRelation
+ * @property {string} id
+ * @property {string} from - 연락처 이름
+ * @property {string} to - 연락처 이름
+ * @property {string} type - RELATION_TYPES의 key
+ * @property {string} [label] - type이 'other'일 때 관계 이름
+ */
+
+/**
+ * @typedef {Object} AffinityRecord
+ * @property {number} score - 현재 점수 (0 적대 ~ 50 보통 ~ 100 깊은 애정)
+ * @property {AffinityEntry[]} history
+ */
+
 /**
  * 저장된 연락처 목록을 불러온다
  * @param {'chat'|'character'} binding
@@ -112,8 +268,6 @@ function ensureCharContact() {
 
     const contacts = loadContacts('character');
     const existing = contacts.find(c => c.isCharAuto || c.name === charName);
-    const chatContacts = loadContacts('chat');
-    const legacyChatIdx = chatContacts.findIndex(c => c.isCharAuto || c.name === charName);
     const syncedAvatar = ctx.characters?.[ctx.characterId]?.avatar
         ? `/characters/${ctx.characters?.[ctx.characterId]?.avatar}`
         : '';
@@ -130,23 +284,6 @@ function ensureCharContact() {
         return;
     }
 
-    if (legacyChatIdx !== -1) {
-        const legacy = chatContacts[legacyChatIdx];
-        contacts.push({
-            ...legacy,
-            name: charName,
-            avatar: legacy.avatar || syncedAvatar,
-            description: legacy.description || syncedDescription,
-            personality: legacy.personality || syncedPersonality,
-            binding: 'character',
-            isCharAuto: true,
-        });
-        saveContacts(contacts, 'character');
-        const remainingChatContacts = chatContacts.filter((_, idx) => idx !== legacyChatIdx);
-        saveContacts(remainingChatContacts, 'chat');
-        return;
-    }
-
     contacts.push({
         id: generateId(),
         name: charName,
@@ -243,6 +380,19 @@ export function initContacts() {
         return `=== Contacts ===\n${lines.join('\n')}\n→ These characters may contact {{user}} or be mentioned in {{char}}'s conversation at any time.`;
     });
 
+    // 호감도 (기록이 있는 인물만)
+    registerContextBuilder('contact-affinity', () => {
+        const entries = Object.entries(loadAffinity()).filter(([, record]) => record.history.length > 0);
+        if (entries.length === 0) return null;
+        const lines = entries.map(([name, record]) => {
+            const last = record.history[record.history.length - 1];
+            let line = `• ${name} → {{user}}: ${record.score}/100 (${getAffinityLevel(record.score).prompt})`;
+            if (last?.reason && last.delta !== 0) line += ` | recent change ${last.delta > 0 ? '+' : ''}${last.delta}: ${last.reason}`;
+            return line;
+        });
+        return `=== Affinity ===\n${lines.join('\n')}\n→ Let each character's tone and openness toward {{user}} follow their affinity: guarded or cold when low, warm and open when high. Shift gradually, not abruptly.`;
+    });
+
     // 채팅 로드 시 {{char}} 자동 추가
     const ctx = getContext();
     const resolvedEventTypes = ctx?.event_types || ctx?.eventTypes;
@@ -260,6 +410,17 @@ export function initContacts() {
     }
     // 즉시도 한번 실행
     syncAutoContacts();
+
+    // 최근 언급된 인물의 관계
+    registerContextBuilder('contact-relations', buildRelationContext);
+
+    // 캐릭터 메시지마다 호감도 변화 판별
+    if (ctx?.eventSource && resolvedEventTypes?.CHARACTER_MESSAGE_RENDERED && !affinityListenerRegistered) {
+        affinityListenerRegistered = true;
+        ctx.eventSource.on(resolvedEventTypes.CHARACTER_MESSAGE_RENDERED, () => {
+            evaluateAffinityFromChat().catch(e => console.error('[ST-LifeSim] 호감도 판별 오류:', e));
+        });
+    }
 }
 
 /**
@@ -311,9 +472,38 @@ function buildContactsContent() {
         refreshAutoContacts();
         renderList();
     };
+    const importBtn = document.createElement('button');
+    importBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    importBtn.textContent = '📥 vCard';
+    importBtn.title = '.vcf 파일에서 연락처 가져오기 (같은 UID·이름은 건너뜀)';
+    importBtn.onclick = () => pickRecordsFile(file => {
+        try {
+            const added = importVCardContacts(file.text, 'chat');
+            if (added === 0) { showToast('새로 추가된 연락처가 없습니다.', 'info'); return; }
+            renderList();
+            showToast(`연락처 ${added}개 가져오기 완료`, 'success');
+        } catch (err) {
+            showToast('가져오기 실패: ' + err.message, 'error');
+        }
+    }, '.vcf,.vcard,text/vcard,text/x-vcard');
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    exportBtn.textContent = '📤 vCard';
+    exportBtn.title = '모든 연락처를 vCard 4.0(.vcf)으로 내보내기';
+    exportBtn.onclick = () => exportContactsAsVCard(
+        [...loadContacts('chat'), ...loadContacts('character')],
+        `st-lifesim-contacts-${new Date().toISOString().slice(0, 10)}.vcf`,
+    );
     actionRow.appendChild(addBtn);
     actionRow.appendChild(aiAddBtn);
     actionRow.appendChild(refreshBtn);
+    const graphBtn = document.createElement('button');
+    graphBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    graphBtn.textContent = '🕸️ 관계도';
+    graphBtn.onclick = () => openRelationGraphPopup();
+    actionRow.appendChild(importBtn);
+    actionRow.appendChild(exportBtn);
+    actionRow.appendChild(graphBtn);
     wrapper.appendChild(actionRow);
 
     // 연락처 목록
@@ -462,8 +652,10 @@ function openContactDetailPopup(contact) {
     const fieldDefs = [
         { label: '다른 언어 이름', value: contact.subName },
         { label: '관계', value: contact.relationToUser },
+        { label: '전화번호', value: contact.phone },
         { label: '성격/말투', value: contact.personality },
         { label: '외관 태그', value: contact.appearanceTags },
+        { label: '태그', value: (contact.tags || []).join(', ') },
     ];
 
     fieldDefs.forEach(({ label, value }) => {
@@ -477,12 +669,57 @@ function openContactDetailPopup(contact) {
         fields.appendChild(row);
     });
 
+    // 관계도에 등록된 다른 인물과의 관계
+    const relationText = loadRelations().relations
+        .filter(rel => rel.from === contact.name || rel.to === contact.name)
+        .map(rel => {
+            const other = rel.from === contact.name ? rel.to : rel.from;
+            const arrow = getRelationType(rel.type).directed ? (rel.from === contact.name ? '→ ' : '← ') : '';
+            return `${arrow}${other} (${getRelationLabel(rel)})`;
+        })
+        .join(', ');
+    if (relationText) {
+        const row = document.createElement('div');
+        row.className = 'slm-contact-field-row';
+        row.innerHTML = `
+            <span class="slm-contact-field-label">인물 관계</span>
+            <span class="slm-contact-field-value">${escapeHtml(relationText)}</span>
+        `;
+        fields.appendChild(row);
+    }
+
     wrapper.appendChild(fields);
+    if (!contact.isUserAuto) fields.appendChild(buildAffinitySection(contact));
+
+    // 지갑 장부에 남은 빚
+    const debt = getContactDebt(contact);
+    if (debt && debt.balance !== 0) {
+        const row = document.createElement('div');
+        row.className = 'slm-contact-field-row';
+        const label = debt.balance > 0 ? '받을 돈' : '갚을 돈';
+        row.innerHTML = `
+            <span class="slm-contact-field-label">${escapeHtml(label)}</span>
+            <span class="slm-contact-field-value">${escapeHtml(debt.amountText)} · ${debt.entries.length}건</span>
+        `;
+        fields.appendChild(row);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const vcardBtn = document.createElement('button');
+    vcardBtn.className = 'slm-btn slm-btn-secondary';
+    vcardBtn.textContent = '📇 vCard로 내보내기';
+    vcardBtn.onclick = () => {
+        const safeName = getContactDisplayName(contact).replace(/[\\/:*?"<>|]/g, '_') || 'contact';
+        exportContactsAsVCard([contact], `${safeName}.vcf`);
+    };
+    footer.appendChild(vcardBtn);
 
     createPopup({
         id: 'contact-detail',
         title: `👤 ${getContactDisplayName(contact)}`,
         content: wrapper,
+        footer,
         className: 'slm-sub-panel',
         onBack: () => openContactsPopup(),
     });
@@ -506,6 +743,7 @@ function openContactDialog(existing, defaultBinding, onSave) {
         description: createFormField(wrapper, '설명', 'text', existing?.description || ''),
         relationToUser: createFormField(wrapper, '{{user}}와의 관계 *', 'text', existing?.relationToUser || ''),
         relationToChar: createFormField(wrapper, '{{char}}와의 관계', 'text', existing?.relationToChar || ''),
+        phone: createFormField(wrapper, '전화번호', 'tel', existing?.phone || ''),
         personality: createFormField(wrapper, '성격/말투', 'text', existing?.personality || ''),
         appearanceTags: createFormField(wrapper, '🏷️ 외관 태그 (이미지 생성용)', 'text', existing?.appearanceTags || ''),
     };
@@ -600,7 +838,7 @@ function openContactDialog(existing, defaultBinding, onSave) {
             relationToUser: isUserAuto ? (existing?.relationToUser || '본인') : relationToUser,
             relationToChar: fields.relationToChar.value.trim(),
             personality: fields.personality.value.trim(),
-            phone: '',
+            phone: fields.phone.value.trim(),
             tags: existing?.tags || [],
             appearanceTags: fields.appearanceTags.value.trim(),
             binding: targetBinding,
@@ -611,6 +849,7 @@ function openContactDialog(existing, defaultBinding, onSave) {
         if (isEdit) {
             const idx = sourceContacts.findIndex(c => c.id === existing.id);
             if (idx !== -1) sourceContacts.splice(idx, 1);
+            renameContactReferences(existing.name, canonicalName, data.id);
         }
         targetContacts.push(data);
         if (targetBinding !== sourceBinding) {
@@ -798,6 +1037,771 @@ function createFormField(container, label, type, value) {
     return input;
 }
 
+/**
+ * 연락처를 vCard 4.0 한 장으로 만든다
+ * 표준 속성에 없는 관계·성격·외관 태그는 X- 속성으로 보존한다.
+ * @param {Contact} contact
+ * @returns {string}
+ */
+function contactToVCard(contact) {
+    let photo = String(contact.avatar || '').trim();
+    // /characters/... 같은 상대 경로는 다른 앱에서도 열 수 있게 절대 주소로 바꾼다
+    if (photo.startsWith('/') && typeof window !== 'undefined' && window.location?.origin) {
+        photo = `${window.location.origin}${photo}`;
+    }
+    const properties = [
+        ['UID', contact.id],
+        ['FN', escapeVCardText(getContactDisplayName(contact))],
+        ['NICKNAME', escapeVCardText(contact.subName || '')],
+        ['TEL;VALUE=text', escapeVCardText(contact.phone || '')],
+        ['NOTE', escapeVCardText(contact.description || '')],
+        ['PHOTO', photo],
+        ['CATEGORIES', (contact.tags || []).map(escapeVCardText).join(',')],
+    ];
+    Object.entries(VCARD_X_FIELDS).forEach(([field, prop]) => {
+        properties.push([prop, escapeVCardText(contact[field] || '')]);
+    });
+    return buildVCard(properties);
+}
+
+/**
+ * vCard 한 장의 속성 목록을 연락처로 바꾼다
+ * @param {import('../../utils/vcard.js').VCardProperty[]} props
+ * @param {'chat'|'character'} binding
+ * @returns {Contact|null} 이름이 없으면 null
+ */
+function vCardToContact(props, binding) {
+    const find = (name) => props.find(p => p.name === name);
+    const text = (name) => unescapeVCardText(find(name)?.value || '').trim();
+
+    let name = text('FN');
+    if (!name && find('N')) {
+        const [family = '', given = ''] = find('N').value.split(/(?<!\\);/).map(part => unescapeVCardText(part).trim());
+        // 한중일 이름은 성+이름을 붙여 쓰고, 그 외에는 '이름 성' 순서로 쓴다
+        name = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/.test(family + given)
+            ? `${family}${given}`
+            : [given, family].filter(Boolean).join(' ');
+    }
+    if (!name) return null;
+
+    let avatar = '';
+    const photo = find('PHOTO');
+    if (photo) {
+        const encoding = String(photo.params.ENCODING || '').toUpperCase();
+        avatar = encoding === 'B' || encoding === 'BASE64'
+            ? `data:image/${String(photo.params.TYPE || 'jpeg').split(',')[0].toLowerCase()};base64,${photo.value.trim()}`
+            : photo.value.trim();
+    }
+
+    const contact = {
+        id: String(find('UID')?.value || '').trim() || generateId(),
+        name,
+        displayName: '',
+        subName: splitVCardList(find('NICKNAME')?.value)[0] || '',
+        avatar,
+        description: text('NOTE'),
+        relationToUser: '',
+        relationToChar: '',
+        personality: '',
+        phone: text('TEL').replace(/^tel:/i, ''),
+        tags: splitVCardList(find('CATEGORIES')?.value),
+        appearanceTags: '',
+        binding,
+    };
+    Object.entries(VCARD_X_FIELDS).forEach(([field, prop]) => {
+        contact[field] = text(prop);
+    });
+    return contact;
+}
+
+/**
+ * 연락처 목록을 .vcf 파일로 내려받는다
+ * @param {Contact[]} contacts
+ * @param {string} filename
+ */
+function exportContactsAsVCard(contacts, filename) {
+    if (contacts.length === 0) {
+        showToast('내보낼 연락처가 없습니다.', 'warn');
+        return;
+    }
+    downloadTextFile(contacts.map(contactToVCard).join(''), filename, 'text/vcard');
+    showToast(`연락처 ${contacts.length}개 vCard 내보내기 완료`, 'success');
+}
+
+/**
+ * .vcf 텍스트의 연락처를 가져온다
+ * 같은 UID나 같은 이름의 연락처가 이미 있으면 건너뛴다.
+ * @param {string} text
+ * @param {'chat'|'character'} binding
+ * @returns {number} 새로 추가된 연락처 수
+ */
+function importVCardContacts(text, binding = 'chat') {
+    const cards = parseVCards(text);
+    if (cards.length === 0) throw new Error('vCard를 찾지 못했습니다.');
+    const known = [...loadContacts('chat'), ...loadContacts('character')];
+    const knownIds = new Set(known.map(c => c.id));
+    const knownNames = new Set(known.flatMap(c => [c.name, c.displayName]).filter(Boolean).map(n => n.toLowerCase()));
+    const target = loadContacts(binding);
+    let added = 0;
+    cards.forEach(props => {
+        const contact = vCardToContact(props, binding);
+        if (!contact || knownIds.has(contact.id) || knownNames.has(contact.name.toLowerCase())) return;
+        knownIds.add(contact.id);
+        knownNames.add(contact.name.toLowerCase());
+        target.push(contact);
+        added++;
+    });
+    if (added > 0) saveContacts(target, binding);
+    return added;
+}
+
+/**
+ * 호감도 데이터를 불러온다
+ * @returns {Object<string, AffinityRecord>}
+ */
+function loadAffinity() {
+    return loadData(AFFINITY_KEY, {}, getDefaultBinding());
+}
+
+/**
+ * 호감도 데이터를 저장한다
+ * @param {Object<string, AffinityRecord>} data
+ */
+function saveAffinity(data) {
+    saveData(AFFINITY_KEY, data, getDefaultBinding());
+}
+
+/**
+ * 점수에 맞는 호감도 단계를 반환한다
+ * @param {number} score
+ * @returns {{ min: number, label: string, prompt: string }}
+ */
+function getAffinityLevel(score) {
+    return AFFINITY_LEVELS.find(level => score >= level.min) || AFFINITY_LEVELS[AFFINITY_LEVELS.length - 1];
+}
+
+/**
+ * 연락처의 현재 호감도를 반환한다 (기록이 없으면 기본값)
+ * @param {string} name - 연락처 이름 (canonical name)
+ * @returns {AffinityRecord}
+ */
+export function getContactAffinity(name) {
+    const record = loadAffinity()[name];
+    return record || { score: AFFINITY_DEFAULT, history: [] };
+}
+
+/**
+ * 같은 메시지 자리(chatLength)에서 AI가 판별한 변화를 되돌린다 (스와이프·재생성 대비)
+ * @param {Object<string, AffinityRecord>} data
+ * @param {number} chatLength
+ * @returns {boolean} 되돌린 변화가 있는지
+ */
+function revertAffinityAt(data, chatLength) {
+    let reverted = false;
+    Object.entries(data).forEach(([name, record]) => {
+        const last = record.history[record.history.length - 1];
+        if (!last?.auto || last.chatLength !== chatLength) return;
+        record.history.pop();
+        record.score = record.history[record.history.length - 1]?.score ?? AFFINITY_DEFAULT;
+        if (record.history.length === 0) delete data[name];
+        reverted = true;
+    });
+    return reverted;
+}
+
+/**
+ * 호감도 변화를 기록한다
+ * @param {Object<string, AffinityRecord>} data
+ * @param {string} name
+ * @param {number} delta
+ * @param {string} reason
+ * @param {number} chatLength
+ * @returns {AffinityRecord}
+ */
+function applyAffinityChange(data, name, delta, reason, chatLength) {
+    const record = data[name] || { score: AFFINITY_DEFAULT, history: [] };
+    record.score = Math.max(0, Math.min(100, record.score + delta));
+    record.history.push({
+        score: record.score,
+        delta,
+        reason,
+        worldDate: getInWorldNow().slice(0, 10),
+        chatLength,
+        date: new Date().toISOString(),
+        auto: true,
+    });
+    record.history = record.history.slice(-AFFINITY_HISTORY_LIMIT);
+    data[name] = record;
+    return record;
+}
+
+/**
+ * 호감도를 직접 정한 값으로 바꾼다
+ * @param {string} name
+ * @param {number} score
+ */
+function setContactAffinity(name, score) {
+    const data = loadAffinity();
+    const record = data[name] || { score: AFFINITY_DEFAULT, history: [] };
+    const next = Math.max(0, Math.min(100, Math.round(score)));
+    record.history.push({
+        score: next,
+        delta: next - record.score,
+        reason: '직접 조정',
+        worldDate: getInWorldNow().slice(0, 10),
+        chatLength: getContext()?.chat?.length ?? 0,
+        date: new Date().toISOString(),
+    });
+    record.history = record.history.slice(-AFFINITY_HISTORY_LIMIT);
+    record.score = next;
+    data[name] = record;
+    saveAffinity(data);
+}
+
+/**
+ * 캐릭터 메시지를 보고 등장 인물들의 {{user}}에 대한 호감도 변화를 AI로 판별해 반영한다 (설정에서 켠 경우만)
+ * 대상: 메시지를 보낸 캐릭터 + 메시지에 이름이 나온 연락처
+ * 감정 단서가 없고 다른 연락처도 언급되지 않은 메시지는 AI를 부르지 않는다.
+ */
+async function evaluateAffinityFromChat() {
+    if (!getExtensionSettings()?.['st-lifesim']?.affinityEnabled) return;
+    const ctx = getContext();
+    if (!ctx || typeof ctx.generateQuietPrompt !== 'function') return;
+    const chat = ctx.chat || [];
+    const lastIdx = chat.length - 1;
+    const lastMsg = chat[lastIdx];
+    if (!lastMsg || lastMsg.is_user || lastMsg.is_system || isGroupRoomMessage(lastMsg)) return;
+    const text = String(lastMsg.mes || '').replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ').trim();
+    if (!text) return;
+
+    const signature = `${lastIdx}:${text.slice(0, 180)}`;
+    if (signature === lastAffinitySignature) return;
+    lastAffinitySignature = signature;
+
+    const speaker = lastMsg.name || ctx.name2 || '';
+    const textLower = text.toLowerCase();
+    const mentioned = [...loadContacts('chat'), ...loadContacts('character')]
+        .filter(c => !c.isUserAuto && c.name !== speaker)
+        .filter(c => [c.name, c.displayName, c.subName].some(name => isNameMentioned(textLower, name)))
+        .map(c => c.name);
+    const targets = [...new Set([speaker, ...mentioned])].filter(Boolean).slice(0, AFFINITY_MAX_TARGETS);
+    const lastUserMsg = [...chat.slice(0, lastIdx)].reverse().find(m => m?.is_user && !m.is_system);
+    const userText = String(lastUserMsg?.mes || '').replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ').trim();
+
+    // 스와이프로 바뀐 메시지면 이전 판별 결과를 빼고 본다
+    const data = loadAffinity();
+    const reverted = revertAffinityAt(data, chat.length);
+    if (targets.length === 0 || (mentioned.length === 0 && !AFFINITY_CUE_RE.test(`${userText}\n${text}`))) {
+        if (reverted) saveAffinity(data);
+        return;
+    }
+    const prompt = `Judge how the latest exchange changes each listed person's feelings toward {{user}}.
+${userText ? `{{user}}: "${userText.slice(0, AFFINITY_EVAL_MAX_TEXT)}"\n` : ''}${speaker}: "${text.slice(0, AFFINITY_EVAL_MAX_TEXT)}"
+Current affinity toward {{user}} (0 = hostile, 50 = neutral, 100 = deeply devoted):
+${targets.map(name => `- ${name}: ${(data[name]?.score ?? AFFINITY_DEFAULT)}`).join('\n')}
+Most messages change nothing (0). Use ±1~3 for small shifts and up to ±${AFFINITY_MAX_DELTA} only for major events (confession, betrayal, big fight).
+Reply in JSON only, no extra text:
+{"changes": [{"name": "exact name from the list", "delta": integer, "reason": "short reason in Korean"}]}`;
+
+    let changes;
+    try {
+        const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: speaker }) || '';
+        const match = raw.match(/\{[\s\S]*\}/);
+        changes = match ? JSON.parse(match[0])?.changes : null;
+    } catch (e) {
+        console.error('[ST-LifeSim] 호감도 판별 오류:', e);
+        return;
+    }
+    if (!Array.isArray(changes)) return;
+
+    // AI 응답을 기다리는 동안 메시지가 바뀌었으면 (스와이프·삭제) 반영하지 않는다
+    if (getContext()?.chat?.[lastIdx] !== lastMsg) return;
+
+    const latest = loadAffinity();
+    let changed = revertAffinityAt(latest, chat.length);
+    changes.forEach(change => {
+        const name = targets.find(target => target === String(change?.name || '').trim());
+        const delta = Math.max(-AFFINITY_MAX_DELTA, Math.min(AFFINITY_MAX_DELTA, Math.round(Number(change?.delta) || 0)));
+        if (!name || delta === 0) return;
+        applyAffinityChange(latest, name, delta, String(change.reason || '').trim().slice(0, 80), chat.length);
+        changed = true;
+    });
+    if (changed) saveAffinity(latest);
+}
+
+/**
+ * 호감도 추이 차트 SVG를 만든다
+ * @param {AffinityEntry[]} history
+ * @returns {string}
+ */
+function buildAffinityChartSvg(history) {
+    const width = 320;
+    const height = 100;
+    const pad = { top: 8, right: 8, bottom: 16, left: 8 };
+    const series = [{ score: history[0].score - history[0].delta, worldDate: '' }, ...history];
+    const stepX = (width - pad.left - pad.right) / Math.max(series.length - 1, 1);
+    const toY = score => pad.top + (1 - score / 100) * (height - pad.top - pad.bottom);
+    const points = series.map((entry, i) => `${(pad.left + i * stepX).toFixed(1)},${toY(entry.score).toFixed(1)}`).join(' ');
+    const first = history[0].worldDate || '';
+    const last = history[history.length - 1].worldDate || '';
+    return `<svg class="slm-affinity-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="호감도 추이">`
+        + `<line x1="${pad.left}" x2="${width - pad.right}" y1="${toY(AFFINITY_DEFAULT).toFixed(1)}" y2="${toY(AFFINITY_DEFAULT).toFixed(1)}" stroke="currentColor" stroke-opacity="0.3" stroke-dasharray="4 3"></line>`
+        + `<polyline points="${points}" fill="none" stroke="#e76f9a" stroke-width="2" stroke-linejoin="round"></polyline>`
+        + `<text x="${pad.left}" y="${height - 3}" font-size="10" fill="currentColor">${escapeHtml(first)}</text>`
+        + `<text x="${width - pad.right}" y="${height - 3}" font-size="10" fill="currentColor" text-anchor="end">${escapeHtml(last)}</text>`
+        + '</svg>';
+}
+
+/**
+ * 연락처 상세 팝업의 호감도 영역을 만든다 (게이지, 직접 조정, 추이 차트, 최근 변화)
+ * @param {Contact} contact
+ * @returns {HTMLElement}
+ */
+function buildAffinitySection(contact) {
+    const section = document.createElement('div');
+    section.className = 'slm-affinity';
+
+    const render = () => {
+        const { score, history } = getContactAffinity(contact.name);
+        const level = getAffinityLevel(score);
+        section.innerHTML = `
+            <div class="slm-affinity-head">
+                <span class="slm-contact-field-label">💞 호감도</span>
+                <span class="slm-affinity-score">${score} · ${escapeHtml(level.label)}</span>
+            </div>
+            <div class="slm-affinity-gauge"><div class="slm-affinity-gauge-fill" style="width:${score}%"></div></div>
+        `;
+        const adjustBtn = document.createElement('button');
+        adjustBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+        adjustBtn.textContent = '✏️ 조정';
+        adjustBtn.onclick = async () => {
+            const input = await showPrompt('호감도 (0~100)', String(score), '50 = 보통');
+            if (input === null) return;
+            const value = Number(input);
+            if (!Number.isFinite(value)) { showToast('숫자를 입력하세요.', 'warn'); return; }
+            setContactAffinity(contact.name, value);
+            render();
+        };
+        section.querySelector('.slm-affinity-head').appendChild(adjustBtn);
+
+        if (history.length === 0) return;
+        section.insertAdjacentHTML('beforeend', buildAffinityChartSvg(history));
+        const recent = history.slice(-AFFINITY_RECENT_SHOWN).reverse();
+        section.insertAdjacentHTML('beforeend', `<div class="slm-affinity-history">${recent.map(entry => (
+            `<div class="slm-affinity-history-row"><span class="slm-affinity-delta ${entry.delta >= 0 ? 'up' : 'down'}">${entry.delta >= 0 ? '+' : ''}${entry.delta}</span> ${escapeHtml(entry.reason || '')}<span class="slm-affinity-date">${escapeHtml(entry.worldDate || '')}</span></div>`
+        )).join('')}</div>`);
+    };
+    render();
+    return section;
+}
+
+/**
+ * 인물 관계 데이터를 불러온다
+ * @returns {{ relations: ContactRelation[], positions: Object<string, {x: number, y: number}> }}
+ */
+function loadRelations() {
+    return loadData(RELATIONS_KEY, { relations: [], positions: {} }, getDefaultBinding());
+}
+
+/**
+ * 인물 관계 데이터를 저장한다
+ * @param {{ relations: ContactRelation[], positions: Object<string, {x: number, y: number}> }} data
+ */
+function saveRelations(data) {
+    saveData(RELATIONS_KEY, data, getDefaultBinding());
+}
+
+/**
+ * 관계 종류를 반환한다 (모르는 값이면 '기타')
+ * @param {string} key
+ */
+function getRelationType(key) {
+    return RELATION_TYPES.find(type => type.key === key) || RELATION_TYPES[RELATION_TYPES.length - 1];
+}
+
+/**
+ * 관계 이름을 반환한다 (기타는 직접 적은 이름)
+ * @param {ContactRelation} rel
+ * @returns {string}
+ */
+function getRelationLabel(rel) {
+    const type = getRelationType(rel.type);
+    return type.key === 'other' ? (rel.label || type.label) : type.label;
+}
+
+/**
+ * 관계를 컨텍스트용 한 줄로 만든다
+ * @param {ContactRelation} rel
+ * @returns {string}
+ */
+function describeRelation(rel) {
+    const type = getRelationType(rel.type);
+    const label = type.key === 'other' ? (rel.label || 'related') : type.prompt;
+    return type.directed ? `${rel.from} → ${rel.to}: ${label}` : `${rel.from} — ${rel.to}: ${label}`;
+}
+
+/**
+ * 관계도에 올릴 인물 목록 (이름이 같은 연락처는 하나로)
+ * @returns {{ name: string, label: string }[]}
+ */
+function getGraphNodes() {
+    const seen = new Set();
+    return [...loadContacts('character'), ...loadContacts('chat')]
+        .filter(c => c.name && !seen.has(c.name) && seen.add(c.name))
+        .map(c => ({ name: c.name, label: getContactDisplayName(c) }));
+}
+
+/**
+ * 연락처 이름이 바뀌면 관계·배치·호감도·지갑 장부의 이름도 바꾼다
+ * @param {string} oldName
+ * @param {string} newName
+ * @param {string} contactId
+ */
+function renameContactReferences(oldName, newName, contactId) {
+    if (!oldName || !newName || oldName === newName) return;
+    const data = loadRelations();
+    data.relations.forEach(rel => {
+        if (rel.from === oldName) rel.from = newName;
+        if (rel.to === oldName) rel.to = newName;
+    });
+    if (data.positions[oldName]) {
+        data.positions[newName] = data.positions[oldName];
+        delete data.positions[oldName];
+    }
+    saveRelations(data);
+    const affinity = loadAffinity();
+    if (affinity[oldName]) {
+        affinity[newName] = affinity[oldName];
+        delete affinity[oldName];
+        saveAffinity(affinity);
+    }
+    renameDebtCounterpart(contactId, oldName, newName);
+}
+
+/**
+ * 관계도 SVG 내부 마크업을 만든다
+ * @param {{ name: string, label: string }[]} nodes
+ * @param {Object<string, {x: number, y: number}>} positions
+ * @param {ContactRelation[]} relations
+ * @param {{ from: string, x: number, y: number }|null} pendingLink - 잇는 중인 선
+ * @returns {string}
+ */
+function buildRelationGraphMarkup(nodes, positions, relations, pendingLink) {
+    const r = GRAPH_NODE_RADIUS;
+    const edges = relations.map(rel => {
+        const a = positions[rel.from];
+        const b = positions[rel.to];
+        if (!a || !b) return '';
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const len = Math.hypot(dx, dy) || 1;
+        const directed = getRelationType(rel.type).directed;
+        // 선이 원 안으로 들어가지 않게 양 끝을 반지름만큼 줄인다
+        const x1 = a.x + (dx / len) * r;
+        const y1 = a.y + (dy / len) * r;
+        const x2 = b.x - (dx / len) * (r + (directed ? 3 : 0));
+        const y2 = b.y - (dy / len) * (r + (directed ? 3 : 0));
+        return `<g class="slm-graph-edge" data-relation-id="${escapeHtml(rel.id)}">`
+            + `<line x1="${x1.toFixed(1)}" y1="${y1.toFixed(1)}" x2="${x2.toFixed(1)}" y2="${y2.toFixed(1)}"${directed ? ' marker-end="url(#slm-graph-arrow)"' : ''}></line>`
+            + `<text x="${((a.x + b.x) / 2).toFixed(1)}" y="${((a.y + b.y) / 2 - 3).toFixed(1)}" text-anchor="middle">${escapeHtml(getRelationLabel(rel))}</text>`
+            + '</g>';
+    }).join('');
+    const pending = pendingLink && positions[pendingLink.from]
+        ? `<line class="slm-graph-pending" x1="${positions[pendingLink.from].x}" y1="${positions[pendingLink.from].y}" x2="${pendingLink.x.toFixed(1)}" y2="${pendingLink.y.toFixed(1)}"></line>`
+        : '';
+    const nodeMarkup = nodes.map(node => {
+        const p = positions[node.name];
+        return `<g class="slm-graph-node" data-node="${escapeHtml(node.name)}">`
+            + `<circle cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="${r}"></circle>`
+            + `<text class="slm-graph-initial" x="${p.x.toFixed(1)}" y="${(p.y + 5).toFixed(1)}" text-anchor="middle">${escapeHtml([...node.label][0] || '?')}</text>`
+            + `<text class="slm-graph-name" x="${p.x.toFixed(1)}" y="${(p.y + r + 12).toFixed(1)}" text-anchor="middle">${escapeHtml(node.label)}</text>`
+            + '</g>';
+    }).join('');
+    return '<defs><marker id="slm-graph-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z"></path></marker></defs>'
+        + edges + pending + nodeMarkup;
+}
+
+/**
+ * 인물 관계도 팝업을 연다
+ * 인물을 끌어 배치를 바꾸고, 🔗 잇기 모드에서는 한 인물에서 다른 인물로 끌어 관계를 만든다.
+ * @param {Function} [onBack]
+ */
+function openRelationGraphPopup(onBack) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-relation-graph-wrapper';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'slm-btn-row';
+    const linkBtn = document.createElement('button');
+    linkBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    linkBtn.textContent = '🔗 잇기 모드';
+    linkBtn.title = '켜면 인물에서 인물로 끌어 관계를 만듭니다';
+    const addBtn = document.createElement('button');
+    addBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    addBtn.textContent = '+ 관계 추가';
+    toolbar.appendChild(linkBtn);
+    toolbar.appendChild(addBtn);
+    wrapper.appendChild(toolbar);
+
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'slm-relation-graph');
+    svg.setAttribute('viewBox', `0 0 ${GRAPH_SIZE} ${GRAPH_SIZE}`);
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', '인물 관계도');
+    wrapper.appendChild(svg);
+
+    const list = document.createElement('div');
+    list.className = 'slm-relation-list';
+    wrapper.appendChild(list);
+
+    const nodes = getGraphNodes();
+    let data = loadRelations();
+    const positions = {};
+    let linkMode = false;
+    let drag = null;
+
+    // 저장된 배치가 없는 인물은 원 둘레에 고르게 놓는다
+    const center = GRAPH_SIZE / 2;
+    const radius = center - GRAPH_NODE_RADIUS - 16;
+    nodes.forEach((node, i) => {
+        const saved = data.positions[node.name];
+        const angle = (2 * Math.PI * i) / Math.max(nodes.length, 1) - Math.PI / 2;
+        positions[node.name] = saved
+            ? { x: saved.x, y: saved.y }
+            : { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) };
+    });
+
+    const visibleRelations = () => data.relations.filter(rel => positions[rel.from] && positions[rel.to]);
+
+    const render = (pendingLink = null) => {
+        svg.innerHTML = buildRelationGraphMarkup(nodes, positions, visibleRelations(), pendingLink);
+    };
+
+    const renderList = () => {
+        list.innerHTML = '';
+        const relations = visibleRelations();
+        if (relations.length === 0) {
+            list.innerHTML = '<div class="slm-empty">관계가 없습니다. 🔗 잇기 모드에서 인물끼리 끌어 이어 보세요.</div>';
+            return;
+        }
+        relations.forEach(rel => {
+            const row = document.createElement('div');
+            row.className = 'slm-relation-row';
+            const arrow = getRelationType(rel.type).directed ? '→' : '—';
+            const labelOf = name => nodes.find(node => node.name === name)?.label || name;
+            row.innerHTML = `<span>${escapeHtml(labelOf(rel.from))} ${arrow} ${escapeHtml(labelOf(rel.to))}</span><span class="slm-contact-scope">${escapeHtml(getRelationLabel(rel))}</span>`;
+            const editBtn = document.createElement('button');
+            editBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+            editBtn.textContent = '편집';
+            editBtn.onclick = () => openRelationDialog(rel, refresh);
+            row.appendChild(editBtn);
+            list.appendChild(row);
+        });
+    };
+
+    const refresh = () => {
+        data = loadRelations();
+        render();
+        renderList();
+    };
+
+    const toSvgPoint = (e) => {
+        const rect = svg.getBoundingClientRect();
+        const clamp = v => Math.max(GRAPH_NODE_RADIUS, Math.min(GRAPH_SIZE - GRAPH_NODE_RADIUS, v));
+        return {
+            x: clamp(((e.clientX - rect.left) / (rect.width || 1)) * GRAPH_SIZE),
+            y: clamp(((e.clientY - rect.top) / (rect.height || 1)) * GRAPH_SIZE),
+        };
+    };
+    const nodeAt = (point) => nodes.find(node => (
+        Math.hypot(positions[node.name].x - point.x, positions[node.name].y - point.y) <= GRAPH_NODE_RADIUS
+    ));
+
+    svg.addEventListener('pointerdown', (e) => {
+        const edgeEl = e.target.closest?.('[data-relation-id]');
+        if (edgeEl) {
+            const rel = data.relations.find(item => item.id === edgeEl.dataset.relationId);
+            if (rel) openRelationDialog(rel, refresh);
+            return;
+        }
+        const nodeEl = e.target.closest?.('[data-node]');
+        if (!nodeEl) return;
+        e.preventDefault();
+        svg.setPointerCapture?.(e.pointerId);
+        drag = { name: nodeEl.dataset.node, moved: false };
+    });
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const point = toSvgPoint(e);
+        drag.moved = true;
+        if (linkMode) {
+            render({ from: drag.name, ...point });
+        } else {
+            positions[drag.name] = point;
+            render();
+        }
+    });
+    const endDrag = (e) => {
+        if (!drag) return;
+        const { name, moved } = drag;
+        drag = null;
+        render();
+        if (!moved) return;
+        if (linkMode) {
+            const target = nodeAt(toSvgPoint(e));
+            if (target && target.name !== name) openRelationDialog({ from: name, to: target.name }, refresh);
+            return;
+        }
+        const latest = loadRelations();
+        latest.positions[name] = { x: Math.round(positions[name].x), y: Math.round(positions[name].y) };
+        saveRelations(latest);
+        data = latest;
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', () => { drag = null; render(); });
+
+    linkBtn.onclick = () => {
+        linkMode = !linkMode;
+        linkBtn.classList.toggle('slm-btn-primary', linkMode);
+        linkBtn.classList.toggle('slm-btn-secondary', !linkMode);
+        svg.classList.toggle('slm-relation-graph-linking', linkMode);
+    };
+    addBtn.onclick = () => {
+        if (nodes.length < 2) { showToast('관계를 만들려면 연락처가 두 명 이상 필요합니다.', 'warn'); return; }
+        openRelationDialog({ from: nodes[0].name, to: nodes[1].name }, refresh);
+    };
+
+    refresh();
+    createPopup({
+        id: 'contact-relations',
+        title: '🕸️ 인물 관계도',
+        content: wrapper,
+        className: 'slm-sub-panel',
+        onBack: onBack || (() => openContactsPopup()),
+    });
+}
+
+/**
+ * 관계 추가/편집 서브창을 연다
+ * @param {ContactRelation|{from: string, to: string}} relation - id가 없으면 새 관계
+ * @param {Function} onSave
+ */
+function openRelationDialog(relation, onSave) {
+    const isEdit = !!relation.id;
+    const nodes = getGraphNodes();
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form';
+
+    const createSelect = (label, options, value) => {
+        const lbl = document.createElement('label');
+        lbl.className = 'slm-label';
+        lbl.textContent = label;
+        const select = document.createElement('select');
+        select.className = 'slm-select';
+        options.forEach(({ value: optValue, label: optLabel }) => {
+            const opt = document.createElement('option');
+            opt.value = optValue;
+            opt.textContent = optLabel;
+            select.appendChild(opt);
+        });
+        select.value = value;
+        wrapper.append(lbl, select);
+        return select;
+    };
+    const nodeOptions = nodes.map(node => ({ value: node.name, label: node.label }));
+    const fromSelect = createSelect('인물 1', nodeOptions, relation.from);
+    const typeSelect = createSelect('관계', RELATION_TYPES.map(type => ({
+        value: type.key,
+        label: type.directed ? `${type.label} (1 → 2)` : type.label,
+    })), relation.type || RELATION_TYPES[0].key);
+    const toSelect = createSelect('인물 2', nodeOptions, relation.to);
+    const labelInput = createFormField(wrapper, '관계 이름 (기타일 때)', 'text', relation.label || '');
+    labelInput.placeholder = '예: 소꿉친구, 집주인';
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'slm-btn slm-btn-danger';
+    deleteBtn.textContent = '삭제';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-secondary';
+    cancelBtn.textContent = '취소';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'slm-btn slm-btn-primary';
+    saveBtn.textContent = '저장';
+    if (isEdit) footer.appendChild(deleteBtn);
+    footer.appendChild(cancelBtn);
+    footer.appendChild(saveBtn);
+
+    const { close } = createPopup({
+        id: 'contact-relation-edit',
+        title: isEdit ? '관계 편집' : '관계 추가',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    deleteBtn.onclick = () => {
+        const data = loadRelations();
+        data.relations = data.relations.filter(rel => rel.id !== relation.id);
+        saveRelations(data);
+        close();
+        onSave();
+        showToast('관계 삭제', 'success', 1500);
+    };
+    saveBtn.onclick = () => {
+        const from = fromSelect.value;
+        const to = toSelect.value;
+        const type = typeSelect.value;
+        const label = labelInput.value.trim();
+        if (!from || !to || from === to) {
+            showToast('서로 다른 두 인물을 고르세요.', 'warn');
+            return;
+        }
+        const data = loadRelations();
+        const directed = getRelationType(type).directed;
+        const duplicate = data.relations.some(rel => rel.id !== relation.id && rel.type === type && (
+            (rel.from === from && rel.to === to) || (!directed && rel.from === to && rel.to === from)
+        ) && (type !== 'other' || rel.label === label));
+        if (duplicate) {
+            showToast('이미 같은 관계가 있습니다.', 'warn');
+            return;
+        }
+        const next = { id: relation.id || generateId(), from, to, type, label: type === 'other' ? label : '' };
+        const idx = data.relations.findIndex(rel => rel.id === relation.id);
+        if (idx !== -1) data.relations[idx] = next;
+        else data.relations.push(next);
+        saveRelations(data);
+        close();
+        onSave();
+        showToast(isEdit ? '관계 수정 완료' : '관계 추가 완료', 'success', 1500);
+    };
+}
+
+/**
+ * 최근 대화에 언급된 인물이 낀 관계를 컨텍스트용으로 요약한다
+ * @returns {string|null}
+ */
+function buildRelationContext() {
+    const { relations } = loadRelations();
+    if (relations.length === 0) return null;
+    const ctx = getContext();
+    const recentText = (ctx?.chat || [])
+        .slice(-RELATION_CONTEXT_MESSAGES)
+        .map(msg => String(msg?.mes || '').replace(/<[^>]*>/g, ' '))
+        .join('\n')
+        .toLowerCase();
+    if (!recentText.trim()) return null;
+    const mentioned = new Set(findMentionedContacts(recentText).map(c => c.name));
+    const lines = relations
+        .filter(rel => mentioned.has(rel.from) || mentioned.has(rel.to))
+        .slice(0, RELATION_CONTEXT_MAX)
+        .map(rel => `• ${describeRelation(rel)}`);
+    if (lines.length === 0) return null;
+    return `=== Relationships (recently mentioned) ===\n${lines.join('\n')}\n→ Keep how these people refer to and treat each other consistent with these relationships.`;
+}
+
 /**
  * 등록된 연락처 목록을 반환한다 (다른 모듈에서 참조용)
  * @param {'chat'|'character'} binding
@@ -807,6 +1811,30 @@ export function getContacts(binding = 'chat') {
     return loadContacts(binding);
 }
 
+/**
+ * 텍스트에 이름(이름·표시 이름·서브 이름)이 나온 연락처를 반환한다 (다른 모듈에서 참조용)
+ * @param {string} text
+ * @returns {Contact[]}
+ */
+export function findMentionedContacts(text) {
+    const textLower = String(text || '').toLowerCase();
+    if (!textLower.trim()) return [];
+    return [...loadContacts('character'), ...loadContacts('chat')]
+        .filter(c => [c.name, c.displayName, c.subName].some(name => isNameMentioned(textLower, name)));
+}
+
+/**
+ * 주어진 인물들 사이의 관계를 컨텍스트용 줄 목록으로 반환한다 (다른 모듈에서 참조용)
+ * @param {string[]} names - 연락처 이름
+ * @returns {string[]}
+ */
+export function getRelationLinesAmong(names) {
+    const included = new Set(names);
+    return loadRelations().relations
+        .filter(rel => included.has(rel.from) && included.has(rel.to))
+        .map(describeRelation);
+}
+
 /**
  * 이름으로 연락처의 외관 태그를 가져온다.
  * chat 바인딩과 character 바인딩 모두 검색하고,
@@ -9,7 +9,7 @@
  */
 
 import { slashSend } from '../../utils/slash.js';
-import { loadData, saveData, getDefaultBinding, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getDefaultBinding, getExtensionSettings, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
 import { showToast, generateId, escapeHtml } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
@@ -41,6 +41,36 @@ const CATEGORY_AI_KEY = 'emoticon-category-ai';
 const CHAR_CATEGORY_AI_KEY = 'emoticon-char-category-ai';
 const CATEGORY_VISIBILITY_KEY = 'emoticon-category-visibility';
 
+// 예전 버전은 이모티콘과 카테고리 AI 허용 맵을 기본 바인딩(채팅/캐릭터)에 저장했다.
+// 전역에 아직 데이터가 없으면 그 값을 전역으로 복사한다.
+const fromDefaultBinding = (binding) => (binding === GLOBAL_BINDING ? getDefaultBinding() : null);
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 배열이 아니거나 URL이 없는 항목을 정리하고 ID를 부여한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(e => e && typeof e === 'object' && typeof e.url === 'string')
+            .map(e => ({ ...e, id: e.id || generateId() })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '이모티콘 목록이 배열이 아닙니다.';
+        if (data.some(e => !e?.id || typeof e.url !== 'string')) return 'ID나 URL이 없는 이모티콘이 있습니다.';
+        return null;
+    },
+    relocate: {
+        from: fromDefaultBinding,
+        apply: (legacy, current) => (current === null && legacy.length > 0 ? { data: legacy } : null),
+    },
+});
+registerSchema(CATEGORY_AI_KEY, {
+    relocate: {
+        from: fromDefaultBinding,
+        apply: (legacy, current) => (current === null && legacy && typeof legacy === 'object' && Object.keys(legacy).length > 0
+            ? { data: legacy }
+            : null),
+    },
+});
+
 /**
  * @typedef {Object} Emoticon
  * @property {string} id
@@ -56,15 +86,7 @@ const CATEGORY_VISIBILITY_KEY = 'emoticon-category-visibility';
  * @returns {Emoticon[]}
  */
 function loadEmoticons() {
-    const globalEmoticons = loadData(MODULE_KEY, null, GLOBAL_BINDING);
-    if (Array.isArray(globalEmoticons)) {
-        return globalEmoticons;
-    }
-    const legacy = loadData(MODULE_KEY, [], getDefaultBinding());
-    if (legacy.length > 0) {
-        saveData(MODULE_KEY, legacy, GLOBAL_BINDING);
-    }
-    return legacy;
+    return loadData(MODULE_KEY, [], GLOBAL_BINDING);
 }
 
 /**
@@ -76,15 +98,7 @@ function saveEmoticons(emoticons) {
 }
 
 function loadCategoryAiMap() {
-    const globalMap = loadData(CATEGORY_AI_KEY, null, GLOBAL_BINDING);
-    if (globalMap && typeof globalMap === 'object') {
-        return globalMap;
-    }
-    const legacy = loadData(CATEGORY_AI_KEY, {}, getDefaultBinding());
-    if (Object.keys(legacy).length > 0) {
-        saveData(CATEGORY_AI_KEY, legacy, GLOBAL_BINDING);
-    }
-    return legacy;
+    return loadData(CATEGORY_AI_KEY, {}, GLOBAL_BINDING);
 }
 
 function saveCategoryAiMap(map) {
@@ -4,20 +4,85 @@
  * - 기프티콘 보관함: 받은/보낸 기프티콘 목록
  * - 보내기(user→contact): 이모지 아이콘, 이미지 URL 없음
  * - 컨텍스트에 보관함 정보 주입
+ * - 보관함 목록 CSV/JSON 내보내기·가져오기 (id 기준 병합)
+ * - 상점: 편집·AI 생성 가능한 카탈로그, 지갑 돈으로 구매 (지갑 거래로 기록)
+ * - 인월드 날짜 기준 유효기간, 자동 만료, 곧 만료 알림 (보관함·컨텍스트)
+ * - 캐릭터 메시지에서 보낸 기프티콘 감지 → 받은 기프티콘으로 등록 (메시지에 마커 연결)
+ * - 쿠폰 카드 (id로 만든 SVG 바코드, 사용·만료 도장) — 보관함과 채팅 공용
  */
 
 import { getContext } from '../../utils/st-context.js';
 import { slashSend } from '../../utils/slash.js';
-import { loadData, saveData, getDefaultBinding, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getDefaultBinding, getExtensionSettings, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
-import { showToast, escapeHtml, generateId } from '../../utils/ui.js';
+import { showToast, showConfirm, showPrompt, escapeHtml, generateId } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
 import { getContacts } from '../contacts/contacts.js';
+import { getWalletCurrency, payFromWallet } from '../wallet/wallet.js';
+import { getInWorldNow, onInWorldDayChange } from '../calendar/calendar.js';
+import { toCsv, downloadTextFile, pickRecordsFile, readRecordsFile, pickNewRecords } from '../../utils/records-io.js';
+import { buildCode128Svg } from '../../utils/barcode.js';
 
 const MODULE_KEY = 'gifticons';
 const GIFTICON_TX_MARKER_PREFIX = 'stls-gifticon:';
 // 캐릭터 응답에서 "기프티콘을 사용/먹었다"는 의도를 감지하는 다국어(ko/en) 키워드.
 const GIFTICON_USAGE_HINT_RE = /(기프티콘|선물|먹|마셨|사용|썼|잘 먹|잘받|thanks|thank you)/i;
+// 캐릭터가 기프티콘을 보냈다는 메시지를 거르는 1차 키워드 (물건 + 보내는 동작이 모두 있어야 AI에 묻는다)
+const GIFTICON_ITEM_HINT_RE = /(기프티콘|쿠폰|상품권|교환권|gift\s*card|voucher|coupon|e-?gift)/i;
+const GIFTICON_SEND_HINT_RE = /(보냈|보내\s*(?:놨|뒀|줄게|줬)|쐈|쏠게|쏴\s*줬|줬|선물|sent|gifted|for you)/i;
+// AI 판단에 넘길 메시지 최대 길이
+const GIFTICON_DETECT_MAX_TEXT = 1200;
+let lastReceivedSignature = '';
+// 내보내기 파일 열 (지갑 거래 내역과 같은 공통 열 + 기프티콘 항목)
+const GIFTICON_EXPORT_COLUMNS = ['id', 'date', 'type', 'name', 'emoji', 'brand', 'amount', 'balanceAfter', 'counterpart', 'memo', 'status', 'expiresOn'];
+const GIFTICON_STATUSES = ['received', 'sent', 'used', 'expired'];
+// 남은 일수가 이 값 이하이면 '곧 만료'로 보관함과 컨텍스트에 알린다
+const EXPIRING_SOON_DAYS = 3;
+// 상점 카탈로그는 세계관(캐릭터)마다 다르므로 캐릭터 단위로 저장한다
+const SHOP_KEY = 'gifticon-shop';
+const SHOP_BINDING = 'character';
+const SHOP_AI_ITEM_COUNT = 8;
+// 기본 카탈로그 (가격은 지갑 기준 화폐 단위)
+const DEFAULT_SHOP_ITEMS = [
+    { emoji: '☕', name: '아메리카노', brand: '카페', price: 4500 },
+    { emoji: '🧋', name: '버블티', brand: '티하우스', price: 5500 },
+    { emoji: '🍰', name: '조각 케이크', brand: '베이커리', price: 6500 },
+    { emoji: '🍦', name: '아이스크림 파인트', brand: '아이스크림 가게', price: 9800 },
+    { emoji: '🎬', name: '영화 관람권', brand: '영화관', price: 15000 },
+    { emoji: '🍗', name: '치킨 세트', brand: '치킨집', price: 23000 },
+];
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 배열이 아니거나 ID가 없는 항목을 정리한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(item => item && typeof item === 'object')
+            .map(item => ({ ...item, id: item.id || generateId(), status: item.status || 'received' })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '기프티콘 목록이 배열이 아닙니다.';
+        if (data.some(item => !item?.id || typeof item.name !== 'string')) return 'ID나 이름이 없는 기프티콘이 있습니다.';
+        return null;
+    },
+    // 분기 지점 이후 메시지로 주고받은 기프티콘은 지운다
+    trimForBranch: (list, { chat }) => list.filter(item => (
+        !item.messageMarker || chat.some(msg => String(msg?.mes || '').includes(item.messageMarker))
+    )),
+});
+
+registerSchema(SHOP_KEY, {
+    migrations: [
+        // v0 → v1: ID 없는 상품에 ID를 붙이고 가격을 숫자로 맞춘다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(item => item && typeof item === 'object')
+            .map(item => ({ ...item, id: item.id || generateId(), price: Math.max(0, Number(item.price) || 0) })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '상점 카탈로그가 배열이 아닙니다.';
+        if (data.some(item => !item?.id || typeof item.name !== 'string' || !(Number(item.price) >= 0))) return '이름이나 가격이 올바르지 않은 상품이 있습니다.';
+        return null;
+    },
+});
 
 function getContactDisplayName(contact) {
     return contact?.displayName || contact?.name || '';
@@ -30,21 +95,48 @@ function getContactDisplayName(contact) {
  * @property {string} emoji - 대표 이모지 (예: 🍰)
  * @property {string} brand - 브랜드
  * @property {string} value - 금액/가치 설명
- * @property {'received'|'sent'|'used'} status
+ * @property {'received'|'sent'|'used'|'expired'} status
  * @property {string} counterpart - 상대방 이름
  * @property {string} date - 거래 날짜 ISO 문자열
  * @property {string} memo - 메모
+ * @property {number} [price] - 상점에서 산 가격 (지갑 기준 화폐)
+ * @property {boolean} [purchased] - 상점에서 산 기프티콘 여부
+ * @property {string|null} [expiresOn] - 인월드 유효기간 마지막 날 'YYYY-MM-DD' (없으면 무기한)
+ * @property {'received'|'sent'} [expiredFrom] - 만료되기 전 상태
+ */
+
+/**
+ * @typedef {Object} ShopItem
+ * @property {string} id
+ * @property {string} emoji
+ * @property {string} name
+ * @property {string} brand
+ * @property {number} price - 지갑 기준 화폐 단위 가격
+ * @property {number|null} [validDays] - 구매일부터의 인월드 유효기간 (일)
  */
 
 function loadGifticons() {
     const list = loadData(MODULE_KEY, [], getDefaultBinding());
-    return syncGifticonsWithChat(list);
+    return expireGifticons(syncGifticonsWithChat(list));
 }
 
 function saveGifticons(list) {
     saveData(MODULE_KEY, list, getDefaultBinding());
 }
 
+function loadShopItems() {
+    const items = loadData(SHOP_KEY, null, SHOP_BINDING);
+    if (Array.isArray(items)) return items;
+    // 처음 열 때 기본 카탈로그를 저장해 두어 편집·삭제할 수 있게 한다
+    const defaults = DEFAULT_SHOP_ITEMS.map(item => ({ ...item, id: generateId() }));
+    saveShopItems(defaults);
+    return defaults;
+}
+
+function saveShopItems(items) {
+    saveData(SHOP_KEY, items, SHOP_BINDING);
+}
+
 function getGifticonMarker(id) {
     return `${GIFTICON_TX_MARKER_PREFIX}${id}`;
 }
@@ -54,7 +146,9 @@ function syncGifticonsWithChat(list) {
     const chat = getContext()?.chat || [];
     const filtered = list.filter((item) => {
         if (!item?.messageMarker) return true;
-        return chat.some((msg) => String(msg?.mes || '').includes(item.messageMarker));
+        // 스와이프로 잠시 다른 응답을 보고 있어도 표식이 남은 메시지가 있으면 지우지 않는다
+        return chat.some((msg) => String(msg?.mes || '').includes(item.messageMarker)
+            || (Array.isArray(msg?.swipes) && msg.swipes.some(swipe => String(swipe || '').includes(item.messageMarker))));
     });
     if (filtered.length !== list.length) {
         saveGifticons(filtered);
@@ -62,6 +156,113 @@ function syncGifticonsWithChat(list) {
     return filtered;
 }
 
+/**
+ * 현재 인월드 날짜 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function getWorldToday() {
+    return getInWorldNow().slice(0, 10);
+}
+
+/**
+ * 'YYYY-MM-DD' 두 날짜 사이의 일수 (to - from)
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function getDayDiff(from, to) {
+    const toUtc = date => {
+        const [y, m, d] = date.split('-').map(Number);
+        return Date.UTC(y, m - 1, d);
+    };
+    return Math.round((toUtc(to) - toUtc(from)) / 86400000);
+}
+
+/**
+ * 인월드 오늘부터 일수만큼 지난 날짜 (유효기간 마지막 날)
+ * @param {number|string|null} days
+ * @returns {string|null} 일수가 없으면 null (무기한)
+ */
+function getExpiryDate(days) {
+    const count = Math.floor(Number(days));
+    if (!(count > 0)) return null;
+    const [y, m, d] = getWorldToday().split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d + count)).toISOString().slice(0, 10);
+}
+
+/**
+ * 유효기간까지 남은 인월드 일수 (유효기간이 없으면 null, 오늘이 마지막 날이면 0)
+ * @param {Gifticon} g
+ * @returns {number|null}
+ */
+function getDaysLeft(g) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(g?.expiresOn || ''))) return null;
+    return getDayDiff(getWorldToday(), g.expiresOn);
+}
+
+/**
+ * 유효기간이 지난 미사용 기프티콘을 만료 처리한다
+ * @param {Gifticon[]} list
+ * @returns {Gifticon[]}
+ */
+function expireGifticons(list) {
+    const expired = [];
+    list.forEach(g => {
+        if (g.status !== 'received' && g.status !== 'sent') return;
+        const left = getDaysLeft(g);
+        if (left === null || left >= 0) return;
+        g.expiredFrom = g.status;
+        g.status = 'expired';
+        expired.push(g);
+    });
+    if (expired.length > 0) {
+        saveGifticons(list);
+        expired.forEach(g => updateCouponCardInChat(g).catch(e => console.error('[ST-LifeSim] 쿠폰 카드 갱신 오류:', e)));
+    }
+    return list;
+}
+
+/**
+ * 곧 만료되는 미사용 기프티콘 (남은 일수 오름차순)
+ * @param {Gifticon[]} list
+ * @param {'received'|'sent'} status
+ * @returns {Array<{g: Gifticon, daysLeft: number}>}
+ */
+function getExpiringSoon(list, status) {
+    return list
+        .filter(g => g.status === status)
+        .map(g => ({ g, daysLeft: getDaysLeft(g) }))
+        .filter(({ daysLeft }) => daysLeft !== null && daysLeft <= EXPIRING_SOON_DAYS)
+        .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+/**
+ * 남은 기간 표시 (D-3, D-Day)
+ * @param {number} daysLeft
+ * @returns {string}
+ */
+function formatDaysLeft(daysLeft) {
+    return daysLeft === 0 ? 'D-Day' : `D-${daysLeft}`;
+}
+
+/**
+ * 인월드 날짜가 넘어가면 만료된 기프티콘과 곧 만료될 기프티콘을 알린다
+ */
+function handleInWorldDayChange() {
+    const before = loadData(MODULE_KEY, [], getDefaultBinding())
+        .filter(g => g.status === 'received' || g.status === 'sent')
+        .map(g => g.id);
+    const list = loadGifticons();
+    const expired = list.filter(g => g.status === 'expired' && before.includes(g.id));
+    if (expired.length > 0) {
+        showToast(`⌛ 기프티콘 만료: ${expired.map(g => g.name).join(', ')}`, 'warn', 3500);
+    }
+    const soon = getExpiringSoon(list, 'received');
+    if (soon.length > 0) {
+        showToast(`⏰ 곧 만료: ${soon.map(({ g, daysLeft }) => `${g.name} (${formatDaysLeft(daysLeft)})`).join(', ')}`, 'info', 3500);
+    }
+}
+
 export function trackGifticonUsageFromCharacterMessage() {
     const ctx = getContext();
     const charName = ctx?.name2;
@@ -74,23 +275,107 @@ export function trackGifticonUsageFromCharacterMessage() {
     if (!pending) return;
     const target = all.find((item) => item.id === pending.id);
     if (!target || target.status !== 'sent') return;
-    target.status = 'used';
-    saveGifticons(all);
+    markGifticonUsed(target.id);
     showToast(`${charName}의 사용 반응을 감지해 "${pending.name}"를 사용 완료 처리했습니다.`, 'success', 1800);
 }
 
+/**
+ * 캐릭터 메시지에서 "커피 쿠폰 보냈어" 류의 기프티콘 선물을 감지해 받은 기프티콘으로 등록한다
+ * 키워드로 먼저 거른 뒤 AI에게 JSON으로 품목을 뽑게 하고, 메시지 끝에 마커를 붙여 연결한다.
+ * CHARACTER_MESSAGE_RENDERED 이벤트에서 호출한다.
+ */
+export async function trackReceivedGifticonFromCharacterMessage() {
+    const ctx = getContext();
+    const chat = ctx?.chat || [];
+    const lastIdx = chat.length - 1;
+    const lastMsg = chat[lastIdx];
+    if (!lastMsg || lastMsg.is_user || typeof ctx.generateQuietPrompt !== 'function') return;
+    const mes = String(lastMsg.mes || '');
+    if (mes.includes(GIFTICON_TX_MARKER_PREFIX)) return;
+
+    const text = mes.replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ').trim();
+    if (!GIFTICON_ITEM_HINT_RE.test(text) || !GIFTICON_SEND_HINT_RE.test(text)) return;
+
+    const signature = `${lastIdx}:${text.slice(0, 180)}`;
+    if (signature === lastReceivedSignature) return;
+    lastReceivedSignature = signature;
+
+    const senderName = lastMsg.name || ctx.name2 || '';
+    const prompt = `Read this message from ${senderName} to {{user}}:
+"""
+${text.slice(0, GIFTICON_DETECT_MAX_TEXT)}
+"""
+Did ${senderName} actually send {{user}} a gift voucher / mobile coupon (gifticon) in this message? Promises, plans or talking about someone else's coupon do not count.
+Reply in JSON only, no extra text:
+{"gift": true or false, "name": "item name", "brand": "shop or brand, or empty", "value": "price or value as written, or empty", "emoji": "one emoji for the item", "validDays": number of days it stays valid if mentioned, else null}`;
+
+    let data;
+    try {
+        const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: senderName }) || '';
+        const match = raw.match(/\{[\s\S]*\}/);
+        data = match ? JSON.parse(match[0]) : null;
+    } catch (e) {
+        console.error('[ST-LifeSim] 받은 기프티콘 감지 오류:', e);
+        return;
+    }
+    const name = String(data?.name || '').trim();
+    if (data?.gift !== true || !name) return;
+
+    // AI 응답을 기다리는 동안 메시지가 바뀌었으면 (스와이프·삭제) 등록하지 않는다
+    const target = getContext()?.chat?.[lastIdx];
+    if (!target || target !== lastMsg || String(target.mes || '') !== mes) return;
+
+    const id = generateId();
+    const g = {
+        id,
+        name,
+        emoji: String(data.emoji || '').trim() || '🎁',
+        brand: String(data.brand || '').trim(),
+        value: String(data.value || '').trim(),
+        status: 'received',
+        counterpart: senderName,
+        date: new Date().toISOString(),
+        memo: '',
+        expiresOn: getExpiryDate(data.validDays),
+        messageMarker: getGifticonMarker(id),
+    };
+    target.mes = `${mes}\n<!--${g.messageMarker}-->`;
+    // 스와이프를 오가도 표식이 남도록 현재 스와이프에도 기록한다
+    if (Array.isArray(target.swipes) && typeof target.swipes[target.swipe_id] === 'string') {
+        target.swipes[target.swipe_id] = target.mes;
+    }
+    if (typeof ctx.updateMessageBlock === 'function') ctx.updateMessageBlock(lastIdx, target);
+    if (typeof ctx.saveChat === 'function') await ctx.saveChat();
+    saveGifticons([...loadGifticons(), g]);
+    showToast(`🎁 ${senderName}에게서 기프티콘을 받았습니다: ${g.emoji} ${g.name}`, 'success', 2500);
+}
+
 export function initGifticon() {
     registerContextBuilder('gifticon', () => {
         const list = loadGifticons();
         const active = list.filter(g => g.status === 'received');
-        if (active.length === 0) return null;
+        const sentSoon = getExpiringSoon(list, 'sent');
+        if (active.length === 0 && sentSoon.length === 0) return null;
         const lines = active.map(g => {
             let line = `• ${g.emoji || '🎁'} ${g.name} (${g.brand || '?'})`;
             if (g.value) line += ` — ${g.value}`;
+            const daysLeft = getDaysLeft(g);
+            if (daysLeft !== null) line += ` [expires ${g.expiresOn}, ${daysLeft} in-world day(s) left]`;
             return line;
         });
-        return `=== Gifticon Wallet ===\nAvailable gift cards:\n${lines.join('\n')}`;
+        const sections = [];
+        if (lines.length > 0) sections.push(`Available gift cards:\n${lines.join('\n')}`);
+        const soon = getExpiringSoon(list, 'received');
+        if (soon.length > 0) {
+            sections.push(`Expiring soon (unused): ${soon.map(({ g, daysLeft }) => `${g.name} (${daysLeft === 0 ? 'expires today' : `${daysLeft} day(s) left`})`).join(', ')}\n→ {{char}} may naturally remind {{user}} to use these before they expire.`);
+        }
+        if (sentSoon.length > 0) {
+            sections.push(`Gift cards {{user}} sent that are still unused and expiring soon: ${sentSoon.map(({ g, daysLeft }) => `${g.name} → ${g.counterpart} (${daysLeft === 0 ? 'expires today' : `${daysLeft} day(s) left`})`).join(', ')}\n→ The recipient may mention wanting to use it soon.`);
+        }
+        return `=== Gifticon Wallet ===\n${sections.join('\n')}`;
     });
+
+    onInWorldDayChange(handleInWorldDayChange);
 }
 
 export function openGifticonPopup(onBack) {
@@ -115,9 +400,10 @@ function buildGifticonContent() {
     const body = document.createElement('div');
     wrapper.appendChild(body);
 
-    // 탭: 보관함 / 보내기(user→contact) / 보내달라고(contact→user)
+    // 탭: 보관함 / 상점 / 보내기(user→contact)
     const tabs = [
         { key: 'inbox', label: '📦 보관함', render: renderInbox },
+        { key: 'shop', label: '🛒 상점', render: renderShop },
         { key: 'send', label: '📤 보내기', render: renderSendForm },
     ];
 
@@ -140,6 +426,18 @@ function buildGifticonContent() {
     return wrapper;
 }
 
+/**
+ * 보관함 카드에 표시할 상태 이름
+ * @param {Gifticon} g
+ * @returns {string}
+ */
+function getStatusLabel(g) {
+    if (g.status === 'received') return g.purchased ? '구매함' : '받은 선물';
+    if (g.status === 'sent') return '보낸 선물';
+    if (g.status === 'expired') return '기한 만료';
+    return '사용됨';
+}
+
 /** 보관함 렌더링 */
 function renderInbox() {
     const container = document.createElement('div');
@@ -147,14 +445,52 @@ function renderInbox() {
 
     const list = loadGifticons();
 
+    const ioRow = document.createElement('div');
+    ioRow.className = 'slm-btn-row';
+    ioRow.style.marginBottom = '8px';
+    [{ label: '📤 CSV', format: 'csv' }, { label: '📤 JSON', format: 'json' }].forEach(({ label, format }) => {
+        const btn = document.createElement('button');
+        btn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+        btn.textContent = label;
+        btn.title = `기프티콘 목록을 ${format.toUpperCase()} 파일로 내보내기`;
+        btn.onclick = () => exportGifticons(format);
+        ioRow.appendChild(btn);
+    });
+    const importBtn = document.createElement('button');
+    importBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    importBtn.textContent = '📥 가져오기';
+    importBtn.title = 'CSV/JSON 기프티콘 목록 가져오기 (같은 id는 건너뜀)';
+    importBtn.onclick = () => pickRecordsFile(file => {
+        try {
+            const added = importGifticons(readRecordsFile(file, 'gifticons'));
+            if (added === 0) { showToast('새로 추가된 기프티콘이 없습니다.', 'info'); return; }
+            container.replaceWith(renderInbox());
+            showToast(`기프티콘 ${added}개 가져오기 완료`, 'success');
+        } catch (err) {
+            showToast('가져오기 실패: ' + err.message, 'error');
+        }
+    });
+    ioRow.appendChild(importBtn);
+    container.appendChild(ioRow);
+
     if (list.length === 0) {
-        container.innerHTML = '<div class="slm-empty">기프티콘이 없습니다.</div>';
+        container.insertAdjacentHTML('beforeend', '<div class="slm-empty">기프티콘이 없습니다.</div>');
         return container;
     }
 
+    // 곧 만료되는 받은 기프티콘
+    const soon = getExpiringSoon(list, 'received');
+    if (soon.length > 0) {
+        const soonBox = document.createElement('div');
+        soonBox.className = 'slm-gifticon-expiring';
+        soonBox.innerHTML = `<div class="slm-gifticon-expiring-title">⏰ 곧 만료</div>`
+            + soon.map(({ g, daysLeft }) => `<div class="slm-gifticon-expiring-line">${escapeHtml(g.emoji || '🎁')} ${escapeHtml(g.name)} <strong>${formatDaysLeft(daysLeft)}</strong></div>`).join('');
+        container.appendChild(soonBox);
+    }
+
     const filterRow = document.createElement('div');
     filterRow.className = 'slm-input-row';
-    const filters = ['전체', '받은', '보낸', '사용됨'];
+    const filters = ['전체', '받은', '보낸', '사용됨', '만료됨'];
     let activeFilter = '전체';
     const filterSelect = document.createElement('select');
     filterSelect.className = 'slm-select';
@@ -173,10 +509,12 @@ function renderInbox() {
 
     function renderList() {
         listDiv.innerHTML = '';
+        const list = loadGifticons();
         let filtered = list;
         if (activeFilter === '받은') filtered = list.filter(g => g.status === 'received');
         else if (activeFilter === '보낸') filtered = list.filter(g => g.status === 'sent');
         else if (activeFilter === '사용됨') filtered = list.filter(g => g.status === 'used');
+        else if (activeFilter === '만료됨') filtered = list.filter(g => g.status === 'expired');
 
         if (filtered.length === 0) {
             listDiv.innerHTML = '<div class="slm-empty">해당 기프티콘이 없습니다.</div>';
@@ -198,7 +536,7 @@ function renderInbox() {
             summaryInfo.className = 'slm-gifticon-summary-info';
             summaryInfo.innerHTML = `
                 <div class="slm-gifticon-name">${escapeHtml(g.name)}</div>
-                <div class="slm-gifticon-counterpart">${g.status === 'received' ? '받은 선물' : (g.status === 'sent' ? '보낸 선물' : '사용됨')}</div>
+                <div class="slm-gifticon-counterpart">${getStatusLabel(g)}</div>
             `;
             summary.appendChild(summaryInfo);
             card.appendChild(summary);
@@ -206,9 +544,9 @@ function renderInbox() {
             const info = document.createElement('div');
             info.className = 'slm-gifticon-info';
             info.innerHTML = `
-                <div class="slm-gifticon-brand">${escapeHtml(g.brand || '')}</div>
-                ${g.value ? `<div class="slm-gifticon-value">${escapeHtml(g.value)}</div>` : ''}
-                <div class="slm-gifticon-counterpart">${g.status === 'received' ? '보낸이' : '받는이'}: ${escapeHtml(g.counterpart || '?')}</div>
+                ${buildCouponCardHtml(g)}
+                <div class="slm-gifticon-counterpart">${(g.expiredFrom || g.status) === 'received' ? '보낸이' : '받는이'}: ${escapeHtml(g.counterpart || '?')}</div>
+                ${g.expiresOn ? `<div class="slm-gifticon-expiry">유효기간: ${escapeHtml(g.expiresOn)}${getDaysLeft(g) >= 0 ? ` (${formatDaysLeft(getDaysLeft(g))})` : ''}</div>` : ''}
                 ${g.memo ? `<div class="slm-gifticon-memo">${escapeHtml(g.memo)}</div>` : ''}
             `;
             card.appendChild(info);
@@ -219,13 +557,47 @@ function renderInbox() {
                 useBtn.textContent = '✅ 사용 완료';
                 useBtn.style.marginTop = '6px';
                 useBtn.onclick = () => {
-                    const all = loadGifticons();
-                    const idx = all.findIndex(x => x.id === g.id);
-                    if (idx !== -1) { all[idx].status = 'used'; saveGifticons(all); }
+                    markGifticonUsed(g.id);
                     renderList();
                     showToast(`${g.name} 사용 완료`, 'success', 1500);
                 };
                 card.appendChild(useBtn);
+
+                const giftBtn = document.createElement('button');
+                giftBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+                giftBtn.textContent = '📤 선물하기';
+                giftBtn.style.cssText = 'margin-top:6px;margin-left:6px';
+                giftBtn.onclick = () => openRecipientDialog({
+                    title: `${g.emoji || '🎁'} ${g.name} 선물하기`,
+                    confirmLabel: '📤 보내기',
+                    allowSelf: false,
+                    onConfirm: async (recipient, memo) => {
+                        await deliverGifticon({ ...g, status: 'sent', counterpart: recipient, memo, date: new Date().toISOString() });
+                        renderList();
+                        showToast(`${recipient}에게 기프티콘 전송 완료`, 'success');
+                    },
+                });
+                card.appendChild(giftBtn);
+            }
+
+            if (g.status === 'received' || g.status === 'sent') {
+                const expiryBtn = document.createElement('button');
+                expiryBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+                expiryBtn.textContent = '⏳ 기한';
+                expiryBtn.title = '인월드 기준 유효기간 설정';
+                expiryBtn.style.cssText = 'margin-top:6px;margin-left:6px';
+                expiryBtn.onclick = async () => {
+                    const current = getDaysLeft(g);
+                    const input = await showPrompt('남은 유효기간 (인월드 일수, 비우면 무기한)', current !== null ? String(current) : '', '예: 30');
+                    if (input === null) return;
+                    const all = loadGifticons();
+                    const target = all.find(x => x.id === g.id);
+                    if (!target) return;
+                    target.expiresOn = String(input).trim() === '0' ? getWorldToday() : getExpiryDate(input);
+                    saveGifticons(all);
+                    renderList();
+                };
+                card.appendChild(expiryBtn);
             }
 
             const delBtn = document.createElement('button');
@@ -250,6 +622,64 @@ function renderInbox() {
     return container;
 }
 
+/**
+ * 기프티콘 목록을 CSV/JSON 파일로 내려받는다
+ * @param {'csv'|'json'} format
+ */
+function exportGifticons(format) {
+    const list = loadGifticons();
+    if (list.length === 0) { showToast('내보낼 기프티콘이 없습니다.', 'warn'); return; }
+    const records = list.map(g => ({
+        id: g.id,
+        date: g.date || '',
+        type: 'gifticon',
+        name: g.name,
+        emoji: g.emoji || '',
+        brand: g.brand || '',
+        amount: g.value || '',
+        balanceAfter: '',
+        counterpart: g.counterpart || '',
+        memo: g.memo || '',
+        status: g.status,
+        expiresOn: g.expiresOn || '',
+    }));
+    const filename = `st-lifesim-gifticons-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+        downloadTextFile(toCsv(GIFTICON_EXPORT_COLUMNS, records), filename, 'text/csv');
+    } else {
+        const payload = { type: 'st-lifesim-gifticons', exportedAt: new Date().toISOString(), gifticons: records };
+        downloadTextFile(JSON.stringify(payload, null, 2), filename, 'application/json');
+    }
+    showToast('기프티콘 내보내기 완료', 'success');
+}
+
+/**
+ * 가져온 기프티콘 기록을 id 기준으로 병합한다
+ * 가져온 항목은 이 채팅의 메시지와 연결되지 않으므로 메시지 마커를 붙이지 않는다.
+ * @param {Object[]} records
+ * @returns {number} 추가된 기프티콘 수
+ */
+function importGifticons(records) {
+    const list = loadGifticons();
+    const added = pickNewRecords(list, records)
+        .filter(record => String(record.name || '').trim())
+        .map(record => ({
+            id: record.id,
+            name: String(record.name).trim(),
+            emoji: String(record.emoji || '') || '🎁',
+            brand: String(record.brand || ''),
+            value: String(record.amount ?? record.value ?? ''),
+            status: GIFTICON_STATUSES.includes(record.status) ? record.status : 'received',
+            counterpart: String(record.counterpart || ''),
+            date: String(record.date || new Date().toISOString()),
+            memo: String(record.memo || ''),
+            expiresOn: /^\d{4}-\d{2}-\d{2}$/.test(String(record.expiresOn || '')) ? String(record.expiresOn) : null,
+        }));
+    if (added.length === 0) return 0;
+    saveGifticons([...list, ...added]);
+    return added.length;
+}
+
 /** user → contact 보내기 */
 function renderSendForm() {
     const container = document.createElement('div');
@@ -271,13 +701,89 @@ function renderSendForm() {
     container.appendChild(quickEmojiRow);
     const nameInput = createField(container, '기프티콘 이름 *', 'text', '');
 
+    const recipient = createRecipientPicker(container, false);
+
+    const memoInput = createField(container, '메모 (선택)', 'text', '');
+
+    const advanced = document.createElement('details');
+    advanced.className = 'slm-gifticon-advanced';
+    const advancedSummary = document.createElement('summary');
+    advancedSummary.textContent = '추가 항목';
+    advanced.appendChild(advancedSummary);
+    const advancedBody = document.createElement('div');
+    advancedBody.className = 'slm-form';
+    const brandInput = createField(advancedBody, '브랜드', 'text', '');
+    const valueInput = createField(advancedBody, '금액/가치', 'text', '');
+    const validDaysInput = createField(advancedBody, '유효기간 (인월드 일수, 비우면 무기한)', 'number', '');
+    validDaysInput.min = '1';
+    advanced.appendChild(advancedBody);
+    container.appendChild(advanced);
+
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'slm-btn slm-btn-primary';
+    sendBtn.classList.add('slm-gifticon-send-btn');
+    sendBtn.style.marginTop = '12px';
+    sendBtn.textContent = '📤 기프티콘 보내기';
+    sendBtn.onclick = async () => {
+        const name = nameInput.value.trim();
+        const recipientName = recipient.getValue();
+        const emoji = emojiInput.value.trim() || '🎁';
+        if (!name) { showToast('기프티콘 이름을 입력해주세요.', 'warn'); return; }
+        if (!recipientName) { showToast('받는 사람을 입력해주세요.', 'warn'); return; }
+
+        sendBtn.disabled = true;
+        try {
+            await deliverGifticon({
+                id: generateId(),
+                name,
+                emoji,
+                brand: brandInput.value.trim(),
+                value: valueInput.value.trim(),
+                status: 'sent',
+                counterpart: recipientName,
+                date: new Date().toISOString(),
+                memo: memoInput.value.trim(),
+                expiresOn: getExpiryDate(validDaysInput.value),
+            });
+            showToast(`${recipientName}에게 기프티콘 전송 완료`, 'success');
+
+            nameInput.value = '';
+            emojiInput.value = '🎁';
+            brandInput.value = '';
+            valueInput.value = '';
+            validDaysInput.value = '';
+            memoInput.value = '';
+            recipient.reset();
+        } catch (e) {
+            showToast('전송 실패: ' + e.message, 'error');
+        } finally {
+            sendBtn.disabled = false;
+        }
+    };
+
+    container.appendChild(sendBtn);
+    return container;
+}
+
+/**
+ * 받는 사람 선택 상자 ({{char}} + 연락처 + 직접 입력)
+ * @param {HTMLElement} container
+ * @param {boolean} allowSelf - '나 (보관함)' 항목 포함 여부
+ * @returns {{ getValue: () => string, isSelf: () => boolean, reset: () => void }}
+ */
+function createRecipientPicker(container, allowSelf) {
+    const SELF_VALUE = '__self__';
     const recipLabel = document.createElement('label');
     recipLabel.className = 'slm-label';
     recipLabel.textContent = '받는 사람 *';
 
     const recipSelect = document.createElement('select');
     recipSelect.className = 'slm-select';
-    recipSelect.innerHTML = '<option value="">직접 입력...</option>';
+    if (allowSelf) {
+        recipSelect.innerHTML = `<option value="${SELF_VALUE}">나 (보관함에 보관)</option>`;
+    } else {
+        recipSelect.innerHTML = '<option value="">직접 입력...</option>';
+    }
 
     const ctx = getContext();
     const charName = ctx?.name2;
@@ -295,6 +801,7 @@ function renderSendForm() {
             recipSelect.appendChild(opt);
         }
     });
+    if (allowSelf) recipSelect.appendChild(Object.assign(document.createElement('option'), { value: '', textContent: '직접 입력...' }));
 
     const recipInput = document.createElement('input');
     recipInput.className = 'slm-input';
@@ -312,90 +819,447 @@ function renderSendForm() {
     recipWrap.appendChild(recipInput);
     container.appendChild(recipWrap);
 
-    const memoInput = createField(container, '메모 (선택)', 'text', '');
+    return {
+        getValue: () => (recipSelect.value === SELF_VALUE ? '' : (recipSelect.value || recipInput.value.trim())),
+        isSelf: () => recipSelect.value === SELF_VALUE,
+        reset: () => { recipInput.value = ''; },
+    };
+}
 
-    const advanced = document.createElement('details');
-    advanced.className = 'slm-gifticon-advanced';
-    const advancedSummary = document.createElement('summary');
-    advancedSummary.textContent = '추가 항목';
-    advanced.appendChild(advancedSummary);
-    const advancedBody = document.createElement('div');
-    advancedBody.className = 'slm-form';
-    const brandInput = createField(advancedBody, '브랜드', 'text', '');
-    const valueInput = createField(advancedBody, '금액/가치', 'text', '');
-    advanced.appendChild(advancedBody);
-    container.appendChild(advanced);
+/**
+ * 기프티콘 id로 12자리 쿠폰 번호를 만든다 (같은 id면 항상 같은 번호)
+ * @param {string} id
+ * @returns {string}
+ */
+function getCouponCode(id) {
+    // FNV-1a 해시 두 번으로 12자리를 채운다
+    const hash = (text, seed) => {
+        let h = seed;
+        for (const ch of String(text)) {
+            h ^= ch.codePointAt(0);
+            h = Math.imul(h, 16777619) >>> 0;
+        }
+        return h;
+    };
+    const high = String(hash(id, 2166136261) % 1000000).padStart(6, '0');
+    const low = String(hash(`${id}:coupon`, 2166136261) % 1000000).padStart(6, '0');
+    return `${high}${low}`;
+}
 
-    const sendBtn = document.createElement('button');
-    sendBtn.className = 'slm-btn slm-btn-primary';
-    sendBtn.classList.add('slm-gifticon-send-btn');
-    sendBtn.style.marginTop = '12px';
-    sendBtn.textContent = '📤 기프티콘 보내기';
-    sendBtn.onclick = async () => {
-        const name = nameInput.value.trim();
-        const recipient = recipSelect.value || recipInput.value.trim();
-        const emoji = emojiInput.value.trim() || '🎁';
-        if (!name) { showToast('기프티콘 이름을 입력해주세요.', 'warn'); return; }
-        if (!recipient) { showToast('받는 사람을 입력해주세요.', 'warn'); return; }
+/**
+ * 쿠폰 카드 HTML을 만든다 (보관함과 채팅 메시지 공용, 한 줄 문자열)
+ * 사용·만료 도장은 상태 클래스(slm-coupon-used / slm-coupon-expired)로 CSS에서 그린다.
+ * @param {Gifticon} g
+ * @param {{ route?: string }} [options] - route: '보내는 사람 → 받는 사람' 표시
+ * @returns {string}
+ */
+function buildCouponCardHtml(g, { route = '' } = {}) {
+    const code = getCouponCode(g.id);
+    const formattedCode = code.replace(/(\d{4})(?=\d)/g, '$1 ');
+    return `<div class="slm-coupon-card slm-coupon-${escapeHtml(g.status)}" data-gifticon-id="${escapeHtml(g.id)}">`
+        + '<div class="slm-coupon-head">'
+        + `<span class="slm-coupon-brand">${escapeHtml(g.brand || '기프티콘')}</span>`
+        + (g.value ? `<span class="slm-coupon-value">${escapeHtml(g.value)}</span>` : '')
+        + '</div>'
+        + '<div class="slm-coupon-body">'
+        + `<div class="slm-coupon-emoji">${escapeHtml(g.emoji || '🎁')}</div>`
+        + `<div class="slm-coupon-name">${escapeHtml(g.name)}</div>`
+        + (route ? `<div class="slm-coupon-route">${escapeHtml(route)}</div>` : '')
+        + '</div>'
+        + `<div class="slm-coupon-barcode">${buildCode128Svg(code)}</div>`
+        + `<div class="slm-coupon-code">${formattedCode}</div>`
+        + (g.expiresOn ? `<div class="slm-coupon-expiry">유효기간 ~ ${escapeHtml(g.expiresOn)}</div>` : '')
+        + '</div>';
+}
 
-        sendBtn.disabled = true;
-        try {
-            const gifticonId = generateId();
-            const g = {
-                id: gifticonId,
-                name,
-                emoji,
-                brand: brandInput.value.trim(),
-                value: valueInput.value.trim(),
-                status: 'sent',
-                counterpart: recipient,
-                date: new Date().toISOString(),
-                memo: memoInput.value.trim(),
-                messageMarker: getGifticonMarker(gifticonId),
-            };
-            const list = loadGifticons();
-            list.push(g);
-            saveGifticons(list);
-
-            const senderName = getContext()?.name1 || 'user';
-            const valuePart = g.value ? ` (${escapeHtml(g.value)})` : '';
-            const memoPart = g.memo ? `\n- 메모: ${escapeHtml(g.memo)}` : '';
-            const tmpl = getExtensionSettings()?.['st-lifesim']?.messageTemplates?.gifticonSend;
-            let msg;
-            if (tmpl) {
-                msg = tmpl
-                    .replace(/\{emoji\}/g, escapeHtml(emoji))
-                    .replace(/\{senderName\}/g, escapeHtml(senderName))
-                    .replace(/\{recipient\}/g, escapeHtml(recipient))
-                    .replace(/\{name\}/g, escapeHtml(g.name))
-                    .replace(/\{value\}/g, escapeHtml(g.value || ''))
-                    .replace(/\{valuePart\}/g, valuePart)
-                    .replace(/\{memo\}/g, escapeHtml(g.memo || ''))
-                    .replace(/\{memoPart\}/g, memoPart)
-                    + `\n<!--${g.messageMarker}-->`;
-            } else {
-                msg = `${escapeHtml(emoji)} **기프티콘 전송 완료**\n- 보내는 사람: ${escapeHtml(senderName)}\n- 받는 사람: ${escapeHtml(recipient)}\n- 품목: ${escapeHtml(g.name)}${valuePart}${memoPart}\n<!--${g.messageMarker}-->`;
-            }
-            await slashSend(msg);
-            showToast(`${recipient}에게 기프티콘 전송 완료`, 'success');
+/**
+ * 채팅에 올라간 쿠폰 카드의 상태(사용·만료 도장)를 갱신한다
+ * @param {Gifticon} g
+ */
+async function updateCouponCardInChat(g) {
+    if (!g?.messageMarker) return;
+    const ctx = getContext();
+    const chat = ctx?.chat || [];
+    const idx = chat.findIndex(msg => String(msg?.mes || '').includes(g.messageMarker));
+    if (idx === -1) return;
+    const cardRe = new RegExp(`slm-coupon-card slm-coupon-\\w+(" data-gifticon-id="${g.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}")`);
+    const mes = String(chat[idx].mes);
+    const updated = mes.replace(cardRe, `slm-coupon-card slm-coupon-${g.status}$1`);
+    if (updated === mes) return;
+    chat[idx].mes = updated;
+    try {
+        const cardEl = document.querySelector(`.mes[mesid="${idx}"] .slm-coupon-card[data-gifticon-id="${g.id}"]`);
+        if (cardEl) cardEl.className = `slm-coupon-card slm-coupon-${g.status}`;
+    } catch (e) {
+        console.warn('[ST-LifeSim] 쿠폰 카드 UI 갱신 실패:', e);
+    }
+    if (typeof ctx.saveChat === 'function') await ctx.saveChat();
+}
 
-            nameInput.value = '';
-            emojiInput.value = '🎁';
-            brandInput.value = '';
-            valueInput.value = '';
-            memoInput.value = '';
-            recipInput.value = '';
+/**
+ * 기프티콘을 사용 완료 처리하고 채팅의 쿠폰 카드에 도장을 찍는다
+ * @param {string} id
+ * @returns {Gifticon|null}
+ */
+function markGifticonUsed(id) {
+    const all = loadGifticons();
+    const target = all.find(x => x.id === id);
+    if (!target) return null;
+    target.status = 'used';
+    saveGifticons(all);
+    updateCouponCardInChat(target).catch(e => console.error('[ST-LifeSim] 쿠폰 카드 갱신 오류:', e));
+    return target;
+}
+
+/**
+ * 기프티콘 전송 메시지를 만든다 (설정의 gifticonSend 템플릿 우선)
+ * 쿠폰 카드는 템플릿의 {card} 자리에, 없으면 맨 앞에 들어간다.
+ * @param {Gifticon} g
+ * @returns {string}
+ */
+function buildGifticonSendMessage(g) {
+    const senderName = getContext()?.name1 || 'user';
+    const card = buildCouponCardHtml(g, { route: `${senderName} → ${g.counterpart}` });
+    const emoji = g.emoji || '🎁';
+    const valuePart = g.value ? ` (${escapeHtml(g.value)})` : '';
+    const memoPart = g.memo ? `\n- 메모: ${escapeHtml(g.memo)}` : '';
+    const tmpl = getExtensionSettings()?.['st-lifesim']?.messageTemplates?.gifticonSend;
+    if (tmpl) {
+        const text = tmpl.includes('{card}') ? tmpl : `{card}\n${tmpl}`;
+        return text
+            .replace(/\{card\}/g, card)
+            .replace(/\{emoji\}/g, escapeHtml(emoji))
+            .replace(/\{senderName\}/g, escapeHtml(senderName))
+            .replace(/\{recipient\}/g, escapeHtml(g.counterpart))
+            .replace(/\{name\}/g, escapeHtml(g.name))
+            .replace(/\{value\}/g, escapeHtml(g.value || ''))
+            .replace(/\{valuePart\}/g, valuePart)
+            .replace(/\{memo\}/g, escapeHtml(g.memo || ''))
+            .replace(/\{memoPart\}/g, memoPart)
+            + `\n<!--${g.messageMarker}-->`;
+    }
+    return `${card}\n${escapeHtml(emoji)} **기프티콘 전송 완료**\n- 보내는 사람: ${escapeHtml(senderName)}\n- 받는 사람: ${escapeHtml(g.counterpart)}\n- 품목: ${escapeHtml(g.name)}${valuePart}${memoPart}\n<!--${g.messageMarker}-->`;
+}
+
+/**
+ * 보낸 기프티콘을 저장하고 채팅에 전송 메시지를 보낸다 (같은 id가 있으면 갱신)
+ * @param {Gifticon} g - status 'sent', counterpart = 받는 사람
+ */
+async function deliverGifticon(g) {
+    const sent = { ...g, messageMarker: getGifticonMarker(g.id) };
+    const list = loadGifticons();
+    const idx = list.findIndex(x => x.id === sent.id);
+    if (idx === -1) list.push(sent);
+    else list[idx] = sent;
+    saveGifticons(list);
+    await slashSend(buildGifticonSendMessage(sent));
+}
+
+/**
+ * 받는 사람과 메모를 고르는 서브창
+ * @param {{title: string, desc?: string, confirmLabel: string, allowSelf: boolean, onConfirm: (recipient: string, memo: string) => Promise<void>}} options
+ */
+function openRecipientDialog({ title, desc, confirmLabel, allowSelf, onConfirm }) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form slm-gifticon-send-form';
+
+    if (desc) {
+        const descEl = document.createElement('div');
+        descEl.className = 'slm-desc';
+        descEl.textContent = desc;
+        wrapper.appendChild(descEl);
+    }
+    const recipient = createRecipientPicker(wrapper, allowSelf);
+    const memoInput = createField(wrapper, '메모 (선택)', 'text', '');
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-secondary';
+    cancelBtn.textContent = '취소';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'slm-btn slm-btn-primary';
+    confirmBtn.textContent = confirmLabel;
+    footer.appendChild(cancelBtn);
+    footer.appendChild(confirmBtn);
+
+    const { close } = createPopup({
+        id: 'gifticon-recipient',
+        title,
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    confirmBtn.onclick = async () => {
+        const name = recipient.getValue();
+        if (!name && !recipient.isSelf()) { showToast('받는 사람을 입력해주세요.', 'warn'); return; }
+        confirmBtn.disabled = true;
+        try {
+            await onConfirm(name, memoInput.value.trim());
+            close();
         } catch (e) {
-            showToast('전송 실패: ' + e.message, 'error');
+            showToast('처리 실패: ' + e.message, 'error');
         } finally {
-            sendBtn.disabled = false;
+            confirmBtn.disabled = false;
         }
     };
+}
 
-    container.appendChild(sendBtn);
+/** 상점 렌더링 (카탈로그 편집·AI 생성·구매) */
+function renderShop() {
+    const container = document.createElement('div');
+    container.className = 'slm-gifticon-inbox';
+
+    const walletDesc = document.createElement('div');
+    walletDesc.className = 'slm-desc';
+    container.appendChild(walletDesc);
+
+    const actionRow = document.createElement('div');
+    actionRow.className = 'slm-btn-row';
+    actionRow.style.marginBottom = '8px';
+    const addBtn = document.createElement('button');
+    addBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    addBtn.textContent = '+ 상품 추가';
+    addBtn.onclick = () => openShopItemDialog(null, renderItems);
+    const aiBtn = document.createElement('button');
+    aiBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    aiBtn.textContent = '🤖 AI 생성';
+    aiBtn.title = '세계관·장르에 맞는 상품 목록을 AI로 만들기';
+    aiBtn.onclick = async () => {
+        if (loadShopItems().length > 0 && !await showConfirm('지금 카탈로그를 AI가 만든 목록으로 바꿀까요?', '바꾸기', '취소')) return;
+        aiBtn.disabled = true;
+        try {
+            await generateShopItemsWithAi();
+            renderItems();
+        } finally {
+            aiBtn.disabled = false;
+        }
+    };
+    actionRow.appendChild(addBtn);
+    actionRow.appendChild(aiBtn);
+    container.appendChild(actionRow);
+
+    const listDiv = document.createElement('div');
+    listDiv.className = 'slm-gifticon-list';
+    container.appendChild(listDiv);
+
+    function renderItems() {
+        const currency = getWalletCurrency();
+        walletDesc.textContent = currency
+            ? `지갑 잔액: ${formatPrice(currency.balance, currency)} · 구매하면 주 계좌에서 출금됩니다.`
+            : '지갑 초기 설정을 마쳐야 구매할 수 있습니다.';
+
+        listDiv.innerHTML = '';
+        const items = loadShopItems();
+        if (items.length === 0) {
+            listDiv.innerHTML = '<div class="slm-empty">상품이 없습니다.</div>';
+            return;
+        }
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'slm-gifticon-shop-item';
+            row.innerHTML = `
+                <div class="slm-gifticon-emoji">${escapeHtml(item.emoji || '🎁')}</div>
+                <div class="slm-gifticon-info">
+                    <div class="slm-gifticon-name">${escapeHtml(item.name)}</div>
+                    <div class="slm-gifticon-brand">${escapeHtml(item.brand || '')}</div>
+                    <div class="slm-gifticon-value">${escapeHtml(formatPrice(item.price, currency))}</div>
+                    ${item.validDays ? `<div class="slm-gifticon-expiry">유효기간 ${item.validDays}일</div>` : ''}
+                </div>
+            `;
+            const btnCol = document.createElement('div');
+            btnCol.className = 'slm-gifticon-shop-actions';
+            const buyBtn = document.createElement('button');
+            buyBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+            buyBtn.textContent = '구매';
+            buyBtn.disabled = !currency;
+            buyBtn.onclick = () => openRecipientDialog({
+                title: `${item.emoji || '🎁'} ${item.name} 구매`,
+                desc: `가격 ${formatPrice(item.price, currency)} · 나에게 사면 보관함에, 다른 사람을 고르면 바로 선물로 보냅니다.`,
+                confirmLabel: '🛒 구매',
+                allowSelf: true,
+                onConfirm: async (recipient, memo) => {
+                    if (await buyShopItem(item, recipient, memo)) renderItems();
+                },
+            });
+            const editBtn = document.createElement('button');
+            editBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+            editBtn.textContent = '편집';
+            editBtn.onclick = () => openShopItemDialog(item, renderItems);
+            const delBtn = document.createElement('button');
+            delBtn.className = 'slm-btn slm-btn-danger slm-btn-sm';
+            delBtn.textContent = '🗑️';
+            delBtn.onclick = () => {
+                saveShopItems(loadShopItems().filter(x => x.id !== item.id));
+                renderItems();
+            };
+            btnCol.appendChild(buyBtn);
+            btnCol.appendChild(editBtn);
+            btnCol.appendChild(delBtn);
+            row.appendChild(btnCol);
+            listDiv.appendChild(row);
+        });
+    }
+
+    renderItems();
     return container;
 }
 
+/**
+ * 지갑 기준 화폐로 가격을 표시한다
+ * @param {number} price
+ * @param {{currencySymbol: string}|null} currency
+ * @returns {string}
+ */
+function formatPrice(price, currency) {
+    const amount = (Number(price) || 0).toLocaleString('ko-KR');
+    return currency ? `${currency.currencySymbol} ${amount}` : amount;
+}
+
+/**
+ * 상점 상품을 지갑 돈으로 산다
+ * 받는 사람이 없으면 보관함에 넣고, 있으면 gifticonSend 템플릿으로 바로 보낸다.
+ * @param {ShopItem} item
+ * @param {string} recipient - 비어 있으면 나에게
+ * @param {string} memo
+ * @returns {Promise<boolean>} 구매 성공 여부
+ */
+async function buyShopItem(item, recipient, memo) {
+    const payment = payFromWallet({
+        price: Number(item.price) || 0,
+        counterpart: item.brand || '기프티콘 상점',
+        note: recipient ? `${item.name} 기프티콘 (→ ${recipient})` : `${item.name} 기프티콘`,
+        category: recipient ? '선물' : '쇼핑',
+    });
+    if (!payment.ok) {
+        showToast(payment.error, 'error');
+        return false;
+    }
+    const g = {
+        id: generateId(),
+        name: item.name,
+        emoji: item.emoji || '🎁',
+        brand: item.brand || '',
+        value: formatPrice(item.price, getWalletCurrency()),
+        price: Number(item.price) || 0,
+        purchased: true,
+        date: new Date().toISOString(),
+        memo,
+        expiresOn: getExpiryDate(item.validDays),
+    };
+    if (recipient) {
+        await deliverGifticon({ ...g, status: 'sent', counterpart: recipient });
+        showToast(`${recipient}에게 ${item.name} 기프티콘을 선물했습니다.`, 'success');
+    } else {
+        saveGifticons([...loadGifticons(), { ...g, status: 'received', counterpart: item.brand || '기프티콘 상점' }]);
+        showToast(`${item.name} 구매 완료 (보관함)`, 'success');
+    }
+    return true;
+}
+
+/**
+ * 상점 상품 추가/편집 서브창
+ * @param {ShopItem|null} existing
+ * @param {Function} onSave
+ */
+function openShopItemDialog(existing, onSave) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form';
+    const currency = getWalletCurrency();
+
+    const emojiInput = createField(wrapper, '이모지', 'text', existing?.emoji || '🎁');
+    const nameInput = createField(wrapper, '상품 이름 *', 'text', existing?.name || '');
+    const brandInput = createField(wrapper, '브랜드/가게', 'text', existing?.brand || '');
+    const priceInput = createField(wrapper, `가격 (${currency ? currency.currencySymbol : '지갑 기준 화폐'}) *`, 'number', String(existing?.price ?? ''));
+    priceInput.min = '0';
+    const validDaysInput = createField(wrapper, '유효기간 (인월드 일수, 비우면 무기한)', 'number', existing?.validDays ? String(existing.validDays) : '');
+    validDaysInput.min = '1';
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-secondary';
+    cancelBtn.textContent = '취소';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'slm-btn slm-btn-primary';
+    saveBtn.textContent = existing ? '저장' : '추가';
+    footer.appendChild(cancelBtn);
+    footer.appendChild(saveBtn);
+
+    const { close } = createPopup({
+        id: 'gifticon-shop-item',
+        title: existing ? '🛒 상품 편집' : '🛒 상품 추가',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    saveBtn.onclick = () => {
+        const name = nameInput.value.trim();
+        const price = Number(priceInput.value);
+        if (!name) { showToast('상품 이름을 입력해주세요.', 'warn'); return; }
+        if (!(price > 0)) { showToast('가격을 입력해주세요.', 'warn'); return; }
+        const item = {
+            id: existing?.id || generateId(),
+            emoji: emojiInput.value.trim() || '🎁',
+            name,
+            brand: brandInput.value.trim(),
+            price,
+            validDays: Math.floor(Number(validDaysInput.value)) > 0 ? Math.floor(Number(validDaysInput.value)) : null,
+        };
+        const items = loadShopItems();
+        const idx = items.findIndex(x => x.id === item.id);
+        if (idx === -1) items.push(item);
+        else items[idx] = item;
+        saveShopItems(items);
+        close();
+        if (typeof onSave === 'function') onSave();
+    };
+}
+
+/**
+ * 세계관·장르에 맞는 상점 카탈로그를 AI로 만들어 바꾼다
+ */
+async function generateShopItemsWithAi() {
+    const ctx = getContext();
+    if (!ctx || typeof ctx.generateQuietPrompt !== 'function') {
+        showToast('AI 생성 기능을 사용할 수 없습니다.', 'error');
+        return;
+    }
+    const currency = getWalletCurrency();
+    const currencyLabel = currency ? `${currency.currencyName} (${currency.currencySymbol})` : 'the local currency';
+    const prompt = `Based on the setting, era and genre of the current story, list ${SHOP_AI_ITEM_COUNT} gift items {{user}} could buy as gift vouchers in this world (food, drinks, goods, experiences).
+Prices must be realistic for this world, in ${currencyLabel}, as plain numbers.
+Reply in JSON only, no extra text, using the same language as the conversation for names:
+[{"emoji": "one emoji", "name": "item name", "brand": "shop or brand", "price": 0}]`;
+    try {
+        const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: '상점' }) || '';
+        const match = raw.match(/\[[\s\S]*\]/);
+        const parsed = match ? JSON.parse(match[0]) : null;
+        const items = (Array.isArray(parsed) ? parsed : [])
+            .map(item => ({
+                id: generateId(),
+                emoji: String(item?.emoji || '🎁').trim() || '🎁',
+                name: String(item?.name || '').trim(),
+                brand: String(item?.brand || '').trim(),
+                price: Math.round(Number(String(item?.price ?? '').replace(/[^\d.]/g, '')) || 0),
+            }))
+            .filter(item => item.name && item.price > 0);
+        if (items.length === 0) {
+            showToast('AI가 상품 목록을 만들지 못했습니다.', 'warn');
+            return;
+        }
+        saveShopItems(items);
+        showToast(`🛒 상품 ${items.length}개를 만들었습니다.`, 'success');
+    } catch (e) {
+        console.error('[ST-LifeSim] 상점 카탈로그 생성 오류:', e);
+        showToast('AI 생성 실패: ' + e.message, 'error');
+    }
+}
+
 function createField(container, label, type, value) {
     const lbl = document.createElement('label');
     lbl.className = 'slm-label';
@@ -0,0 +1,496 @@
+/**
+ * groupchat.js
+ * 단톡방 모듈
+ * - 연락처에서 참여자를 골라 단톡방 생성/편집/삭제
+ * - 방마다 대화 기록을 따로 저장 (채팅별 바인딩)
+ * - 방에 들어가 있는 동안 참여자·최근 대화를 컨텍스트에 주입
+ * - AI가 다음에 말할 참여자와 내용을 정해 방 기록에 추가하고 /sendas로 그 참여자 이름으로 전송
+ * - 채팅창에 올라간 단톡방 메시지는 마커를 달아 숨김 처리하고, 다른 모듈의 감지기도 마커로 건너뛴다
+ */
+
+import { getContext } from '../../utils/st-context.js';
+import { slashSend, slashSendAs, runSequential } from '../../utils/slash.js';
+import { loadData, saveData, getDefaultBinding, registerSchema } from '../../utils/storage.js';
+import { registerContextBuilder } from '../../utils/context-inject.js';
+import { showToast, showConfirm, escapeHtml, generateId } from '../../utils/ui.js';
+import { createPopup } from '../../utils/popup.js';
+import { getContacts, getRelationLinesAmong } from '../contacts/contacts.js';
+
+const MODULE_KEY = 'group-rooms';
+const ROOM_MARKER_PREFIX = 'stls-room:';
+// 방마다 보관할 최대 메시지 수
+const ROOM_HISTORY_LIMIT = 200;
+// 컨텍스트와 AI 발언 생성에 넘길 최근 메시지 수
+const ROOM_CONTEXT_MESSAGES = 12;
+const ROOM_MIN_MEMBERS = 2;
+const ROOM_MESSAGE_MAX_LENGTH = 500;
+
+// 지금 열려 있는 (들어가 있는) 방 ID
+let activeRoomId = null;
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 배열이 아니거나 ID가 없는 방을 정리하고 참여자·기록을 배열로 보정한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(room => room && typeof room === 'object')
+            .map(room => ({
+                ...room,
+                id: room.id || generateId(),
+                members: Array.isArray(room.members) ? room.members : [],
+                history: Array.isArray(room.history) ? room.history : [],
+            })),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '단톡방 목록이 배열이 아닙니다.';
+        if (data.some(room => !room?.id || typeof room.name !== 'string')) return 'ID나 이름이 없는 단톡방이 있습니다.';
+        return null;
+    },
+    chatMetadata: true,
+});
+
+/**
+ * @typedef {Object} RoomMessage
+ * @property {string} id
+ * @property {string} speaker - 보낸 사람 이름
+ * @property {boolean} isUser
+ * @property {string} text
+ * @property {string} date - 실제 시각 (ISO)
+ */
+
+/**
+ * @typedef {Object} GroupRoom
+ * @property {string} id
+ * @property {string} name
+ * @property {string[]} members - 참여 연락처 이름
+ * @property {RoomMessage[]} history
+ * @property {string} createdAt
+ */
+
+/**
+ * 단톡방 목록을 불러온다
+ * @returns {GroupRoom[]}
+ */
+function loadRooms() {
+    return loadData(MODULE_KEY, [], getDefaultBinding());
+}
+
+/**
+ * 단톡방 목록을 저장한다
+ * @param {GroupRoom[]} rooms
+ */
+function saveRooms(rooms) {
+    saveData(MODULE_KEY, rooms, getDefaultBinding());
+}
+
+/**
+ * 단톡방에 참여할 수 있는 연락처 목록 ({{user}} 제외, 이름 중복 제거)
+ * @returns {import('../contacts/contacts.js').Contact[]}
+ */
+function getMemberCandidates() {
+    const seen = new Set();
+    return [...getContacts('character'), ...getContacts('chat')]
+        .filter(c => !c.isUserAuto && c.name && !seen.has(c.name) && seen.add(c.name));
+}
+
+/**
+ * 참여자 이름으로 연락처를 찾는다
+ * @param {string} name
+ */
+function findMemberContact(name) {
+    return getMemberCandidates().find(c => c.name === name) || null;
+}
+
+/**
+ * 방에 메시지를 추가하고 저장한다
+ * @param {string} roomId
+ * @param {Omit<RoomMessage, 'id'|'date'>} message
+ * @returns {GroupRoom|null}
+ */
+function appendRoomMessage(roomId, message) {
+    const rooms = loadRooms();
+    const room = rooms.find(r => r.id === roomId);
+    if (!room) return null;
+    room.history.push({ id: generateId(), date: new Date().toISOString(), ...message });
+    room.history = room.history.slice(-ROOM_HISTORY_LIMIT);
+    saveRooms(rooms);
+    return room;
+}
+
+/**
+ * 채팅 메시지가 단톡방에서 올라온 메시지인지 (감지기가 건너뛰는 데 쓴다)
+ * @param {Object} message - SillyTavern 채팅 메시지
+ * @returns {boolean}
+ */
+export function isGroupRoomMessage(message) {
+    return String(message?.mes || '').includes(`<!--${ROOM_MARKER_PREFIX}`);
+}
+
+/**
+ * 단톡방 메시지를 채팅창에도 올리고 1:1 대화 프롬프트에서 숨긴다
+ * 채팅 전송에 실패해도 방 기록은 이미 저장돼 있으므로 경고만 남긴다.
+ * @param {GroupRoom} room
+ * @param {string} speaker - 참여자 이름 (유저면 빈 문자열)
+ * @param {string} text
+ */
+async function postRoomMessageToChat(room, speaker, text) {
+    // 파이프는 슬래시 커맨드 구분자이므로 이스케이프한다
+    const body = `💬 [${room.name}] ${text}`.replace(/\|/g, '\\|');
+    const marker = `<!--${ROOM_MARKER_PREFIX}${room.id}-->`;
+    try {
+        if (speaker) await slashSendAs(speaker, `${body}${marker}`);
+        else await slashSend(`${body}${marker}`);
+    } catch (e) {
+        console.warn('[ST-LifeSim] 단톡방 메시지 채팅 전송 실패:', e);
+        return;
+    }
+
+    const chat = getContext()?.chat || [];
+    const idx = chat.length - 1;
+    if (idx >= 0 && String(chat[idx]?.mes || '').includes(marker)) {
+        await runSequential([`/hide ${idx}`]).catch(e => console.warn('[ST-LifeSim] 단톡방 메시지 숨김 실패:', e));
+    }
+}
+
+/**
+ * 방의 최근 대화를 프롬프트용 줄 목록으로 만든다
+ * @param {GroupRoom} room
+ * @returns {string[]}
+ */
+function formatRoomHistory(room) {
+    return room.history
+        .slice(-ROOM_CONTEXT_MESSAGES)
+        .map(msg => `${msg.isUser ? '{{user}}' : msg.speaker}: ${msg.text}`);
+}
+
+/**
+ * 들어가 있는 방의 참여자·관계·최근 대화를 컨텍스트용으로 만든다
+ * @returns {string|null}
+ */
+function buildRoomContext() {
+    // 팝업이 다른 경로로 닫혀 onClose가 불리지 않은 경우도 방에서 나간 것으로 본다
+    if (activeRoomId && !document.getElementById('slm-overlay-groupchat-room')) activeRoomId = null;
+    if (!activeRoomId) return null;
+    const room = loadRooms().find(r => r.id === activeRoomId);
+    if (!room) return null;
+    const memberLines = room.members.map(name => {
+        const c = findMemberContact(name);
+        let line = `• ${name}`;
+        if (c?.relationToUser) line += ` | Relation to {{user}}: ${c.relationToUser}`;
+        if (c?.personality) line += ` | Personality: ${c.personality}`;
+        return line;
+    });
+    const sections = [`=== Group Chat Room: ${room.name} ===\n{{user}} is in a group messenger room with:\n${memberLines.join('\n')}`];
+    const relations = getRelationLinesAmong(room.members);
+    if (relations.length > 0) sections.push(`Relationships among members:\n${relations.map(line => `• ${line}`).join('\n')}`);
+    const history = formatRoomHistory(room);
+    sections.push(`Recent messages in this room:\n${history.length > 0 ? history.join('\n') : '(no messages yet)'}`);
+    sections.push('→ This room is separate from the 1:1 conversation. Members write short, casual group-chat messages in their own voice, react to each other as well as to {{user}}, and only one member speaks per message.');
+    return sections.join('\n');
+}
+
+/**
+ * 다음에 말할 참여자와 내용을 AI로 정해 방과 채팅창에 올린다
+ * @param {string} roomId
+ * @returns {Promise<boolean>} 발언이 올라갔는지
+ */
+async function generateNextRoomTurn(roomId) {
+    const ctx = getContext();
+    if (!ctx || typeof ctx.generateQuietPrompt !== 'function') {
+        showToast('AI 생성 기능을 사용할 수 없습니다.', 'error');
+        return false;
+    }
+    const room = loadRooms().find(r => r.id === roomId);
+    if (!room || room.members.length === 0) return false;
+
+    const lastSpeaker = [...room.history].reverse().find(msg => !msg.isUser)?.speaker || '';
+    const prompt = `You are writing the next message in the group chat room "${room.name}".
+Members: ${room.members.join(', ')}
+Recent messages:
+${formatRoomHistory(room).join('\n') || '(no messages yet)'}
+Pick the member who would most plausibly speak next (whoever was addressed, or has a reason to react${lastSpeaker ? `; avoid ${lastSpeaker} speaking twice in a row unless they were asked something` : ''}) and write their message in the same language as the conversation.
+Reply in JSON only, no extra text:
+{"speaker": "exact member name", "text": "their message"}`;
+
+    let data;
+    try {
+        const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: room.name }) || '';
+        const match = raw.match(/\{[\s\S]*\}/);
+        data = match ? JSON.parse(match[0]) : null;
+    } catch (e) {
+        console.error('[ST-LifeSim] 단톡방 발언 생성 오류:', e);
+        showToast('발언 생성 실패', 'error');
+        return false;
+    }
+    const speaker = room.members.find(name => name === String(data?.speaker || '').trim());
+    const text = String(data?.text || '').trim().slice(0, ROOM_MESSAGE_MAX_LENGTH);
+    if (!speaker || !text) {
+        showToast('다음 발언을 정하지 못했습니다.', 'warn');
+        return false;
+    }
+    const updated = appendRoomMessage(roomId, { speaker, isUser: false, text });
+    if (!updated) return false;
+    await postRoomMessageToChat(updated, speaker, text);
+    return true;
+}
+
+/**
+ * 단톡방 모듈을 초기화한다
+ */
+export function initGroupChat() {
+    registerContextBuilder('group-room', buildRoomContext);
+}
+
+/**
+ * 단톡방 목록 팝업을 연다
+ * @param {Function} [onBack]
+ */
+export function openGroupChatPopup(onBack) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-room-list-wrapper';
+
+    const actionRow = document.createElement('div');
+    actionRow.className = 'slm-btn-row';
+    actionRow.style.marginBottom = '8px';
+    const addBtn = document.createElement('button');
+    addBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    addBtn.textContent = '+ 새 단톡방';
+    addBtn.onclick = () => openRoomDialog(null, renderList);
+    actionRow.appendChild(addBtn);
+    wrapper.appendChild(actionRow);
+
+    const list = document.createElement('div');
+    list.className = 'slm-room-list';
+    wrapper.appendChild(list);
+
+    function renderList() {
+        list.innerHTML = '';
+        const rooms = loadRooms();
+        if (rooms.length === 0) {
+            list.innerHTML = '<div class="slm-empty">단톡방이 없습니다.</div>';
+            return;
+        }
+        rooms.forEach(room => {
+            const row = document.createElement('div');
+            row.className = 'slm-room-row';
+            const last = room.history[room.history.length - 1];
+            const info = document.createElement('div');
+            info.className = 'slm-room-info';
+            info.innerHTML = `
+                <div class="slm-room-name">${escapeHtml(room.name)} <span class="slm-room-count">${room.members.length + 1}</span></div>
+                <div class="slm-room-preview">${escapeHtml(last ? `${last.isUser ? '나' : last.speaker}: ${last.text}` : room.members.join(', '))}</div>
+            `;
+            info.onclick = () => openRoomPopup(room.id);
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+            editBtn.textContent = '편집';
+            editBtn.onclick = () => openRoomDialog(room, renderList);
+
+            const delBtn = document.createElement('button');
+            delBtn.className = 'slm-btn slm-btn-danger slm-btn-sm';
+            delBtn.textContent = '삭제';
+            delBtn.onclick = async () => {
+                if (!await showConfirm(`'${room.name}' 단톡방과 대화 기록을 삭제할까요?`, '삭제', '취소')) return;
+                saveRooms(loadRooms().filter(r => r.id !== room.id));
+                renderList();
+                showToast('단톡방 삭제', 'success', 1500);
+            };
+
+            row.appendChild(info);
+            row.appendChild(editBtn);
+            row.appendChild(delBtn);
+            list.appendChild(row);
+        });
+    }
+
+    renderList();
+    createPopup({
+        id: 'groupchat',
+        title: '💬 단톡방',
+        content: wrapper,
+        className: 'slm-room-panel',
+        onBack,
+    });
+}
+
+/**
+ * 단톡방 생성/편집 서브창을 연다
+ * @param {GroupRoom|null} existing
+ * @param {Function} onSave
+ */
+function openRoomDialog(existing, onSave) {
+    const candidates = getMemberCandidates();
+    if (candidates.length < ROOM_MIN_MEMBERS) {
+        showToast(`단톡방을 만들려면 연락처가 ${ROOM_MIN_MEMBERS}명 이상 필요합니다.`, 'warn');
+        return;
+    }
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form';
+
+    const nameLbl = document.createElement('label');
+    nameLbl.className = 'slm-label';
+    nameLbl.textContent = '방 이름 *';
+    const nameInput = document.createElement('input');
+    nameInput.className = 'slm-input';
+    nameInput.type = 'text';
+    nameInput.value = existing?.name || '';
+    nameInput.placeholder = '예: 동아리 단톡, 가족방';
+    wrapper.append(nameLbl, nameInput);
+
+    const memberLbl = document.createElement('label');
+    memberLbl.className = 'slm-label';
+    memberLbl.textContent = `참여자 (${ROOM_MIN_MEMBERS}명 이상)`;
+    wrapper.appendChild(memberLbl);
+    const checks = candidates.map(c => {
+        const row = document.createElement('label');
+        row.className = 'slm-toggle-label';
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.value = c.name;
+        chk.checked = existing ? existing.members.includes(c.name) : false;
+        row.appendChild(chk);
+        row.appendChild(document.createTextNode(` ${c.displayName || c.name}`));
+        wrapper.appendChild(row);
+        return chk;
+    });
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'slm-btn slm-btn-secondary';
+    cancelBtn.textContent = '취소';
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'slm-btn slm-btn-primary';
+    saveBtn.textContent = '저장';
+    footer.appendChild(cancelBtn);
+    footer.appendChild(saveBtn);
+
+    const { close } = createPopup({
+        id: 'groupchat-edit',
+        title: existing ? '단톡방 편집' : '새 단톡방',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    cancelBtn.onclick = () => close();
+    saveBtn.onclick = () => {
+        const name = nameInput.value.trim();
+        const members = checks.filter(chk => chk.checked).map(chk => chk.value);
+        if (!name) { showToast('방 이름을 입력하세요.', 'warn'); return; }
+        if (members.length < ROOM_MIN_MEMBERS) { showToast(`참여자를 ${ROOM_MIN_MEMBERS}명 이상 고르세요.`, 'warn'); return; }
+        const rooms = loadRooms();
+        const room = existing && rooms.find(r => r.id === existing.id);
+        if (room) {
+            room.name = name;
+            room.members = members;
+        } else {
+            rooms.push({ id: generateId(), name, members, history: [], createdAt: new Date().toISOString() });
+        }
+        saveRooms(rooms);
+        close();
+        onSave();
+        showToast(existing ? '단톡방 수정 완료' : '단톡방 생성 완료', 'success', 1500);
+    };
+}
+
+/**
+ * 단톡방 대화 팝업을 연다 (열려 있는 동안 방 컨텍스트가 주입된다)
+ * @param {string} roomId
+ */
+function openRoomPopup(roomId) {
+    const room = loadRooms().find(r => r.id === roomId);
+    if (!room) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-room-wrapper';
+
+    const members = document.createElement('div');
+    members.className = 'slm-room-members';
+    members.textContent = `👥 나, ${room.members.join(', ')}`;
+    wrapper.appendChild(members);
+
+    const log = document.createElement('div');
+    log.className = 'slm-room-log';
+    wrapper.appendChild(log);
+
+    const inputRow = document.createElement('div');
+    inputRow.className = 'slm-room-input-row';
+    const input = document.createElement('input');
+    input.className = 'slm-input';
+    input.type = 'text';
+    input.placeholder = '메시지 입력...';
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    sendBtn.textContent = '전송';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    nextBtn.textContent = '🎲 다음 발언';
+    nextBtn.title = '유저 입력 없이 참여자 한 명이 더 말하게 합니다';
+    inputRow.appendChild(input);
+    inputRow.appendChild(sendBtn);
+    inputRow.appendChild(nextBtn);
+    wrapper.appendChild(inputRow);
+
+    const renderLog = () => {
+        const current = loadRooms().find(r => r.id === roomId);
+        log.innerHTML = '';
+        if (!current || current.history.length === 0) {
+            log.innerHTML = '<div class="slm-empty">아직 대화가 없습니다.</div>';
+            return;
+        }
+        current.history.forEach(msg => {
+            const bubble = document.createElement('div');
+            bubble.className = `slm-room-msg${msg.isUser ? ' slm-room-msg-mine' : ''}`;
+            bubble.innerHTML = `${msg.isUser ? '' : `<div class="slm-room-speaker">${escapeHtml(msg.speaker)}</div>`}<div class="slm-room-text">${escapeHtml(msg.text)}</div>`;
+            log.appendChild(bubble);
+        });
+        log.scrollTop = log.scrollHeight;
+    };
+
+    let busy = false;
+    const runTurn = async () => {
+        busy = true;
+        sendBtn.disabled = true;
+        nextBtn.disabled = true;
+        nextBtn.textContent = '⏳ 입력 중...';
+        try {
+            await generateNextRoomTurn(roomId);
+        } finally {
+            busy = false;
+            sendBtn.disabled = false;
+            nextBtn.disabled = false;
+            nextBtn.textContent = '🎲 다음 발언';
+            renderLog();
+        }
+    };
+
+    const send = async () => {
+        const text = input.value.trim();
+        if (!text || busy) return;
+        input.value = '';
+        const updated = appendRoomMessage(roomId, { speaker: getContext()?.name1 || '{{user}}', isUser: true, text });
+        if (!updated) return;
+        renderLog();
+        await postRoomMessageToChat(updated, '', text);
+        await runTurn();
+    };
+    sendBtn.onclick = send;
+    input.onkeydown = (e) => {
+        if (e.key === 'Enter' && !e.isComposing) {
+            e.preventDefault();
+            send();
+        }
+    };
+    nextBtn.onclick = () => { if (!busy) runTurn(); };
+
+    renderLog();
+    activeRoomId = roomId;
+    createPopup({
+        id: 'groupchat-room',
+        title: `💬 ${room.name}`,
+        content: wrapper,
+        className: 'slm-sub-panel slm-room-panel',
+        onClose: () => { if (activeRoomId === roomId) activeRoomId = null; },
+    });
+}
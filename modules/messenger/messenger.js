@@ -0,0 +1,389 @@
+/**
+ * messenger.js
+ * 메신저 모듈
+ * - 연락처(NPC)와 1:1 개인 대화방을 연다 (메인 채팅에는 올라가지 않음)
+ * - 연락처마다 대화 기록을 따로 저장 (채팅별 바인딩)
+ * - 답장은 generateQuietPrompt로 연락처의 성격·설명을 바탕으로 생성
+ * - 설정에서 켜면 최근 개인 대화 요약을 메인 채팅 컨텍스트에 주입
+ */
+
+import { getContext } from '../../utils/st-context.js';
+import { loadData, saveData, getExtensionSettings, registerSchema } from '../../utils/storage.js';
+import { registerContextBuilder } from '../../utils/context-inject.js';
+import { showToast, showConfirm, escapeHtml, generateId } from '../../utils/ui.js';
+import { createPopup } from '../../utils/popup.js';
+import { getContacts } from '../contacts/contacts.js';
+
+const MODULE_KEY = 'messenger-threads';
+const THREAD_BINDING = 'chat';
+// 대화방마다 보관할 최대 메시지 수
+const THREAD_HISTORY_LIMIT = 200;
+// 답장 생성에 넘길 최근 메시지 수
+const THREAD_PROMPT_MESSAGES = 16;
+const THREAD_MESSAGE_MAX_LENGTH = 500;
+// 메인 채팅 요약에 넣을 대화방 수와 방마다의 최근 메시지 수
+const DIGEST_THREADS = 3;
+const DIGEST_MESSAGES = 4;
+const DIGEST_TEXT_MAX_LENGTH = 120;
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 객체가 아니면 비우고, 대화방마다 메시지를 배열로 보정한다
+        (data) => {
+            const source = data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+            return Object.fromEntries(Object.entries(source)
+                .filter(([, thread]) => thread && typeof thread === 'object')
+                .map(([name, thread]) => [name, {
+                    ...thread,
+                    messages: Array.isArray(thread.messages) ? thread.messages : [],
+                    lastReadAt: thread.lastReadAt || '',
+                }]));
+        },
+    ],
+    validate: (data) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return '메신저 대화 목록이 객체가 아닙니다.';
+        if (Object.values(data).some(thread => !Array.isArray(thread?.messages))) return '메시지 목록이 없는 대화방이 있습니다.';
+        return null;
+    },
+    chatMetadata: true,
+});
+
+/**
+ * @typedef {Object} ThreadMessage
+ * @property {string} id
+ * @property {boolean} isUser
+ * @property {string} text
+ * @property {string} date - 실제 시각 (ISO)
+ */
+
+/**
+ * @typedef {Object} MessengerThread
+ * @property {ThreadMessage[]} messages
+ * @property {string} lastReadAt - 마지막으로 대화방을 본 시각 (ISO)
+ */
+
+/**
+ * 연락처 이름 → 대화방 목록을 불러온다
+ * @returns {Object<string, MessengerThread>}
+ */
+function loadThreads() {
+    return loadData(MODULE_KEY, {}, THREAD_BINDING);
+}
+
+/**
+ * 대화방 목록을 저장한다
+ * @param {Object<string, MessengerThread>} threads
+ */
+function saveThreads(threads) {
+    saveData(MODULE_KEY, threads, THREAD_BINDING);
+}
+
+/**
+ * 메시지를 보낼 수 있는 연락처 목록 ({{user}}·{{char}} 제외, 이름 중복 제거)
+ * {{char}}와의 대화는 메인 채팅이 맡는다.
+ * @returns {import('../contacts/contacts.js').Contact[]}
+ */
+function getThreadCandidates() {
+    const seen = new Set();
+    return [...getContacts('character'), ...getContacts('chat')]
+        .filter(c => !c.isUserAuto && !c.isCharAuto && c.name && !seen.has(c.name) && seen.add(c.name));
+}
+
+/**
+ * 대화방에 메시지를 추가하고 저장한다
+ * @param {string} name - 연락처 이름
+ * @param {Omit<ThreadMessage, 'id'|'date'>} message
+ */
+function appendThreadMessage(name, message) {
+    const threads = loadThreads();
+    const thread = threads[name] || { messages: [], lastReadAt: '' };
+    thread.messages.push({ id: generateId(), date: new Date().toISOString(), ...message });
+    thread.messages = thread.messages.slice(-THREAD_HISTORY_LIMIT);
+    threads[name] = thread;
+    saveThreads(threads);
+}
+
+/**
+ * 대화방을 읽음으로 표시한다
+ * @param {string} name
+ */
+function markThreadRead(name) {
+    const threads = loadThreads();
+    if (!threads[name]) return;
+    threads[name].lastReadAt = new Date().toISOString();
+    saveThreads(threads);
+}
+
+/**
+ * 마지막으로 본 뒤 연락처가 보낸 메시지가 있는지
+ * @param {MessengerThread} thread
+ * @returns {boolean}
+ */
+function hasUnread(thread) {
+    const lastReply = [...(thread?.messages || [])].reverse().find(msg => !msg.isUser);
+    return !!lastReply && lastReply.date > (thread.lastReadAt || '');
+}
+
+/**
+ * 최근 개인 대화 요약을 메인 채팅 컨텍스트용으로 만든다 (설정에서 켠 경우만)
+ * @returns {string|null}
+ */
+function buildMessengerDigest() {
+    if (!getExtensionSettings()?.['st-lifesim']?.messengerDigest) return null;
+    const recent = Object.entries(loadThreads())
+        .filter(([, thread]) => thread.messages.length > 0)
+        .sort(([, a], [, b]) => String(b.messages[b.messages.length - 1].date).localeCompare(String(a.messages[a.messages.length - 1].date)))
+        .slice(0, DIGEST_THREADS);
+    if (recent.length === 0) return null;
+
+    const blocks = recent.map(([name, thread]) => {
+        const lines = thread.messages.slice(-DIGEST_MESSAGES).map(msg => {
+            const text = msg.text.replace(/\s+/g, ' ');
+            const clipped = text.length > DIGEST_TEXT_MAX_LENGTH ? `${text.slice(0, DIGEST_TEXT_MAX_LENGTH)}…` : text;
+            return `  ${msg.isUser ? '{{user}}' : name}: ${clipped}`;
+        });
+        return `• {{user}} ↔ ${name}\n${lines.join('\n')}`;
+    });
+    return `=== Private Messenger Threads ===\n${blocks.join('\n')}\n→ These are private 1:1 texts between {{user}} and other people, separate from this conversation. {{char}} was not part of them and knows their content only if it would be plausible (e.g. {{user}} or the other person told them).`;
+}
+
+/**
+ * 연락처의 답장을 AI로 생성해 대화방에 추가한다
+ * @param {import('../contacts/contacts.js').Contact} contact
+ * @returns {Promise<boolean>} 답장이 추가됐는지
+ */
+async function generateThreadReply(contact) {
+    const ctx = getContext();
+    if (!ctx || typeof ctx.generateQuietPrompt !== 'function') {
+        showToast('AI 생성 기능을 사용할 수 없습니다.', 'error');
+        return false;
+    }
+    const thread = loadThreads()[contact.name];
+    const history = (thread?.messages || [])
+        .slice(-THREAD_PROMPT_MESSAGES)
+        .map(msg => `${msg.isUser ? '{{user}}' : contact.name}: ${msg.text}`);
+    const profile = [
+        contact.description && `Description: ${contact.description}`,
+        contact.personality && `Personality: ${contact.personality}`,
+        contact.relationToUser && `Relation to {{user}}: ${contact.relationToUser}`,
+        contact.relationToChar && `Relation to {{char}}: ${contact.relationToChar}`,
+    ].filter(Boolean);
+    const prompt = `You are ${contact.name}, texting {{user}} privately in a messenger app. This thread is separate from the main roleplay; {{char}} cannot see it.
+${profile.length > 0 ? `${profile.join('\n')}\n` : ''}Recent messages in this thread:
+${history.join('\n') || '(no messages yet)'}
+Write ${contact.name}'s next message to {{user}} as a short, casual text in ${contact.name}'s own voice, in the same language as the thread.
+Reply with the message text only: no name prefix, quotes, narration or actions.`;
+
+    let text;
+    try {
+        text = String(await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: contact.name }) || '').trim();
+    } catch (e) {
+        console.error('[ST-LifeSim] 메신저 답장 생성 오류:', e);
+        showToast('답장 생성 실패', 'error');
+        return false;
+    }
+    // 모델이 이름 접두사나 따옴표를 붙이는 경우를 걷어낸다
+    const prefix = `${contact.name}:`;
+    if (text.startsWith(prefix)) text = text.slice(prefix.length).trim();
+    text = text.replace(/^"([\s\S]*)"$/, '$1').trim().slice(0, THREAD_MESSAGE_MAX_LENGTH);
+    if (!text) {
+        showToast('답장을 받지 못했습니다.', 'warn');
+        return false;
+    }
+    appendThreadMessage(contact.name, { isUser: false, text });
+    return true;
+}
+
+/**
+ * 메신저 모듈을 초기화한다
+ */
+export function initMessenger() {
+    registerContextBuilder('messenger-digest', buildMessengerDigest);
+}
+
+/**
+ * 메신저 대화 상대 목록 팝업을 연다
+ * @param {Function} [onBack]
+ */
+export function openMessengerPopup(onBack) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-room-list-wrapper';
+
+    const list = document.createElement('div');
+    list.className = 'slm-room-list';
+    wrapper.appendChild(list);
+
+    function renderList() {
+        list.innerHTML = '';
+        const candidates = getThreadCandidates();
+        if (candidates.length === 0) {
+            list.innerHTML = '<div class="slm-empty">연락처가 없습니다. 연락처 앱에서 인물을 추가하세요.</div>';
+            return;
+        }
+        const threads = loadThreads();
+        const lastDate = (name) => {
+            const messages = threads[name]?.messages || [];
+            return messages.length > 0 ? String(messages[messages.length - 1].date) : '';
+        };
+        // 최근 대화가 있는 상대를 위로 올린다
+        [...candidates].sort((a, b) => lastDate(b.name).localeCompare(lastDate(a.name))).forEach(contact => {
+            const displayName = contact.displayName || contact.name;
+            const thread = threads[contact.name];
+            const last = thread?.messages[thread.messages.length - 1];
+
+            const row = document.createElement('div');
+            row.className = 'slm-room-row';
+
+            const avatar = document.createElement('div');
+            avatar.className = 'slm-contact-avatar';
+            if (contact.avatar) {
+                const img = document.createElement('img');
+                img.src = contact.avatar;
+                img.alt = displayName;
+                img.onerror = () => { avatar.textContent = displayName[0] || '?'; };
+                avatar.appendChild(img);
+            } else {
+                avatar.textContent = displayName[0] || '?';
+            }
+
+            const info = document.createElement('div');
+            info.className = 'slm-room-info';
+            info.innerHTML = `
+                <div class="slm-room-name">${escapeHtml(displayName)}${hasUnread(thread) ? ' <span class="slm-messenger-unread">N</span>' : ''}</div>
+                <div class="slm-room-preview">${escapeHtml(last ? `${last.isUser ? '나' : displayName}: ${last.text}` : (contact.relationToUser || '대화를 시작해 보세요'))}</div>
+            `;
+            row.onclick = () => openThreadPopup(contact, renderList);
+            row.style.cursor = 'pointer';
+            row.appendChild(avatar);
+            row.appendChild(info);
+
+            if (last) {
+                const delBtn = document.createElement('button');
+                delBtn.className = 'slm-btn slm-btn-danger slm-btn-sm';
+                delBtn.textContent = '삭제';
+                delBtn.onclick = async (e) => {
+                    e.stopPropagation();
+                    if (!await showConfirm(`${displayName}와의 대화 기록을 삭제할까요?`, '삭제', '취소')) return;
+                    const current = loadThreads();
+                    delete current[contact.name];
+                    saveThreads(current);
+                    renderList();
+                    showToast('대화 기록 삭제', 'success', 1500);
+                };
+                row.appendChild(delBtn);
+            }
+            list.appendChild(row);
+        });
+    }
+
+    renderList();
+    createPopup({
+        id: 'messenger',
+        title: '✉️ 메신저',
+        content: wrapper,
+        className: 'slm-room-panel',
+        onBack,
+    });
+}
+
+/**
+ * 연락처와의 1:1 대화 팝업을 연다
+ * @param {import('../contacts/contacts.js').Contact} contact
+ * @param {Function} onChange - 목록 갱신 콜백
+ */
+function openThreadPopup(contact, onChange) {
+    const displayName = contact.displayName || contact.name;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-room-wrapper';
+
+    if (contact.relationToUser) {
+        const relation = document.createElement('div');
+        relation.className = 'slm-room-members';
+        relation.textContent = `👤 ${contact.relationToUser}`;
+        wrapper.appendChild(relation);
+    }
+
+    const log = document.createElement('div');
+    log.className = 'slm-room-log';
+    wrapper.appendChild(log);
+
+    const inputRow = document.createElement('div');
+    inputRow.className = 'slm-room-input-row';
+    const input = document.createElement('input');
+    input.className = 'slm-input';
+    input.type = 'text';
+    input.placeholder = '메시지 입력...';
+    const sendBtn = document.createElement('button');
+    sendBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+    sendBtn.textContent = '전송';
+    const replyBtn = document.createElement('button');
+    replyBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    replyBtn.textContent = '📨 답장 받기';
+    replyBtn.title = '유저 입력 없이 상대가 메시지를 한 번 더 보내게 합니다';
+    inputRow.appendChild(input);
+    inputRow.appendChild(sendBtn);
+    inputRow.appendChild(replyBtn);
+    wrapper.appendChild(inputRow);
+
+    const renderLog = () => {
+        const thread = loadThreads()[contact.name];
+        log.innerHTML = '';
+        if (!thread || thread.messages.length === 0) {
+            log.innerHTML = '<div class="slm-empty">아직 대화가 없습니다.</div>';
+            return;
+        }
+        thread.messages.forEach(msg => {
+            const bubble = document.createElement('div');
+            bubble.className = `slm-room-msg${msg.isUser ? ' slm-room-msg-mine' : ''}`;
+            bubble.innerHTML = `<div class="slm-room-text">${escapeHtml(msg.text)}</div>`;
+            log.appendChild(bubble);
+        });
+        log.scrollTop = log.scrollHeight;
+        markThreadRead(contact.name);
+    };
+
+    let busy = false;
+    const requestReply = async () => {
+        busy = true;
+        sendBtn.disabled = true;
+        replyBtn.disabled = true;
+        replyBtn.textContent = '⏳ 입력 중...';
+        try {
+            await generateThreadReply(contact);
+        } finally {
+            busy = false;
+            sendBtn.disabled = false;
+            replyBtn.disabled = false;
+            replyBtn.textContent = '📨 답장 받기';
+            // 생성 중에 팝업을 닫았다면 읽음 처리하지 않고 목록만 갱신한다
+            if (log.isConnected) renderLog();
+            onChange();
+        }
+    };
+
+    const send = async () => {
+        const text = input.value.trim().slice(0, THREAD_MESSAGE_MAX_LENGTH);
+        if (!text || busy) return;
+        input.value = '';
+        appendThreadMessage(contact.name, { isUser: true, text });
+        renderLog();
+        await requestReply();
+    };
+    sendBtn.onclick = send;
+    input.onkeydown = (e) => {
+        if (e.key === 'Enter' && !e.isComposing) {
+            e.preventDefault();
+            send();
+        }
+    };
+    replyBtn.onclick = () => { if (!busy) requestReply(); };
+
+    renderLog();
+    createPopup({
+        id: 'messenger-thread',
+        title: `✉️ ${displayName}`,
+        content: wrapper,
+        className: 'slm-sub-panel slm-room-panel',
+        onClose: onChange,
+    });
+}
@@ -2,7 +2,7 @@
  * quick-tools.js
  * 퀵 도구 모음 모듈
  * - 퀵 센드: 입력창 텍스트를 /send로 전송 (AI 응답 없음)
- * - 시간 구분선: 시간 경과 구분선 삽입 (직접 입력 + CSS/HTML 커스텀)
+ * - 시간 구분선: 시간 경과 구분선 삽입 (직접 입력 + CSS/HTML 커스텀), 인월드 시계 진행
  * - 읽씹 연출: 읽음 표시 후 AI가 묘사 (유저 → char 방향)
  * - 연락 안 됨 연출: 연락 불가 상황 삽입 (유저 → char 방향)
  * - 사건 생성기: 카테고리별 사건 생성
@@ -12,9 +12,10 @@
 import { getContext } from '../../utils/st-context.js';
 import { slashSend, slashGen, slashSendAs } from '../../utils/slash.js';
 import { showToast, escapeHtml, generateId } from '../../utils/ui.js';
-import { loadData, saveData, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getExtensionSettings, registerSchema } from '../../utils/storage.js';
 import { getAppearanceTagsByName, getContacts } from '../contacts/contacts.js';
 import { generateImageTags } from '../../utils/image-tag-generator.js';
+import { getAdvancedInWorldTime, setInWorldTime, parseInWorldTimeInput, formatInWorldTime } from '../calendar/calendar.js';
 
 // 사건 기록 아카이브 저장 키
 const ARCHIVE_KEY = 'event-archive';
@@ -22,6 +23,21 @@ const ARCHIVE_BINDING = 'chat';
 const DEFAULT_IMAGE_RADIUS = 10;
 const MAX_IMAGE_RADIUS = 50;
 
+registerSchema(ARCHIVE_KEY, {
+    migrations: [
+        // v0 → v1: 배열이 아니거나 ID가 없는 사건 기록을 정리한다
+        (data) => (Array.isArray(data) ? data : [])
+            .filter(item => item && typeof item === 'object')
+            .map(item => ({ ...item, id: item.id || generateId() })),
+    ],
+    validate: (data) => (Array.isArray(data) ? null : '사건 기록이 배열이 아닙니다.'),
+    chatMetadata: true,
+    // 분기 지점 이후에 생긴 사건은 지운다 (chatLength: 사건 메시지 전송 후의 채팅 메시지 수)
+    trimForBranch: (archive, { chat }) => archive.filter(item => (
+        typeof item.chatLength !== 'number' || item.chatLength <= chat.length
+    )),
+});
+
 /**
  * 설정된 이미지 모서리 반경(px)을 반환한다
  * @returns {number}
@@ -133,13 +149,13 @@ export function renderTimeDividerUI() {
     title.textContent = '⏱️ 시간 구분선';
     container.appendChild(title);
 
-    // 미리 설정된 시간 버튼들
+    // 미리 설정된 시간 버튼들 (advance: 인월드 시계를 진행할 양)
     const presets = [
-        { label: '30분 후', value: '30분 후' },
-        { label: '1시간 후', value: '1시간 후' },
-        { label: '3시간 후', value: '3시간 후' },
-        { label: '다음날', value: '다음날' },
-        { label: '1주일 후', value: '1주일 후' },
+        { label: '30분 후', value: '30분 후', advance: { minutes: 30 } },
+        { label: '1시간 후', value: '1시간 후', advance: { minutes: 60 } },
+        { label: '3시간 후', value: '3시간 후', advance: { minutes: 180 } },
+        { label: '다음날', value: '다음날', advance: { days: 1, hour: 9 } },
+        { label: '1주일 후', value: '1주일 후', advance: { days: 7 } },
     ];
 
     const btnRow = document.createElement('div');
@@ -150,7 +166,15 @@ export function renderTimeDividerUI() {
         btn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
         btn.textContent = preset.label;
         btn.onclick = async () => {
-            await insertTimeDivider(preset.value);
+            // 구분선 전송이 성공한 뒤에만 인월드 시계를 진행한다
+            const target = getAdvancedInWorldTime(preset.advance);
+            try {
+                await insertTimeDivider(preset.value, target);
+            } catch {
+                showToast('구분선 삽입 실패', 'error');
+                return;
+            }
+            setInWorldTime(target);
             showToast(`구분선 삽입: ${preset.value}`, 'success', 1500);
         };
         btnRow.appendChild(btn);
@@ -173,7 +197,15 @@ export function renderTimeDividerUI() {
     customBtn.onclick = async () => {
         const val = customInput.value.trim();
         if (!val) return;
-        await insertTimeDivider(val);
+        // 해석할 수 있는 날짜·시각이면 인월드 시계를 그 시각으로 맞춘다
+        const target = parseInWorldTimeInput(val);
+        try {
+            await insertTimeDivider(val, target);
+        } catch {
+            showToast('구분선 삽입 실패', 'error');
+            return;
+        }
+        if (target) setInWorldTime(target);
         customInput.value = '';
         showToast(`구분선 삽입: ${val}`, 'success', 1500);
     };
@@ -188,9 +220,14 @@ export function renderTimeDividerUI() {
 /**
  * 시간 구분선을 채팅에 삽입한다
  * @param {string} timeLabel - 시간 텍스트
+ * @param {string|null} [worldTime] - 진행 후 인월드 시각 (있으면 구분선에 함께 표시)
  */
-async function insertTimeDivider(timeLabel) {
-    const text = `<div class="slm-time-divider"><span class="slm-time-divider-label">${escapeHtml(timeLabel)}</span></div>`;
+async function insertTimeDivider(timeLabel, worldTime = null) {
+    const clockLabel = worldTime ? formatInWorldTime(worldTime) : '';
+    const clock = clockLabel && clockLabel !== timeLabel
+        ? ` · <span class="slm-time-divider-clock">${escapeHtml(clockLabel)}</span>`
+        : '';
+    const text = `<div class="slm-time-divider"><span class="slm-time-divider-label">${escapeHtml(timeLabel)}${clock}</span></div>`;
     await slashSend(text);
 }
 
@@ -397,6 +434,7 @@ async function generateEvent(category) {
             category,
             summary,
             includeInContext: false,
+            chatLength: getContext()?.chat?.length ?? 0,
         });
         saveData(ARCHIVE_KEY, archive, ARCHIVE_BINDING);
 
@@ -9,7 +9,7 @@
  */
 
 import { getContext } from '../../utils/st-context.js';
-import { loadData, saveData, getDefaultBinding, getExtensionSettings } from '../../utils/storage.js';
+import { loadData, saveData, getDefaultBinding, getExtensionSettings, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
 import { showToast, generateId } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
@@ -38,6 +38,38 @@ const DEFAULT_SNS_PROMPTS = {
     extraComment: 'Write exactly one additional SNS comment for this post.\nPost author: {{postAuthorName}} ({{postAuthorHandle}})\nPost: "{{postContent}}"\nComment author: {{extraAuthorName}} ({{extraAuthorHandle}})\nRules: one short sentence from {{extraAuthorName}}\'s perspective; use only fixed @handles if needed; use natural language fitting {{extraAuthorName}}\'s background; no explanations, quotes, or hashtags. Personality hint: {{extraPersonality}}. It should be written vividly, fitting the characteristics of each character.',
 };
 const SNS_PRESET_BINDING = 'character';
+
+// 예전 버전은 이미지 프리셋과 작성자별 최소 좋아요를 기본 바인딩에 저장했다.
+// 캐릭터 바인딩에 아직 데이터가 없으면 그 값을 복사한다.
+const fromDefaultBinding = (binding) => (binding === SNS_PRESET_BINDING ? getDefaultBinding() : null);
+
+registerSchema(IMAGE_PRESETS_KEY, {
+    migrations: [
+        // v0 → v1: URL 문자열만 저장하던 구버전 프리셋을 {id,name,url} 객체로 바꾼다
+        (data) => (Array.isArray(data) ? data : []).map((item, i) => (
+            typeof item === 'string'
+                ? { id: `legacy-${i}`, name: `프리셋 ${i + 1}`, url: item }
+                : item
+        )),
+    ],
+    validate: (data) => {
+        if (!Array.isArray(data)) return '이미지 프리셋이 배열이 아닙니다.';
+        if (data.some(item => typeof item?.url !== 'string')) return 'URL이 없는 프리셋이 있습니다.';
+        return null;
+    },
+    relocate: {
+        from: fromDefaultBinding,
+        apply: (legacy, current) => (current === null && legacy.length > 0 ? { data: legacy } : null),
+    },
+});
+registerSchema(AUTHOR_MIN_LIKES_KEY, {
+    relocate: {
+        from: fromDefaultBinding,
+        apply: (legacy, current) => (current === null && legacy && typeof legacy === 'object' && Object.keys(legacy).length > 0
+            ? { data: legacy }
+            : null),
+    },
+});
 const MODEL_KEY_BY_SOURCE = {
     openai: 'openai_model',
     claude: 'claude_model',
@@ -95,20 +127,10 @@ function saveCollapsedCardIds() {
  * @returns {string[]}
  */
 function loadImagePresets() {
-    let raw = loadData(IMAGE_PRESETS_KEY, null, SNS_PRESET_BINDING);
-    if (!Array.isArray(raw)) {
-        const legacy = loadData(IMAGE_PRESETS_KEY, [], getDefaultBinding());
-        raw = Array.isArray(legacy) ? legacy : [];
-        if (raw.length > 0) {
-            saveData(IMAGE_PRESETS_KEY, raw, SNS_PRESET_BINDING);
-        }
-    }
+    const raw = loadData(IMAGE_PRESETS_KEY, [], SNS_PRESET_BINDING);
     if (!Array.isArray(raw)) return [];
     return raw
         .map((item, i) => {
-            if (typeof item === 'string') {
-                return { id: `legacy-${i}`, name: `프리셋 ${i + 1}`, url: item };
-            }
             if (item && typeof item === 'object' && typeof item.url === 'string') {
                 return {
                     id: item.id || `preset-${i}`,
@@ -138,13 +160,8 @@ function savePostingEnabledMap(map) {
 }
 
 function loadAuthorMinLikesMap() {
-    const current = loadData(AUTHOR_MIN_LIKES_KEY, null, SNS_PRESET_BINDING);
-    if (current && typeof current === 'object') return current;
-    const legacy = loadData(AUTHOR_MIN_LIKES_KEY, {}, getDefaultBinding());
-    if (legacy && typeof legacy === 'object' && Object.keys(legacy).length > 0 && getDefaultBinding() !== SNS_PRESET_BINDING) {
-        saveData(AUTHOR_MIN_LIKES_KEY, legacy, SNS_PRESET_BINDING);
-    }
-    return legacy && typeof legacy === 'object' ? legacy : {};
+    const current = loadData(AUTHOR_MIN_LIKES_KEY, {}, SNS_PRESET_BINDING);
+    return current && typeof current === 'object' ? current : {};
 }
 
 function saveAuthorMinLikesMap(map) {
@@ -2,42 +2,265 @@
  * wallet.js
  * 지갑 & 송금 모듈
  * - 첫 액세스 시 초기 잔액/화폐 설정
+ * - 여러 계좌(현금·카드·금화·엔화 등) 관리, 계좌별 화폐와 환율
  * - 잔액 관리 (충전/차감)
  * - 송금 기능 (채팅에 결과 노출 + 내부 기록)
- * - 커스텀 화폐 이름/기호 설정 (토글 접힘)
- * - 거래 내역 관리 (토글 접힘)
+ * - 계좌 간 이체 (환율 적용)
+ * - 계좌별 거래 내역 관리 (토글 접힘)
+ * - 캐릭터가 보낸 돈 감지 → 확인 후 입금 + 채팅 영수증 카드
+ * - 돈 요청·더치페이 카드 → 캐릭터가 수락/거절
+ * - 정기 수입/지출 (인월드 날짜가 넘어가면 자동 처리, 잔액 부족 경고)
+ * - 거래 분류, 분류별 월 예산, 통계 탭 (SVG 차트), 소비 습관 요약 컨텍스트
+ * - 연락처별 빌린 돈·빌려준 돈 장부 (송금/입금을 대여·상환으로 표시)
+ * - 거래 내역 CSV/JSON 내보내기·가져오기 (id 기준 병합)
+ * - 기프티콘 상점 결제를 주 계좌 거래로 기록
  */
 
-import { loadData, saveData } from '../../utils/storage.js';
+import { loadData, saveData, registerSchema } from '../../utils/storage.js';
 import { registerContextBuilder } from '../../utils/context-inject.js';
-import { showToast, escapeHtml, generateId } from '../../utils/ui.js';
+import { showToast, showConfirm, escapeHtml, generateId } from '../../utils/ui.js';
 import { createPopup } from '../../utils/popup.js';
-import { getContacts } from '../contacts/contacts.js';
+import { getContacts, findMentionedContacts } from '../contacts/contacts.js';
 import { getContext } from '../../utils/st-context.js';
-import { slashSend } from '../../utils/slash.js';
+import { slashSend, slashSendAs } from '../../utils/slash.js';
+import { getInWorldNow, onInWorldDayChange } from '../calendar/calendar.js';
+import { toCsv, downloadTextFile, pickRecordsFile, readRecordsFile, pickNewRecords } from '../../utils/records-io.js';
 
 const MODULE_KEY = 'wallet';
 // 초기 설정 완료 여부 키
 const SETUP_DONE_KEY = 'wallet-setup-done';
 const CHAT_BINDING = 'chat';
 
+// 기본 계좌 ID (단일 잔액 시절 데이터가 옮겨 가는 계좌)
+const PRIMARY_ACCOUNT_ID = 'main';
+const WALLET_TX_MARKER_PREFIX = 'stls-wallet-tx:';
+// 캐릭터 메시지의 송금 표현 (과거형만 — "보내줘" 같은 요청은 제외)
+const INCOMING_TRANSFER_HINT_RE = /(보냈|보내\s*놨|보내\s*뒀|송금했|입금했|이체했|부쳤|넣어\s*(?:줬|뒀|놨)|쏴\s*줬|쐈|sent\s+you|transferred)/i;
+const INCOMING_MEMO_MAX_LENGTH = 40;
+// 돈 요청에 대한 캐릭터 답장 최대 길이
+const REQUEST_REPLY_MAX_LENGTH = 200;
+// 입금 메시지에서 대여·상환 여부를 추정하는 표현
+const INCOMING_REPAYMENT_HINT_RE = /(갚|돌려\s*(?:줄|준|줬|드)|빌린\s*(?:돈|거))/;
+const INCOMING_LOAN_HINT_RE = /(빌려\s*(?:줄|준|줬|드)|꿔\s*(?:줄|준|줬))/;
+// 정기 거래 주기 (value → 표시 이름)
+const SCHEDULE_INTERVALS = [
+    { value: 'daily', label: '매일' },
+    { value: 'weekly', label: '매주' },
+    { value: 'monthly', label: '매월' },
+    { value: 'yearly', label: '매년' },
+];
+// 정기 거래 분류 예시 (직접 입력도 가능)
+const SCHEDULE_CATEGORY_SUGGESTIONS = ['급여', '용돈', '월세', '관리비', '통신비', '구독', '보험', '대출 상환'];
+// 날짜를 크게 건너뛰었을 때 한 정기 거래가 한 번에 처리할 최대 회차
+const MAX_SCHEDULED_POSTS_PER_ADVANCE = 400;
+const MAX_SCHEDULED_NOTICES = 20;
+// 거래 분류 (정기 거래처럼 직접 입력한 분류도 그대로 쓴다)
+const EXPENSE_CATEGORIES = ['식비', '카페', '교통', '쇼핑', '주거', '통신', '구독', '여가', '선물', '의료', '송금', '기타'];
+const INCOME_CATEGORIES = ['급여', '용돈', '받은 돈', '충전', '기타 수입'];
+// 내 계좌끼리 옮긴 돈은 수입·지출 통계에서 뺀다
+const TRANSFER_CATEGORY = '이체';
+// 빌리고 갚은 돈도 수입·지출이 아니므로 통계에서 뺀다
+const DEBT_CATEGORY = '빌린 돈·빌려준 돈';
+const NON_SPENDING_CATEGORIES = [TRANSFER_CATEGORY, DEBT_CATEGORY];
+// 송금/입금의 대여·상환 구분 (tx.debt)
+// 빚 컨텍스트에 넣을 상대를 고를 때 살펴볼 최근 메시지 수
+const DEBT_CONTEXT_MESSAGES = 6;
+const DEBT_KIND_LABELS = {
+    send: { loan: '빌려줌', repayment: '빌린 돈 갚음' },
+    receive: { loan: '빌림', repayment: '빌려준 돈 돌려받음' },
+};
+const CHART_COLORS = ['#9b72d0', '#ff8fab', '#4cc9f0', '#f9c74f', '#90be6d', '#f3722c', '#577590', '#b5838d', '#43aa8b', '#e76f51'];
+// 잔액 추이 차트에 표시할 최근 거래 수
+const BALANCE_CHART_POINTS = 60;
+// 내보내기 파일 열 (다른 도구에서 분석하기 쉽도록 평평한 표 형태)
+const HISTORY_EXPORT_COLUMNS = ['id', 'date', 'worldDate', 'accountId', 'type', 'category', 'amount', 'balanceAfter', 'counterpart', 'contactId', 'memo', 'status', 'debt'];
+const HISTORY_TX_TYPES = ['charge', 'deduct', 'send', 'transfer', 'receive', 'request', 'scheduled'];
+// 컨텍스트 소비 요약에 넣을 상위 분류 수
+const SPENDING_SUMMARY_TOP = 3;
+let lastIncomingSignature = '';
+
 /**
- * 기본 지갑 데이터
+ * @typedef {Object} WalletAccount
+ * @property {string} id
+ * @property {string} name - 계좌 이름 (예: 현금, 카드, 금화)
+ * @property {string} currencyName
+ * @property {string} currencySymbol
+ * @property {number} balance
+ * @property {number} rate - 이 계좌 화폐 1단위가 기준 화폐로 얼마인지
  */
-const DEFAULT_WALLET = {
-    currencyName: '원',
-    currencySymbol: '₩',
-    balance: 0,
-    history: [],
-};
-const WALLET_TX_MARKER_PREFIX = 'stls-wallet-tx:';
+
+/**
+ * 기본 지갑 데이터를 만든다
+ * currencyName/currencySymbol은 환율의 기준 화폐다.
+ * @returns {{currencyName: string, currencySymbol: string, primaryAccountId: string, accounts: WalletAccount[], history: Object[]}}
+ */
+function createDefaultWallet() {
+    return {
+        currencyName: '원',
+        currencySymbol: '₩',
+        primaryAccountId: PRIMARY_ACCOUNT_ID,
+        accounts: [createAccount({ id: PRIMARY_ACCOUNT_ID, name: '기본 계좌' })],
+        history: [],
+        scheduled: [],
+        scheduledNotices: [],
+        budgets: {},
+    };
+}
+
+/**
+ * 계좌 객체를 만든다
+ * @param {Partial<WalletAccount>} fields
+ * @returns {WalletAccount}
+ */
+function createAccount(fields = {}) {
+    return {
+        id: fields.id || generateId(),
+        name: fields.name || '새 계좌',
+        currencyName: fields.currencyName || '원',
+        currencySymbol: fields.currencySymbol || '₩',
+        balance: Number(fields.balance) || 0,
+        rate: Number(fields.rate) > 0 ? Number(fields.rate) : 1,
+    };
+}
+
+/**
+ * 분류가 없는 (이전 버전) 거래의 분류를 거래 종류로 추정한다
+ * @param {Object} tx
+ * @returns {string}
+ */
+function inferCategory(tx) {
+    if (tx?.type === 'transfer') return TRANSFER_CATEGORY;
+    if (tx?.debt) return DEBT_CATEGORY;
+    if (tx?.type === 'send') return '송금';
+    if (tx?.type === 'receive' || tx?.type === 'request') return '받은 돈';
+    if (tx?.type === 'charge') return '충전';
+    return Number(tx?.amount) < 0 ? '기타' : '기타 수입';
+}
+
+/**
+ * 거래의 인월드 날짜 (인월드 날짜가 없던 이전 거래는 실제 날짜)
+ * @param {Object} tx
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function getTxWorldDate(tx) {
+    return tx?.worldDate || String(tx?.date || '').slice(0, 10);
+}
+
+/**
+ * 거래가 속한 계좌 ID (계좌가 없던 시절 거래는 기본 계좌)
+ * @param {Object} tx
+ * @returns {string}
+ */
+function getTxAccountId(tx) {
+    return tx?.accountId || PRIMARY_ACCOUNT_ID;
+}
+
+registerSchema(MODULE_KEY, {
+    migrations: [
+        // v0 → v1: 누락된 필드를 기본값으로 채우고 잔액·내역 타입을 보정한다
+        (data) => {
+            const wallet = {
+                currencyName: '원',
+                currencySymbol: '₩',
+                balance: 0,
+                history: [],
+                ...(data && typeof data === 'object' ? data : {}),
+            };
+            wallet.balance = Number(wallet.balance) || 0;
+            wallet.history = Array.isArray(wallet.history) ? wallet.history : [];
+            return wallet;
+        },
+        // v1 → v2: 단일 잔액을 기본 계좌로 옮기고 기존 거래를 그 계좌에 연결한다
+        (data) => {
+            const { balance, ...rest } = data;
+            const account = createAccount({
+                id: PRIMARY_ACCOUNT_ID,
+                name: '기본 계좌',
+                currencyName: data.currencyName,
+                currencySymbol: data.currencySymbol,
+                balance,
+            });
+            return {
+                ...rest,
+                primaryAccountId: PRIMARY_ACCOUNT_ID,
+                accounts: [account],
+                history: data.history.map(tx => ({ accountId: PRIMARY_ACCOUNT_ID, ...tx })),
+            };
+        },
+        // v2 → v3: 정기 거래 목록과 자동 처리 알림 목록을 추가한다
+        (data) => ({ scheduled: [], scheduledNotices: [], ...data }),
+        // v3 → v4: 분류별 예산을 추가하고 분류가 없는 거래에 거래 종류로 추정한 분류를 붙인다
+        (data) => ({
+            budgets: {},
+            ...data,
+            history: data.history.map(tx => ({ ...tx, category: tx.category || inferCategory(tx) })),
+        }),
+    ],
+    validate: (data) => {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return '지갑 데이터가 객체가 아닙니다.';
+        if (!Array.isArray(data.accounts) || data.accounts.length === 0) return '계좌 목록이 비어 있습니다.';
+        if (data.accounts.some(acc => !acc?.id)) return 'ID가 없는 계좌가 있습니다.';
+        if (data.accounts.some(acc => typeof acc.balance !== 'number' || !Number.isFinite(acc.balance))) return '잔액이 숫자가 아닌 계좌가 있습니다.';
+        if (data.accounts.some(acc => !(Number(acc.rate) > 0))) return '환율이 올바르지 않은 계좌가 있습니다.';
+        if (!Array.isArray(data.history)) return '거래 내역이 배열이 아닙니다.';
+        if (!Array.isArray(data.scheduled)) return '정기 거래 목록이 배열이 아닙니다.';
+        if (!data.budgets || typeof data.budgets !== 'object' || Array.isArray(data.budgets)) return '예산 데이터가 객체가 아닙니다.';
+        if (data.scheduled.some(item => !item?.id || !(Number(item.amount) > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(String(item.nextDate)))) {
+            return '금액이나 날짜가 올바르지 않은 정기 거래가 있습니다.';
+        }
+        return null;
+    },
+    // 병합 시 새 계좌는 그대로 추가하고, 기존 계좌에는 새로 들어온 거래의 금액만큼 잔액을 반영한다
+    merge: (existing, incoming) => {
+        const accounts = existing.accounts.map(acc => ({ ...acc }));
+        const existingAccountIds = new Set(accounts.map(acc => acc.id));
+        incoming.accounts.forEach(acc => {
+            if (acc?.id && !existingAccountIds.has(acc.id)) accounts.push({ ...acc });
+        });
+        const knownIds = new Set(existing.history.map(tx => tx?.id));
+        const added = incoming.history.filter(tx => tx?.id && !knownIds.has(tx.id));
+        added.forEach(tx => {
+            const accountId = getTxAccountId(tx);
+            if (!existingAccountIds.has(accountId)) return;
+            const acc = accounts.find(a => a.id === accountId);
+            acc.balance += Number(tx.amount) || 0;
+        });
+        const knownScheduledIds = new Set(existing.scheduled.map(item => item?.id));
+        return {
+            ...existing,
+            accounts,
+            history: [...existing.history, ...added],
+            scheduled: [...existing.scheduled, ...incoming.scheduled.filter(item => item?.id && !knownScheduledIds.has(item.id))],
+        };
+    },
+    chatMetadata: true,
+    // 분기 지점 이후 메시지로 만든 거래는 지우고 그만큼 계좌 잔액을 되돌린다
+    trimForBranch: (wallet, { chat }) => {
+        const kept = [];
+        const revert = {};
+        wallet.history.forEach(tx => {
+            const inChat = !tx?.messageMarker || chat.some(msg => String(msg?.mes || '').includes(tx.messageMarker));
+            if (inChat) {
+                kept.push(tx);
+            } else {
+                const accountId = getTxAccountId(tx);
+                revert[accountId] = (revert[accountId] || 0) + (Number(tx.amount) || 0);
+            }
+        });
+        return {
+            ...wallet,
+            accounts: wallet.accounts.map(acc => ({ ...acc, balance: acc.balance - (revert[acc.id] || 0) })),
+            history: kept,
+        };
+    },
+});
 
 /**
  * 지갑 데이터를 불러온다
  * @returns {Object}
  */
 function loadWallet() {
-    const wallet = loadData(MODULE_KEY, { ...DEFAULT_WALLET }, CHAT_BINDING);
+    const wallet = loadData(MODULE_KEY, createDefaultWallet(), CHAT_BINDING);
     syncWalletHistoryWithChat(wallet);
     return wallet;
 }
@@ -67,6 +290,48 @@ function syncWalletHistoryWithChat(wallet) {
     saveWallet(wallet);
 }
 
+/**
+ * 계좌를 찾는다 (없으면 기본 계좌, 기본 계좌도 없으면 첫 계좌)
+ * @param {Object} wallet
+ * @param {string} [accountId]
+ * @returns {WalletAccount}
+ */
+function getAccount(wallet, accountId) {
+    return wallet.accounts.find(acc => acc.id === accountId)
+        || wallet.accounts.find(acc => acc.id === wallet.primaryAccountId)
+        || wallet.accounts[0];
+}
+
+/**
+ * 소수 둘째 자리까지 반올림한다 (환율 계산 결과 정리용)
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * 계좌 간 금액을 환율로 환산한다
+ * @param {number} amount - 보내는 계좌 화폐 기준 금액
+ * @param {WalletAccount} from
+ * @param {WalletAccount} to
+ * @returns {number} 받는 계좌 화폐 기준 금액
+ */
+function convertAmount(amount, from, to) {
+    return roundAmount(amount * from.rate / to.rate);
+}
+
+/**
+ * 계좌 화폐가 기준 화폐와 다른지 확인한다
+ * @param {Object} wallet
+ * @param {WalletAccount} account
+ * @returns {boolean}
+ */
+function isForeignAccount(wallet, account) {
+    return account.rate !== 1 || account.currencySymbol !== wallet.currencySymbol;
+}
+
 /**
  * 숫자를 화폐 형식으로 포맷한다
  * @param {number} amount
@@ -81,6 +346,18 @@ function getContactDisplayName(contact) {
     return contact?.displayName || contact?.name || '';
 }
 
+/**
+ * 이름이나 표시 이름으로 연락처를 찾는다 ({{user}} 제외, 캐릭터 바인딩 우선)
+ * @param {string} name
+ * @param {Object[]} [contacts]
+ * @returns {Object|null}
+ */
+function findContactByName(name, contacts = [...getContacts('character'), ...getContacts('chat')]) {
+    const target = String(name || '').trim();
+    if (!target) return null;
+    return contacts.find(c => !c.isUserAuto && (c.name === target || c.displayName === target)) || null;
+}
+
 /**
  * 초기 설정이 완료되었는지 확인한다
  * @returns {boolean}
@@ -95,9 +372,26 @@ function isSetupDone() {
 export function initWallet() {
     registerContextBuilder('wallet', () => {
         const wallet = loadWallet();
-        const { currencyName, currencySymbol, balance } = wallet;
-        return `=== Wallet (${currencyName} ${currencySymbol}) ===\nCurrent Balance: ${formatCurrency(balance, currencySymbol)}`;
+        const { currencyName, currencySymbol } = wallet;
+        const lines = wallet.accounts.map(acc => {
+            const primary = acc.id === wallet.primaryAccountId ? ' [main]' : '';
+            const converted = isForeignAccount(wallet, acc)
+                ? ` (≈ ${formatCurrency(roundAmount(acc.balance * acc.rate), currencySymbol)})`
+                : '';
+            return `- ${acc.name} (${acc.currencyName} ${acc.currencySymbol}): ${formatCurrency(acc.balance, acc.currencySymbol)}${converted}${primary}`;
+        });
+        const total = roundAmount(wallet.accounts.reduce((sum, acc) => sum + acc.balance * acc.rate, 0));
+        if (wallet.accounts.length > 1) lines.push(`Total (in ${currencyName}): ${formatCurrency(total, currencySymbol)}`);
+        const overdrawn = wallet.accounts.filter(acc => acc.balance < 0);
+        if (overdrawn.length > 0) {
+            lines.push(`[Overdraft Warning] {{user}} is overdrawn: ${overdrawn.map(acc => `${acc.name} ${formatCurrency(acc.balance, acc.currencySymbol)}`).join(', ')}. Bills and subscriptions are not covered; {{user}} is short on money.`);
+        }
+        const habits = buildSpendingHabitsContext(wallet);
+        const debts = buildDebtContext(wallet);
+        return `=== Wallet (${currencyName} ${currencySymbol}) ===\nAccounts:\n${lines.join('\n')}${habits ? `\n\n${habits}` : ''}${debts ? `\n\n${debts}` : ''}`;
     });
+
+    onInWorldDayChange(handleInWorldDayChange);
 }
 
 /**
@@ -162,7 +456,10 @@ function openWalletSetupPopup(onBack) {
         const w = loadWallet();
         w.currencyName = currNameInput.value.trim() || '원';
         w.currencySymbol = currSymInput.value.trim() || '₩';
-        w.balance = parseInt(balInput.value) || 0;
+        const primary = getAccount(w, w.primaryAccountId);
+        primary.currencyName = w.currencyName;
+        primary.currencySymbol = w.currencySymbol;
+        primary.balance = parseInt(balInput.value) || 0;
         saveWallet(w);
         saveData(SETUP_DONE_KEY, true, CHAT_BINDING);
         close();
@@ -176,10 +473,49 @@ function openWalletSetupPopup(onBack) {
  * @returns {HTMLElement}
  */
 function buildWalletContent() {
+    const container = document.createElement('div');
+
+    // 탭: 지갑 / 통계
+    const tabBar = document.createElement('div');
+    tabBar.className = 'slm-tab-bar';
+    container.appendChild(tabBar);
+
     const wrapper = document.createElement('div');
-    wrapper.className = 'slm-wallet-wrapper';
+    wrapper.className = 'slm-tab-content';
+    container.appendChild(wrapper);
+
+    const main = document.createElement('div');
+    main.className = 'slm-wallet-wrapper';
+    wrapper.appendChild(main);
+
+    const statsBody = document.createElement('div');
+    statsBody.className = 'slm-wallet-wrapper';
+    statsBody.style.display = 'none';
+    wrapper.appendChild(statsBody);
+
+    [{ key: 'main', label: '💰 지갑' }, { key: 'stats', label: '📊 통계' }].forEach(tab => {
+        const btn = document.createElement('button');
+        btn.className = 'slm-tab-btn' + (tab.key === 'main' ? ' active' : '');
+        btn.textContent = tab.label;
+        btn.onclick = () => {
+            tabBar.querySelectorAll('.slm-tab-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            const showStats = tab.key === 'stats';
+            main.style.display = showStats ? 'none' : '';
+            statsBody.style.display = showStats ? '' : 'none';
+            if (showStats) {
+                statsBody.innerHTML = '';
+                statsBody.appendChild(buildWalletStatsContent());
+            } else {
+                refreshAll();
+            }
+        };
+        tabBar.appendChild(btn);
+    });
 
     let wallet = loadWallet();
+    // 팝업에서 보고 있는 계좌 (충전/차감·송금·내역의 대상)
+    let selectedAccountId = wallet.primaryAccountId;
 
     // 잔액 표시 영역
     const balanceDisplay = document.createElement('div');
@@ -187,13 +523,76 @@ function buildWalletContent() {
 
     function refreshBalance() {
         wallet = loadWallet();
+        const account = getAccount(wallet, selectedAccountId);
+        selectedAccountId = account.id;
+        const converted = isForeignAccount(wallet, account)
+            ? `<div class="slm-balance-converted">≈ ${escapeHtml(formatCurrency(roundAmount(account.balance * account.rate), wallet.currencySymbol))}</div>`
+            : '';
         balanceDisplay.innerHTML = `
-            <div class="slm-balance-label">잔액</div>
-            <div class="slm-balance-amount">${formatCurrency(wallet.balance, wallet.currencySymbol)}</div>
+            <div class="slm-balance-label">${escapeHtml(account.name)} 잔액</div>
+            <div class="slm-balance-amount">${escapeHtml(formatCurrency(account.balance, account.currencySymbol))}</div>
+            ${converted}
         `;
     }
-    refreshBalance();
-    wrapper.appendChild(balanceDisplay);
+    main.appendChild(balanceDisplay);
+
+    // 정기 거래 자동 처리 알림
+    const noticeBox = document.createElement('div');
+    noticeBox.className = 'slm-wallet-notice';
+    main.appendChild(noticeBox);
+
+    function renderNotices() {
+        noticeBox.innerHTML = '';
+        const notices = wallet.scheduledNotices || [];
+        noticeBox.style.display = notices.length > 0 ? '' : 'none';
+        if (notices.length === 0) return;
+        const title = document.createElement('div');
+        title.className = 'slm-wallet-notice-title';
+        title.textContent = `📆 정기 거래 ${notices.length}건이 자동 처리되었습니다`;
+        noticeBox.appendChild(title);
+        notices.slice(-5).forEach(n => {
+            const line = document.createElement('div');
+            line.className = 'slm-wallet-notice-line';
+            line.textContent = n.text;
+            noticeBox.appendChild(line);
+        });
+        const overdrawn = wallet.accounts.filter(acc => acc.balance < 0);
+        if (overdrawn.length > 0) {
+            const warn = document.createElement('div');
+            warn.className = 'slm-wallet-notice-warn';
+            warn.textContent = `⚠️ 잔액 부족: ${overdrawn.map(acc => `${acc.name} ${formatCurrency(acc.balance, acc.currencySymbol)}`).join(', ')}`;
+            noticeBox.appendChild(warn);
+        }
+        const dismissBtn = document.createElement('button');
+        dismissBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+        dismissBtn.textContent = '확인';
+        dismissBtn.onclick = () => {
+            const w = loadWallet();
+            w.scheduledNotices = [];
+            saveWallet(w);
+            refreshAll();
+        };
+        noticeBox.appendChild(dismissBtn);
+    }
+
+    // 계좌 선택 칩
+    const accountRow = document.createElement('div');
+    accountRow.className = 'slm-wallet-accounts';
+    main.appendChild(accountRow);
+
+    function renderAccountChips() {
+        accountRow.innerHTML = '';
+        wallet.accounts.forEach(acc => {
+            const chip = document.createElement('button');
+            chip.className = 'slm-wallet-account-chip' + (acc.id === selectedAccountId ? ' active' : '');
+            chip.textContent = `${acc.id === wallet.primaryAccountId ? '⭐ ' : ''}${acc.name} · ${formatCurrency(acc.balance, acc.currencySymbol)}`;
+            chip.onclick = () => {
+                selectedAccountId = acc.id;
+                refreshAll();
+            };
+            accountRow.appendChild(chip);
+        });
+    }
 
     // 충전/차감 버튼
     const adjustRow = document.createElement('div');
@@ -209,28 +608,35 @@ function buildWalletContent() {
     const chargeBtn = document.createElement('button');
     chargeBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
     chargeBtn.textContent = '+ 충전';
-    chargeBtn.onclick = () => adjustBalance(parseInt(chargeInput.value) || 0, '충전', '', refreshAll);
+    const adjustCategorySelect = createCategorySelect('', true);
+    adjustCategorySelect.classList.add('slm-input-sm');
+
+    chargeBtn.onclick = () => adjustBalance(selectedAccountId, parseInt(chargeInput.value) || 0, '충전', '', refreshAll, adjustCategorySelect.value);
 
     const deductBtn = document.createElement('button');
     deductBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
     deductBtn.textContent = '- 차감';
-    deductBtn.onclick = () => adjustBalance(-(parseInt(chargeInput.value) || 0), '차감', '', refreshAll);
+    deductBtn.onclick = () => adjustBalance(selectedAccountId, -(parseInt(chargeInput.value) || 0), '차감', '', refreshAll, adjustCategorySelect.value);
 
     adjustRow.appendChild(chargeInput);
+    adjustRow.appendChild(adjustCategorySelect);
     adjustRow.appendChild(chargeBtn);
     adjustRow.appendChild(deductBtn);
-    wrapper.appendChild(adjustRow);
+    main.appendChild(adjustRow);
 
     // 구분선
     const hr = document.createElement('hr');
     hr.className = 'slm-hr';
-    wrapper.appendChild(hr);
+    main.appendChild(hr);
 
     // 송금 폼 (토글 접힘)
     const sendToggle = createToggleSection('💸 송금하기', false);
     const sendSection = sendToggle.body;
     sendSection.classList.add('slm-send-section');
-    wrapper.appendChild(sendToggle.container);
+    main.appendChild(sendToggle.container);
+
+    const sendAccountDesc = document.createElement('div');
+    sendAccountDesc.className = 'slm-desc';
 
     const senderLabel = document.createElement('label');
     senderLabel.className = 'slm-label';
@@ -304,6 +710,22 @@ function buildWalletContent() {
     memoInput.type = 'text';
     memoInput.placeholder = '메모 (선택)';
 
+    const sendCategoryLabel = document.createElement('label');
+    sendCategoryLabel.className = 'slm-label';
+    sendCategoryLabel.textContent = '분류';
+    const sendCategorySelect = createCategorySelect('송금');
+
+    const sendDebtLabel = document.createElement('label');
+    sendDebtLabel.className = 'slm-label';
+    sendDebtLabel.textContent = '구분';
+    const sendDebtSelect = createDebtKindSelect('send');
+    // 빌려주거나 갚는 돈은 지출 분류 대신 장부에 기록한다
+    sendDebtSelect.onchange = () => {
+        const isDebt = !!sendDebtSelect.value;
+        sendCategoryLabel.style.display = isDebt ? 'none' : '';
+        sendCategorySelect.style.display = isDebt ? 'none' : '';
+    };
+
     const sendBtn = document.createElement('button');
     sendBtn.className = 'slm-btn slm-btn-primary';
     sendBtn.textContent = '송금 확인';
@@ -318,15 +740,18 @@ function buildWalletContent() {
 
         sendBtn.disabled = true;
         try {
-            await handleSend(sender, recipient, amount, memo);
+            await handleSend(selectedAccountId, sender, recipient, amount, memo, sendCategorySelect.value, sendDebtSelect.value);
             amountInput.value = '';
             memoInput.value = '';
+            sendDebtSelect.value = '';
+            sendDebtSelect.onchange();
             refreshAll();
         } finally {
             sendBtn.disabled = false;
         }
     };
 
+    sendSection.appendChild(sendAccountDesc);
     sendSection.appendChild(senderLabel);
     sendSection.appendChild(senderSelect);
     sendSection.appendChild(senderInput);
@@ -337,74 +762,591 @@ function buildWalletContent() {
     sendSection.appendChild(amountInput);
     sendSection.appendChild(memoLabel);
     sendSection.appendChild(memoInput);
+    sendSection.appendChild(sendDebtLabel);
+    sendSection.appendChild(sendDebtSelect);
+    sendSection.appendChild(sendCategoryLabel);
+    sendSection.appendChild(sendCategorySelect);
     sendSection.appendChild(sendBtn);
 
+    // 계좌 간 이체 (토글 접힘)
+    const transferToggle = createToggleSection('🔁 계좌 이체', false);
+    const transferSection = transferToggle.body;
+    transferSection.classList.add('slm-send-section');
+    main.appendChild(transferToggle.container);
+
+    const fromLabel = document.createElement('label');
+    fromLabel.className = 'slm-label';
+    fromLabel.textContent = '출금 계좌';
+    const fromSelect = document.createElement('select');
+    fromSelect.className = 'slm-select';
+
+    const toLabel = document.createElement('label');
+    toLabel.className = 'slm-label';
+    toLabel.textContent = '입금 계좌';
+    const toSelect = document.createElement('select');
+    toSelect.className = 'slm-select';
+
+    const transferAmountLabel = document.createElement('label');
+    transferAmountLabel.className = 'slm-label';
+    transferAmountLabel.textContent = '금액 (출금 계좌 화폐)';
+    const transferAmountInput = document.createElement('input');
+    transferAmountInput.className = 'slm-input';
+    transferAmountInput.type = 'number';
+    transferAmountInput.min = '0';
+    transferAmountInput.placeholder = '0';
+
+    const transferPreview = document.createElement('div');
+    transferPreview.className = 'slm-desc';
+
+    function updateTransferPreview() {
+        const from = getAccount(wallet, fromSelect.value);
+        const to = getAccount(wallet, toSelect.value);
+        const amount = Number(transferAmountInput.value) || 0;
+        if (from.id === to.id) {
+            transferPreview.textContent = '서로 다른 계좌를 선택해주세요.';
+            return;
+        }
+        transferPreview.textContent = `환율 1 ${from.currencySymbol} = ${roundAmount(from.rate / to.rate)} ${to.currencySymbol}`
+            + (amount > 0 ? ` · 입금 ${formatCurrency(convertAmount(amount, from, to), to.currencySymbol)}` : '');
+    }
+    fromSelect.onchange = updateTransferPreview;
+    toSelect.onchange = updateTransferPreview;
+    transferAmountInput.oninput = updateTransferPreview;
+
+    const transferBtn = document.createElement('button');
+    transferBtn.className = 'slm-btn slm-btn-primary';
+    transferBtn.textContent = '이체';
+    transferBtn.onclick = () => {
+        const amount = Number(transferAmountInput.value) || 0;
+        if (fromSelect.value === toSelect.value) { showToast('서로 다른 계좌를 선택해주세요.', 'warn'); return; }
+        if (amount <= 0) { showToast('금액을 입력해주세요.', 'warn'); return; }
+        if (handleTransfer(fromSelect.value, toSelect.value, amount)) {
+            transferAmountInput.value = '';
+            refreshAll();
+        }
+    };
+
+    transferSection.appendChild(fromLabel);
+    transferSection.appendChild(fromSelect);
+    transferSection.appendChild(toLabel);
+    transferSection.appendChild(toSelect);
+    transferSection.appendChild(transferAmountLabel);
+    transferSection.appendChild(transferAmountInput);
+    transferSection.appendChild(transferPreview);
+    transferSection.appendChild(transferBtn);
+
+    function renderTransferOptions() {
+        const prevFrom = fromSelect.value || selectedAccountId;
+        const prevTo = toSelect.value;
+        [fromSelect, toSelect].forEach(select => {
+            select.innerHTML = '';
+            wallet.accounts.forEach(acc => {
+                const opt = document.createElement('option');
+                opt.value = acc.id;
+                opt.textContent = `${acc.name} (${formatCurrency(acc.balance, acc.currencySymbol)})`;
+                select.appendChild(opt);
+            });
+        });
+        fromSelect.value = getAccount(wallet, prevFrom).id;
+        const fallbackTo = wallet.accounts.find(acc => acc.id !== fromSelect.value)?.id || fromSelect.value;
+        toSelect.value = wallet.accounts.some(acc => acc.id === prevTo) ? prevTo : fallbackTo;
+        updateTransferPreview();
+    }
+
+    // 돈 요청 / 더치페이 (토글 접힘)
+    const requestToggle = createToggleSection('🙏 돈 요청 · 더치페이', false);
+    const requestSection = requestToggle.body;
+    requestSection.classList.add('slm-send-section');
+    main.appendChild(requestToggle.container);
+
+    const requestDesc = document.createElement('div');
+    requestDesc.className = 'slm-desc';
+    requestDesc.textContent = `${getContext()?.name2 || '캐릭터'}에게 요청 카드를 보내고, 캐릭터가 보내줄지 직접 정합니다.`;
+
+    const modeLabel = document.createElement('label');
+    modeLabel.className = 'slm-label';
+    modeLabel.textContent = '종류';
+    const modeSelect = document.createElement('select');
+    modeSelect.className = 'slm-select';
+    modeSelect.innerHTML = '<option value="request">돈 요청</option><option value="split">더치페이 (나눠 내기)</option>';
+
+    const requestAmountLabel = document.createElement('label');
+    requestAmountLabel.className = 'slm-label';
+    const requestAmountInput = document.createElement('input');
+    requestAmountInput.className = 'slm-input';
+    requestAmountInput.type = 'number';
+    requestAmountInput.min = '0';
+    requestAmountInput.placeholder = '0';
+
+    const peopleLabel = document.createElement('label');
+    peopleLabel.className = 'slm-label';
+    peopleLabel.textContent = '인원 (나 포함)';
+    const peopleInput = document.createElement('input');
+    peopleInput.className = 'slm-input';
+    peopleInput.type = 'number';
+    peopleInput.min = '2';
+    peopleInput.value = '2';
+
+    const sharePreview = document.createElement('div');
+    sharePreview.className = 'slm-desc';
+
+    const requestMemoInput = document.createElement('input');
+    requestMemoInput.className = 'slm-input';
+    requestMemoInput.type = 'text';
+    requestMemoInput.placeholder = '사유 (예: 어제 저녁값)';
+
+    function updateRequestForm() {
+        const isSplit = modeSelect.value === 'split';
+        requestAmountLabel.textContent = isSplit ? '총 금액' : '요청 금액';
+        peopleLabel.style.display = isSplit ? '' : 'none';
+        peopleInput.style.display = isSplit ? '' : 'none';
+        sharePreview.style.display = isSplit ? '' : 'none';
+        const account = getAccount(wallet, selectedAccountId);
+        const total = Number(requestAmountInput.value) || 0;
+        sharePreview.textContent = `1인당 ${formatCurrency(getSplitShare(total, Number(peopleInput.value)), account.currencySymbol)}`;
+    }
+    modeSelect.onchange = updateRequestForm;
+    requestAmountInput.oninput = updateRequestForm;
+    peopleInput.oninput = updateRequestForm;
+
+    const requestBtn = document.createElement('button');
+    requestBtn.className = 'slm-btn slm-btn-primary';
+    requestBtn.textContent = '요청 보내기';
+    requestBtn.onclick = async () => {
+        const amount = Number(requestAmountInput.value) || 0;
+        if (amount <= 0) { showToast('금액을 입력해주세요.', 'warn'); return; }
+        requestBtn.disabled = true;
+        try {
+            const done = await handleMoneyRequest({
+                mode: modeSelect.value,
+                accountId: selectedAccountId,
+                amount,
+                people: Number(peopleInput.value),
+                memo: requestMemoInput.value.trim(),
+            });
+            if (done) {
+                requestAmountInput.value = '';
+                requestMemoInput.value = '';
+            }
+            refreshAll();
+        } catch (e) {
+            showToast('요청 실패: ' + e.message, 'error');
+        } finally {
+            requestBtn.disabled = false;
+        }
+    };
+
+    requestSection.appendChild(requestDesc);
+    requestSection.appendChild(modeLabel);
+    requestSection.appendChild(modeSelect);
+    requestSection.appendChild(requestAmountLabel);
+    requestSection.appendChild(requestAmountInput);
+    requestSection.appendChild(peopleLabel);
+    requestSection.appendChild(peopleInput);
+    requestSection.appendChild(sharePreview);
+    requestSection.appendChild(requestMemoInput);
+    requestSection.appendChild(requestBtn);
+
+    // 정기 거래 (토글 접힘)
+    const scheduleToggle = createToggleSection('📆 정기 거래', false);
+    const scheduleSection = scheduleToggle.body;
+    scheduleSection.classList.add('slm-send-section');
+    main.appendChild(scheduleToggle.container);
+
+    const scheduleList = document.createElement('div');
+    scheduleList.className = 'slm-history-list';
+    scheduleSection.appendChild(scheduleList);
+
+    const scheduleTypeSelect = document.createElement('select');
+    scheduleTypeSelect.className = 'slm-select';
+    scheduleTypeSelect.innerHTML = '<option value="expense">지출</option><option value="income">수입</option>';
+
+    const scheduleNameInput = document.createElement('input');
+    scheduleNameInput.className = 'slm-input';
+    scheduleNameInput.type = 'text';
+    scheduleNameInput.placeholder = '상대 (예: 회사, 집주인, 통신사)';
+
+    const scheduleAmountInput = document.createElement('input');
+    scheduleAmountInput.className = 'slm-input';
+    scheduleAmountInput.type = 'number';
+    scheduleAmountInput.min = '0';
+    scheduleAmountInput.placeholder = '금액';
+
+    const intervalSelect = document.createElement('select');
+    intervalSelect.className = 'slm-select';
+    SCHEDULE_INTERVALS.forEach(({ value, label }) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        if (value === 'monthly') opt.selected = true;
+        intervalSelect.appendChild(opt);
+    });
+
+    const categoryInput = document.createElement('input');
+    categoryInput.className = 'slm-input';
+    categoryInput.type = 'text';
+    categoryInput.placeholder = '분류 (예: 급여, 월세, 구독)';
+    const categoryList = document.createElement('datalist');
+    categoryList.id = 'slm-wallet-schedule-categories';
+    SCHEDULE_CATEGORY_SUGGESTIONS.forEach(cat => {
+        const opt = document.createElement('option');
+        opt.value = cat;
+        categoryList.appendChild(opt);
+    });
+    categoryInput.setAttribute('list', categoryList.id);
+
+    const startLabel = document.createElement('label');
+    startLabel.className = 'slm-label';
+    startLabel.textContent = '첫 처리 날짜 (인월드)';
+    const startInput = document.createElement('input');
+    startInput.className = 'slm-input';
+    startInput.type = 'date';
+    startInput.value = getInWorldNow().slice(0, 10);
+
+    const scheduleAddBtn = document.createElement('button');
+    scheduleAddBtn.className = 'slm-btn slm-btn-primary';
+    scheduleAddBtn.textContent = '+ 정기 거래 추가';
+    scheduleAddBtn.onclick = () => {
+        const counterpart = scheduleNameInput.value.trim();
+        const amount = roundAmount(Number(scheduleAmountInput.value) || 0);
+        const startDate = startInput.value;
+        if (!counterpart) { showToast('상대를 입력해주세요.', 'warn'); return; }
+        if (amount <= 0) { showToast('금액을 입력해주세요.', 'warn'); return; }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) { showToast('첫 처리 날짜를 입력해주세요.', 'warn'); return; }
+        const w = loadWallet();
+        w.scheduled.push({
+            id: generateId(),
+            type: scheduleTypeSelect.value,
+            counterpart,
+            amount,
+            interval: intervalSelect.value,
+            category: categoryInput.value.trim(),
+            accountId: selectedAccountId,
+            startDate,
+            nextDate: startDate,
+            enabled: true,
+        });
+        saveWallet(w);
+        scheduleNameInput.value = '';
+        scheduleAmountInput.value = '';
+        categoryInput.value = '';
+        refreshAll();
+        showToast('정기 거래 추가', 'success', 1500);
+    };
+
+    scheduleSection.appendChild(scheduleTypeSelect);
+    scheduleSection.appendChild(scheduleNameInput);
+    scheduleSection.appendChild(scheduleAmountInput);
+    scheduleSection.appendChild(intervalSelect);
+    scheduleSection.appendChild(categoryInput);
+    scheduleSection.appendChild(categoryList);
+    scheduleSection.appendChild(startLabel);
+    scheduleSection.appendChild(startInput);
+    scheduleSection.appendChild(scheduleAddBtn);
+
+    function renderScheduled() {
+        scheduleList.innerHTML = '';
+        if (wallet.scheduled.length === 0) {
+            scheduleList.innerHTML = '<div class="slm-empty">정기 거래가 없습니다.</div>';
+            return;
+        }
+        wallet.scheduled.forEach(item => {
+            const account = getAccount(wallet, item.accountId);
+            const intervalLabel = SCHEDULE_INTERVALS.find(i => i.value === item.interval)?.label || item.interval;
+            const signed = item.type === 'income' ? item.amount : -item.amount;
+            const row = document.createElement('div');
+            row.className = 'slm-history-row' + (item.enabled ? '' : ' disabled');
+            row.innerHTML = `
+                <span class="slm-hist-icon">📆</span>
+                <span class="slm-hist-name">${escapeHtml(item.counterpart)}${item.category ? ` · ${escapeHtml(item.category)}` : ''}<br><small>${escapeHtml(intervalLabel)} · 다음 ${escapeHtml(item.nextDate)} · ${escapeHtml(account.name)}</small></span>
+                <span class="slm-hist-amount ${signed < 0 ? 'neg' : 'pos'}">${signed > 0 ? '+' : ''}${escapeHtml(formatCurrency(signed, account.currencySymbol))}</span>
+            `;
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'slm-btn slm-btn-ghost slm-btn-xs';
+            toggleBtn.textContent = item.enabled ? '중지' : '재개';
+            toggleBtn.onclick = () => {
+                const w = loadWallet();
+                const target = w.scheduled.find(s => s.id === item.id);
+                if (target) { target.enabled = !target.enabled; saveWallet(w); refreshAll(); }
+            };
+            const delBtn = document.createElement('button');
+            delBtn.className = 'slm-btn slm-btn-danger slm-btn-xs';
+            delBtn.textContent = '삭제';
+            delBtn.onclick = () => {
+                const w = loadWallet();
+                w.scheduled = w.scheduled.filter(s => s.id !== item.id);
+                saveWallet(w);
+                refreshAll();
+            };
+            row.appendChild(toggleBtn);
+            row.appendChild(delBtn);
+            scheduleList.appendChild(row);
+        });
+    }
+
     // 구분선
     const hr2 = document.createElement('hr');
     hr2.className = 'slm-hr';
-    wrapper.appendChild(hr2);
+    main.appendChild(hr2);
 
-    // 거래 내역 (토글 접힘)
+    // 거래 내역 (토글 접힘, 선택한 계좌만)
     const historySection = createToggleSection('📋 거래 내역', false);
-    wrapper.appendChild(historySection.container);
+    main.appendChild(historySection.container);
 
     const histList = document.createElement('div');
     histList.className = 'slm-history-list';
     historySection.body.appendChild(histList);
 
-    // 화폐 설정 (토글 접힘)
-    const settingsSection = createToggleSection('⚙️ 화폐 설정', false);
-    wrapper.appendChild(settingsSection.container);
-
-    const currNameInput = createInlineField(settingsSection.body, '화폐 이름', wallet.currencyName);
-    const currSymInput = createInlineField(settingsSection.body, '화폐 기호', wallet.currencySymbol);
-    const initBalInput = createInlineField(settingsSection.body, '잔액 직접 설정', String(wallet.balance));
-    initBalInput.type = 'number';
-
-    const applyBtn = document.createElement('button');
-    applyBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
-    applyBtn.textContent = '적용';
-    applyBtn.onclick = () => {
-        const w = loadWallet();
-        w.currencyName = currNameInput.value.trim() || '원';
-        w.currencySymbol = currSymInput.value.trim() || '₩';
-        const newBal = parseInt(initBalInput.value);
-        if (!isNaN(newBal)) w.balance = newBal;
-        saveWallet(w);
-        refreshAll();
-        showToast('화폐 설정 적용', 'success', 1500);
-    };
-    settingsSection.body.appendChild(applyBtn);
+    // 내보내기·가져오기 (모든 계좌)
+    const histIoRow = document.createElement('div');
+    histIoRow.className = 'slm-btn-row';
+    histIoRow.style.marginTop = '8px';
+    [{ label: '📤 CSV', format: 'csv' }, { label: '📤 JSON', format: 'json' }].forEach(({ label, format }) => {
+        const btn = document.createElement('button');
+        btn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+        btn.textContent = label;
+        btn.title = `모든 계좌의 거래 내역을 ${format.toUpperCase()} 파일로 내보내기`;
+        btn.onclick = () => exportWalletHistory(format);
+        histIoRow.appendChild(btn);
+    });
+    const histImportBtn = document.createElement('button');
+    histImportBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+    histImportBtn.textContent = '📥 가져오기';
+    histImportBtn.title = 'CSV/JSON 거래 내역 가져오기 (같은 id는 건너뜀)';
+    histImportBtn.onclick = () => pickRecordsFile(file => {
+        try {
+            const added = importWalletHistory(readRecordsFile(file, 'history'));
+            if (added === 0) { showToast('새로 추가된 거래가 없습니다.', 'info'); return; }
+            refreshAll();
+            showToast(`거래 ${added}건 가져오기 완료`, 'success');
+        } catch (err) {
+            showToast('가져오기 실패: ' + err.message, 'error');
+        }
+    });
+    histIoRow.appendChild(histImportBtn);
+    historySection.body.appendChild(histIoRow);
+
+    // 빌린 돈·빌려준 돈 장부 (토글 접힘)
+    const debtSection = createToggleSection('🤝 빌린 돈 · 빌려준 돈', false);
+    main.appendChild(debtSection.container);
+
+    // 계좌 설정 (토글 접힘)
+
+    const settingsSection = createToggleSection('⚙️ 계좌·화폐 설정', false);
+    main.appendChild(settingsSection.container);
+
+    function renderSettings() {
+        const body = settingsSection.body;
+        body.innerHTML = '';
+        const account = getAccount(wallet, selectedAccountId);
+
+        const accountTitle = document.createElement('div');
+        accountTitle.className = 'slm-desc';
+        accountTitle.textContent = `선택한 계좌: ${account.name}`;
+        body.appendChild(accountTitle);
+
+        const nameInput = createInlineField(body, '계좌 이름', account.name);
+        const currNameInput = createInlineField(body, '화폐 이름', account.currencyName);
+        const currSymInput = createInlineField(body, '화폐 기호', account.currencySymbol);
+        const rateInput = createInlineField(body, `환율 (1단위 = ? ${wallet.currencySymbol})`, String(account.rate));
+        rateInput.type = 'number';
+        rateInput.min = '0';
+        rateInput.step = 'any';
+        const initBalInput = createInlineField(body, '잔액 직접 설정', String(account.balance));
+        initBalInput.type = 'number';
+
+        const btnRow = document.createElement('div');
+        btnRow.className = 'slm-btn-row';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+        applyBtn.textContent = '적용';
+        applyBtn.onclick = () => {
+            const rate = Number(rateInput.value);
+            if (!(rate > 0)) { showToast('환율은 0보다 커야 합니다.', 'warn'); return; }
+            const w = loadWallet();
+            const acc = getAccount(w, account.id);
+            acc.name = nameInput.value.trim() || acc.name;
+            acc.currencyName = currNameInput.value.trim() || '원';
+            acc.currencySymbol = currSymInput.value.trim() || '₩';
+            acc.rate = rate;
+            const newBal = Number(initBalInput.value);
+            if (initBalInput.value !== '' && !isNaN(newBal)) acc.balance = newBal;
+            saveWallet(w);
+            refreshAll();
+            showToast('계좌 설정 적용', 'success', 1500);
+        };
+
+        const primaryBtn = document.createElement('button');
+        primaryBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+        primaryBtn.textContent = '⭐ 기본 계좌로';
+        primaryBtn.disabled = account.id === wallet.primaryAccountId;
+        primaryBtn.onclick = () => {
+            const w = loadWallet();
+            w.primaryAccountId = account.id;
+            saveWallet(w);
+            refreshAll();
+            showToast(`기본 계좌: ${account.name}`, 'success', 1500);
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'slm-btn slm-btn-danger slm-btn-sm';
+        deleteBtn.textContent = '계좌 삭제';
+        deleteBtn.disabled = wallet.accounts.length <= 1;
+        deleteBtn.onclick = async () => {
+            const ok = await showConfirm(`'${account.name}' 계좌를 삭제할까요? 잔액과 이 계좌의 거래 내역도 함께 삭제됩니다.`, '삭제', '취소');
+            if (!ok) return;
+            const w = loadWallet();
+            w.accounts = w.accounts.filter(acc => acc.id !== account.id);
+            w.history = w.history.filter(tx => getTxAccountId(tx) !== account.id);
+            if (w.primaryAccountId === account.id) w.primaryAccountId = w.accounts[0].id;
+            saveWallet(w);
+            selectedAccountId = w.primaryAccountId;
+            refreshAll();
+            showToast('계좌 삭제', 'success', 1500);
+        };
+
+        btnRow.appendChild(applyBtn);
+        btnRow.appendChild(primaryBtn);
+        btnRow.appendChild(deleteBtn);
+        body.appendChild(btnRow);
+
+        const hrInner = document.createElement('hr');
+        hrInner.className = 'slm-hr';
+        body.appendChild(hrInner);
+
+        // 새 계좌 추가
+        const addTitle = document.createElement('div');
+        addTitle.className = 'slm-desc';
+        addTitle.textContent = '새 계좌 추가';
+        body.appendChild(addTitle);
+        const newNameInput = createInlineField(body, '계좌 이름', '');
+        newNameInput.placeholder = '예: 금화 주머니';
+        const newCurrNameInput = createInlineField(body, '화폐 이름', wallet.currencyName);
+        const newCurrSymInput = createInlineField(body, '화폐 기호', wallet.currencySymbol);
+        const newRateInput = createInlineField(body, `환율 (1단위 = ? ${wallet.currencySymbol})`, '1');
+        newRateInput.type = 'number';
+        newRateInput.min = '0';
+        newRateInput.step = 'any';
+
+        const addBtn = document.createElement('button');
+        addBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+        addBtn.textContent = '+ 계좌 추가';
+        addBtn.onclick = () => {
+            const name = newNameInput.value.trim();
+            const rate = Number(newRateInput.value);
+            if (!name) { showToast('계좌 이름을 입력해주세요.', 'warn'); return; }
+            if (!(rate > 0)) { showToast('환율은 0보다 커야 합니다.', 'warn'); return; }
+            const w = loadWallet();
+            const acc = createAccount({
+                name,
+                currencyName: newCurrNameInput.value.trim(),
+                currencySymbol: newCurrSymInput.value.trim(),
+                rate,
+            });
+            w.accounts.push(acc);
+            saveWallet(w);
+            selectedAccountId = acc.id;
+            refreshAll();
+            showToast(`계좌 추가: ${name}`, 'success', 1500);
+        };
+        body.appendChild(addBtn);
+
+        const hrBase = document.createElement('hr');
+        hrBase.className = 'slm-hr';
+        body.appendChild(hrBase);
+
+        // 기준 화폐 (환율과 총액 계산의 기준)
+        const baseTitle = document.createElement('div');
+        baseTitle.className = 'slm-desc';
+        baseTitle.textContent = '기준 화폐 (환율·총액 계산 기준)';
+        body.appendChild(baseTitle);
+        const baseNameInput = createInlineField(body, '화폐 이름', wallet.currencyName);
+        const baseSymInput = createInlineField(body, '화폐 기호', wallet.currencySymbol);
+        const baseApplyBtn = document.createElement('button');
+        baseApplyBtn.className = 'slm-btn slm-btn-secondary slm-btn-sm';
+        baseApplyBtn.textContent = '적용';
+        baseApplyBtn.onclick = () => {
+            const w = loadWallet();
+            w.currencyName = baseNameInput.value.trim() || '원';
+            w.currencySymbol = baseSymInput.value.trim() || '₩';
+            saveWallet(w);
+            refreshAll();
+            showToast('기준 화폐 적용', 'success', 1500);
+        };
+        body.appendChild(baseApplyBtn);
+    }
 
     // 거래 내역 렌더링
     function renderHistory() {
         histList.innerHTML = '';
-        const w = loadWallet();
-        if (w.history.length === 0) {
+        const account = getAccount(wallet, selectedAccountId);
+        const history = wallet.history.filter(tx => getTxAccountId(tx) === account.id);
+        if (history.length === 0) {
             histList.innerHTML = '<div class="slm-empty">거래 내역이 없습니다.</div>';
             return;
         }
-        w.history.slice().reverse().slice(0, 20).forEach(h => {
+        history.slice().reverse().slice(0, 20).forEach(h => {
             const row = document.createElement('div');
             row.className = 'slm-history-row';
             const sign = h.amount > 0 ? '+' : '';
-            const icon = h.type === 'send' ? '📤' : '📥';
+            const icon = h.type === 'transfer' ? '🔁' : (h.type === 'send' ? '📤' : (h.type === 'receive' ? '💰' : (h.type === 'request' ? '🙏' : (h.type === 'scheduled' ? '📆' : '📥'))));
+            const amountHtml = h.requestStatus === 'declined' || h.requestStatus === 'failed'
+                ? `<span class="slm-hist-amount declined">${h.requestStatus === 'failed' ? '응답 없음' : '거절'} · ${escapeHtml(formatCurrency(h.requestedAmount || 0, account.currencySymbol))}</span>`
+                : `<span class="slm-hist-amount ${h.amount < 0 ? 'neg' : 'pos'}">${sign}${escapeHtml(formatCurrency(h.amount, account.currencySymbol))}</span>`;
             row.innerHTML = `
                 <span class="slm-hist-icon">${icon}</span>
-                <span class="slm-hist-name">${escapeHtml(h.counterpart || '직접')}</span>
-                <span class="slm-hist-amount ${h.amount < 0 ? 'neg' : 'pos'}">${sign}${escapeHtml(formatCurrency(h.amount, w.currencySymbol))}</span>
+                <span class="slm-hist-name">${escapeHtml(h.counterpart || '직접')}${h.category ? ` <small>· ${escapeHtml(getDebtKindLabel(h) || h.category)}</small>` : ''}</span>
+                ${amountHtml}
             `;
             histList.appendChild(row);
         });
     }
 
+    // 연락처별 장부 렌더링 (기준 화폐 환산)
+    function renderDebts() {
+        const body = debtSection.body;
+        body.innerHTML = '';
+        const ledger = getDebtLedger(wallet).filter(entry => entry.balance !== 0);
+        if (ledger.length === 0) {
+            body.innerHTML = '<div class="slm-empty">남은 빚이 없습니다.</div>';
+            return;
+        }
+        const desc = document.createElement('div');
+        desc.className = 'slm-desc';
+        desc.textContent = '송금·입금을 빌려줌/빌림/상환으로 표시하면 여기에 쌓입니다.';
+        body.appendChild(desc);
+        const list = document.createElement('div');
+        list.className = 'slm-history-list';
+        ledger.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'slm-history-row';
+            const owedToUser = entry.balance > 0;
+            row.innerHTML = `
+                <span class="slm-hist-icon">${owedToUser ? '📗' : '📕'}</span>
+                <span class="slm-hist-name">${escapeHtml(entry.name)} <small>· ${owedToUser ? '받을 돈' : '갚을 돈'} · ${entry.entries.length}건</small></span>
+                <span class="slm-hist-amount ${owedToUser ? 'pos' : 'neg'}">${escapeHtml(formatCurrency(Math.abs(entry.balance), wallet.currencySymbol))}</span>
+            `;
+            list.appendChild(row);
+        });
+        body.appendChild(list);
+    }
+
     function refreshAll() {
         refreshBalance();
+        renderAccountChips();
+        sendAccountDesc.textContent = `출금 계좌: ${getAccount(wallet, selectedAccountId).name}`;
+        updateRequestForm();
+        renderNotices();
+        renderScheduled();
+        renderTransferOptions();
         renderHistory();
+        renderDebts();
+        renderSettings();
     }
 
-    renderHistory();
-    return wrapper;
+    refreshAll();
+    return container;
 }
 
 /**
@@ -446,51 +1388,917 @@ function createToggleSection(title, openByDefault = false) {
 }
 
 /**
- * 잔액을 조정한다
+ * 거래 분류 선택 상자를 만든다
+ * @param {string} selected - 처음 선택할 분류
+ * @param {boolean} [withAuto=false] - '자동' 항목 포함 여부 (비워 두면 거래 종류로 분류)
+ * @returns {HTMLSelectElement}
+ */
+function createCategorySelect(selected, withAuto = false) {
+    const select = document.createElement('select');
+    select.className = 'slm-select';
+    if (withAuto) {
+        const auto = document.createElement('option');
+        auto.value = '';
+        auto.textContent = '자동 분류';
+        select.appendChild(auto);
+    }
+    [{ label: '지출', items: EXPENSE_CATEGORIES }, { label: '수입', items: INCOME_CATEGORIES }].forEach(group => {
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = group.label;
+        group.items.forEach(category => {
+            const opt = document.createElement('option');
+            opt.value = category;
+            opt.textContent = category;
+            optgroup.appendChild(opt);
+        });
+        select.appendChild(optgroup);
+    });
+    select.value = selected;
+    return select;
+}
+
+/**
+ * 인월드 달(YYYY-MM)의 수입·지출을 분류별로 합산한다 (기본 화폐 기준, 계좌 간 이체·빌린 돈 제외)
+ * @param {Object} wallet
+ * @param {string} month - 'YYYY-MM'
+ * @returns {{ income: number, expense: number, byCategory: Array<{category: string, amount: number}> }}
+ */
+function getMonthlySpending(wallet, month) {
+    const totals = {};
+    let income = 0;
+    let expense = 0;
+    wallet.history.forEach(tx => {
+        if (!getTxWorldDate(tx).startsWith(month)) return;
+        if (tx.type === 'request' && tx.requestStatus !== 'accepted') return;
+        const category = tx.category || inferCategory(tx);
+        if (NON_SPENDING_CATEGORIES.includes(category)) return;
+        const amount = roundAmount((Number(tx.amount) || 0) * getAccount(wallet, getTxAccountId(tx)).rate);
+        if (amount >= 0) {
+            income += amount;
+            return;
+        }
+        expense -= amount;
+        totals[category] = (totals[category] || 0) - amount;
+    });
+    const byCategory = Object.entries(totals)
+        .map(([category, amount]) => ({ category, amount: roundAmount(amount) }))
+        .sort((a, b) => b.amount - a.amount);
+    return { income: roundAmount(income), expense: roundAmount(expense), byCategory };
+}
+
+/**
+ * 'YYYY-MM' 달을 앞뒤로 옮긴다
+ * @param {string} month
+ * @param {number} offset
+ * @returns {string}
+ */
+function shiftMonth(month, offset) {
+    const [year, mon] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, mon - 1 + offset, 1));
+    return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 최근 거래 기준 전체 잔액(기본 화폐) 추이를 계산한다
+ * 현재 잔액에서 거래를 거꾸로 빼 가며 각 거래 직후의 합계를 복원한다
+ * @param {Object} wallet
+ * @returns {Array<{date: string, total: number}>}
+ */
+function getBalanceSeries(wallet) {
+    let total = wallet.accounts.reduce((sum, acc) => sum + acc.balance * acc.rate, 0);
+    const series = [];
+    for (let i = wallet.history.length - 1; i >= 0 && series.length < BALANCE_CHART_POINTS; i--) {
+        const tx = wallet.history[i];
+        series.unshift({ date: getTxWorldDate(tx), total: roundAmount(total) });
+        total -= (Number(tx.amount) || 0) * getAccount(wallet, getTxAccountId(tx)).rate;
+    }
+    series.unshift({ date: '', total: roundAmount(total) });
+    return series;
+}
+
+/**
+ * 분류별 지출 가로 막대 차트 SVG를 만든다
+ * @param {Array<{category: string, amount: number}>} items
+ * @param {string} symbol
+ * @returns {string}
+ */
+function buildCategoryChartSvg(items, symbol) {
+    const rowHeight = 26;
+    const labelWidth = 64;
+    const barWidth = 170;
+    const width = labelWidth + barWidth + 90;
+    const height = items.length * rowHeight;
+    const max = Math.max(...items.map(item => item.amount), 1);
+    const rows = items.map((item, i) => {
+        const y = i * rowHeight;
+        const w = Math.max(2, Math.round((item.amount / max) * barWidth));
+        const color = CHART_COLORS[i % CHART_COLORS.length];
+        return `<text x="0" y="${y + 17}" font-size="12" fill="currentColor">${escapeHtml(item.category)}</text>`
+            + `<rect x="${labelWidth}" y="${y + 5}" width="${w}" height="16" rx="4" fill="${color}"></rect>`
+            + `<text x="${labelWidth + w + 6}" y="${y + 17}" font-size="11" fill="currentColor">${escapeHtml(formatCurrency(item.amount, symbol))}</text>`;
+    }).join('');
+    return `<svg class="slm-wallet-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="분류별 지출">${rows}</svg>`;
+}
+
+/**
+ * 잔액 추이 꺾은선 차트 SVG를 만든다
+ * @param {Array<{date: string, total: number}>} series
+ * @param {string} symbol
+ * @returns {string}
+ */
+function buildBalanceChartSvg(series, symbol) {
+    const width = 320;
+    const height = 140;
+    const pad = { top: 12, right: 8, bottom: 18, left: 8 };
+    const values = series.map(point => point.total);
+    const min = Math.min(...values, 0);
+    const max = Math.max(...values, 1);
+    const range = max - min || 1;
+    const stepX = (width - pad.left - pad.right) / Math.max(series.length - 1, 1);
+    const toY = value => pad.top + (1 - (value - min) / range) * (height - pad.top - pad.bottom);
+    const points = series.map((point, i) => `${(pad.left + i * stepX).toFixed(1)},${toY(point.total).toFixed(1)}`).join(' ');
+    const zeroLine = min < 0
+        ? `<line x1="${pad.left}" x2="${width - pad.right}" y1="${toY(0).toFixed(1)}" y2="${toY(0).toFixed(1)}" stroke="#e76f51" stroke-dasharray="4 3"></line>`
+        : '';
+    const first = series.find(point => point.date)?.date || '';
+    const last = series[series.length - 1].date;
+    return `<svg class="slm-wallet-chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="잔액 추이">`
+        + zeroLine
+        + `<polyline points="${points}" fill="none" stroke="${CHART_COLORS[0]}" stroke-width="2" stroke-linejoin="round"></polyline>`
+        + `<text x="${pad.left}" y="${pad.top - 2}" font-size="10" fill="currentColor">${escapeHtml(formatCurrency(max, symbol))}</text>`
+        + `<text x="${pad.left}" y="${height - 4}" font-size="10" fill="currentColor">${escapeHtml(first)}</text>`
+        + `<text x="${width - pad.right}" y="${height - 4}" font-size="10" fill="currentColor" text-anchor="end">${escapeHtml(last)}</text>`
+        + '</svg>';
+}
+
+/**
+ * 통계 탭 내용을 빌드한다 (인월드 달 기준 분류별 지출, 예산, 잔액 추이)
+ * @returns {HTMLElement}
+ */
+function buildWalletStatsContent() {
+    const container = document.createElement('div');
+    container.className = 'slm-wallet-wrapper';
+
+    let month = getInWorldNow().slice(0, 7);
+
+    const monthRow = document.createElement('div');
+    monthRow.className = 'slm-cal-month-row';
+    const prevBtn = document.createElement('button');
+    prevBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+    prevBtn.textContent = '◀';
+    const monthLabel = document.createElement('span');
+    monthLabel.className = 'slm-cal-month-label';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'slm-btn slm-btn-ghost slm-btn-sm';
+    nextBtn.textContent = '▶';
+    monthRow.appendChild(prevBtn);
+    monthRow.appendChild(monthLabel);
+    monthRow.appendChild(nextBtn);
+    container.appendChild(monthRow);
+
+    const summary = document.createElement('div');
+    summary.className = 'slm-wallet-stats-summary';
+    container.appendChild(summary);
+
+    const categoryTitle = document.createElement('h4');
+    categoryTitle.textContent = '분류별 지출';
+    container.appendChild(categoryTitle);
+    const categoryChart = document.createElement('div');
+    container.appendChild(categoryChart);
+
+    const budgetSection = createToggleSection('🎯 월 예산', true);
+    container.appendChild(budgetSection.container);
+
+    const balanceTitle = document.createElement('h4');
+    balanceTitle.textContent = '잔액 추이 (최근 거래)';
+    container.appendChild(balanceTitle);
+    const balanceChart = document.createElement('div');
+    container.appendChild(balanceChart);
+
+    function render() {
+        const wallet = loadWallet();
+        const symbol = wallet.currencySymbol;
+        const stats = getMonthlySpending(wallet, month);
+        const [year, mon] = month.split('-');
+        monthLabel.textContent = `${year}년 ${Number(mon)}월`;
+
+        summary.innerHTML = `
+            <span>수입 <strong class="slm-hist-amount pos">+${escapeHtml(formatCurrency(stats.income, symbol))}</strong></span>
+            <span>지출 <strong class="slm-hist-amount neg">-${escapeHtml(formatCurrency(stats.expense, symbol))}</strong></span>
+        `;
+
+        categoryChart.innerHTML = stats.byCategory.length > 0
+            ? buildCategoryChartSvg(stats.byCategory, symbol)
+            : '<div class="slm-empty">이 달의 지출이 없습니다</div>';
+
+        renderBudgets(wallet, stats);
+
+        const series = getBalanceSeries(wallet);
+        balanceChart.innerHTML = series.length > 1
+            ? buildBalanceChartSvg(series, symbol)
+            : '<div class="slm-empty">거래 내역이 없습니다</div>';
+    }
+
+    function renderBudgets(wallet, stats) {
+        const body = budgetSection.body;
+        body.innerHTML = '';
+        const spent = Object.fromEntries(stats.byCategory.map(item => [item.category, item.amount]));
+        const categories = [...new Set([...EXPENSE_CATEGORIES, ...Object.keys(wallet.budgets), ...Object.keys(spent)])]
+            .filter(category => !NON_SPENDING_CATEGORIES.includes(category));
+
+        const desc = document.createElement('p');
+        desc.className = 'slm-desc';
+        desc.textContent = `분류별 한 달 예산 (${wallet.currencySymbol}). 비워 두면 예산 없음.`;
+        body.appendChild(desc);
+
+        const inputs = {};
+        categories.forEach(category => {
+            const budget = Number(wallet.budgets[category]) || 0;
+            const used = spent[category] || 0;
+            const row = document.createElement('div');
+            row.className = 'slm-wallet-budget-row';
+
+            const label = document.createElement('span');
+            label.className = 'slm-wallet-budget-name';
+            label.textContent = category;
+
+            const bar = document.createElement('div');
+            bar.className = 'slm-wallet-budget-bar';
+            const fill = document.createElement('div');
+            fill.className = 'slm-wallet-budget-fill' + (budget > 0 && used > budget ? ' over' : '');
+            fill.style.width = budget > 0 ? `${Math.min(100, Math.round((used / budget) * 100))}%` : '0%';
+            bar.appendChild(fill);
+
+            const usedLabel = document.createElement('small');
+            usedLabel.textContent = budget > 0
+                ? `${formatCurrency(used, wallet.currencySymbol)} / ${formatCurrency(budget, wallet.currencySymbol)}`
+                : formatCurrency(used, wallet.currencySymbol);
+
+            const input = document.createElement('input');
+            input.className = 'slm-input slm-input-sm';
+            input.type = 'number';
+            input.min = '0';
+            input.placeholder = '예산';
+            input.value = budget > 0 ? String(budget) : '';
+            inputs[category] = input;
+
+            row.appendChild(label);
+            row.appendChild(bar);
+            row.appendChild(usedLabel);
+            row.appendChild(input);
+            body.appendChild(row);
+        });
+
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'slm-btn slm-btn-primary slm-btn-sm';
+        saveBtn.textContent = '예산 저장';
+        saveBtn.onclick = () => {
+            const w = loadWallet();
+            w.budgets = {};
+            Object.entries(inputs).forEach(([category, input]) => {
+                const amount = Number(input.value);
+                if (amount > 0) w.budgets[category] = amount;
+            });
+            saveWallet(w);
+            render();
+            showToast('예산 저장', 'success');
+        };
+        body.appendChild(saveBtn);
+    }
+
+    prevBtn.onclick = () => {
+        month = shiftMonth(month, -1);
+        render();
+    };
+    nextBtn.onclick = () => {
+        month = shiftMonth(month, 1);
+        render();
+    };
+
+    render();
+    return container;
+}
+
+/**
+ * 이번 인월드 달의 소비 습관 요약 (컨텍스트용)
+ * @param {Object} wallet
+ * @returns {string|null}
+ */
+function buildSpendingHabitsContext(wallet) {
+    const month = getInWorldNow().slice(0, 7);
+    const stats = getMonthlySpending(wallet, month);
+    const { currencySymbol } = wallet;
+    const overBudget = Object.entries(wallet.budgets || {})
+        .map(([category, budget]) => ({
+            category,
+            budget: Number(budget) || 0,
+            spent: stats.byCategory.find(item => item.category === category)?.amount || 0,
+        }))
+        .filter(item => item.budget > 0 && item.spent > item.budget);
+    if (stats.expense === 0 && overBudget.length === 0) return null;
+
+    const lines = [`Spent this month: ${formatCurrency(stats.expense, currencySymbol)} (income ${formatCurrency(stats.income, currencySymbol)})`];
+    const top = stats.byCategory.slice(0, SPENDING_SUMMARY_TOP)
+        .map(item => `${item.category} ${formatCurrency(item.amount, currencySymbol)} (${Math.round((item.amount / stats.expense) * 100)}%)`);
+    if (top.length > 0) lines.push(`Top categories: ${top.join(', ')}`);
+    if (overBudget.length > 0) {
+        lines.push(`Over budget: ${overBudget.map(item => `${item.category} ${formatCurrency(item.spent, currencySymbol)} / ${formatCurrency(item.budget, currencySymbol)}`).join(', ')}`);
+    }
+    lines.push('The character may notice these habits (e.g. tease about frequent cafe visits or worry about overspending) when it fits naturally.');
+    return `=== Spending Habits (in-world ${month}) ===\n${lines.join('\n')}`;
+}
+
+/**
+ * 송금/입금의 대여·상환 구분 선택 상자를 만든다
+ * @param {'send'|'receive'} direction
+ * @returns {HTMLSelectElement}
+ */
+function createDebtKindSelect(direction) {
+    const select = document.createElement('select');
+    select.className = 'slm-select';
+    const labels = DEBT_KIND_LABELS[direction];
+    select.innerHTML = `<option value="">${direction === 'send' ? '일반 송금' : '일반 입금'}</option>`
+        + Object.entries(labels).map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+    return select;
+}
+
+/**
+ * 거래의 대여·상환 표시 이름 (장부 거래가 아니면 빈 문자열)
+ * @param {Object} tx
+ * @returns {string}
+ */
+function getDebtKindLabel(tx) {
+    if (!tx?.debt) return '';
+    return DEBT_KIND_LABELS[tx.amount < 0 ? 'send' : 'receive'][tx.debt] || '';
+}
+
+/**
+ * 상대별 빌린 돈·빌려준 돈 장부를 만든다 (기준 화폐 환산)
+ * 거래에 저장된 연락처 ID로 묶고, ID가 없는 예전 거래는 이름으로 연락처를 찾아 묶는다.
+ * 연락처가 없는 상대만 적힌 이름 그대로 묶는다.
+ * balance가 양수면 상대가 {{user}}에게 갚을 돈, 음수면 {{user}}가 상대에게 갚을 돈이다.
+ * 빌려주거나 갚으면(출금) 상대가 갚을 돈이 늘고, 빌리거나 돌려받으면(입금) 줄어든다.
+ * @param {Object} wallet
+ * @returns {Array<{contactId: string, name: string, balance: number, entries: Object[]}>}
+ */
+function getDebtLedger(wallet) {
+    const contacts = [...getContacts('character'), ...getContacts('chat')];
+    const ledger = new Map();
+    wallet.history.forEach(tx => {
+        if (!tx?.debt) return;
+        const contact = (tx.counterpartContactId && contacts.find(c => c.id === tx.counterpartContactId))
+            || findContactByName(tx.counterpart, contacts);
+        const name = contact?.name || String(tx.counterpart || '').trim();
+        if (!name) return;
+        const key = contact ? `id:${contact.id}` : `name:${name}`;
+        if (!ledger.has(key)) ledger.set(key, { contactId: contact?.id || '', name, balance: 0, entries: [] });
+        const entry = ledger.get(key);
+        entry.balance -= (Number(tx.amount) || 0) * getAccount(wallet, getTxAccountId(tx)).rate;
+        entry.entries.push(tx);
+    });
+    return [...ledger.values()]
+        .map(entry => ({ ...entry, balance: roundAmount(entry.balance) }))
+        .sort((a, b) => Math.abs(b.balance) - Math.abs(a.balance));
+}
+
+/**
+ * 지갑 기준 화폐와 주 계좌 잔액을 반환한다 (기프티콘 상점 가격 표시용)
+ * @returns {{currencyName: string, currencySymbol: string, balance: number}|null} 초기 설정 전이면 null
+ */
+export function getWalletCurrency() {
+    if (!isSetupDone()) return null;
+    const wallet = loadWallet();
+    const primary = getAccount(wallet, wallet.primaryAccountId);
+    return {
+        currencyName: wallet.currencyName,
+        currencySymbol: wallet.currencySymbol,
+        balance: roundAmount(primary.balance * primary.rate),
+    };
+}
+
+/**
+ * 다른 모듈의 결제(기프티콘 구매 등)를 주 계좌 출금 거래로 기록한다
+ * 가격은 기준 화폐 기준이며, 주 계좌가 다른 화폐면 환율로 나눠 출금한다.
+ * @param {{price: number, counterpart: string, note: string, category?: string}} payment
+ * @returns {{ok: boolean, error?: string}}
+ */
+export function payFromWallet({ price, counterpart, note, category = '쇼핑' }) {
+    if (!isSetupDone()) return { ok: false, error: '지갑 초기 설정이 필요합니다.' };
+    if (!(price > 0)) return { ok: false, error: '가격이 올바르지 않습니다.' };
+    const wallet = loadWallet();
+    const account = getAccount(wallet, wallet.primaryAccountId);
+    const amount = roundAmount(price / account.rate);
+    if (amount > account.balance) return { ok: false, error: `${account.name} 잔액이 부족합니다.` };
+    account.balance = roundAmount(account.balance - amount);
+    wallet.history.push({
+        id: generateId(),
+        accountId: account.id,
+        type: 'deduct',
+        amount: -amount,
+        counterpart,
+        note,
+        category,
+        worldDate: getInWorldNow().slice(0, 10),
+        date: new Date().toISOString(),
+        balanceAfter: account.balance,
+    });
+    saveWallet(wallet);
+    return { ok: true };
+}
+
+/**
+ * 연락처와의 남은 빚을 반환한다 (연락처 상세 팝업용)
+ * @param {{id: string, name: string, displayName?: string}} contact
+ * @returns {{balance: number, amountText: string, entries: Object[]}|null} 장부 기록이 없으면 null
+ */
+export function getContactDebt(contact) {
+    if (!isSetupDone()) return null;
+    const names = [contact?.name, contact?.displayName].map(name => String(name || '').trim()).filter(Boolean);
+    const wallet = loadWallet();
+    const matched = getDebtLedger(wallet).filter(entry => (contact?.id && entry.contactId === contact.id) || names.includes(entry.name));
+    if (matched.length === 0) return null;
+    const balance = roundAmount(matched.reduce((sum, entry) => sum + entry.balance, 0));
+    return {
+        balance,
+        amountText: formatCurrency(Math.abs(balance), wallet.currencySymbol),
+        entries: matched.flatMap(entry => entry.entries),
+    };
+}
+
+/**
+ * 연락처 이름이 바뀌면 장부 거래의 상대 이름도 바꾼다
+ * 연락처 ID가 없는 예전 거래는 옛 이름으로 찾아 ID도 함께 붙인다.
+ * @param {string} contactId
+ * @param {string} oldName
+ * @param {string} newName
+ */
+export function renameDebtCounterpart(contactId, oldName, newName) {
+    if (!isSetupDone() || !oldName || !newName || oldName === newName) return;
+    const wallet = loadWallet();
+    let changed = false;
+    wallet.history.forEach(tx => {
+        if (!tx?.debt) return;
+        const sameContact = contactId && tx.counterpartContactId === contactId;
+        const legacyMatch = !tx.counterpartContactId && String(tx.counterpart || '').trim() === oldName;
+        if (!sameContact && !legacyMatch) return;
+        tx.counterpart = newName;
+        if (contactId) tx.counterpartContactId = contactId;
+        changed = true;
+    });
+    if (changed) saveWallet(wallet);
+}
+
+/**
+ * 남은 빚 요약 (컨텍스트용)
+ * {{char}}와 최근 대화에 언급된 상대의 빚만 넣는다.
+ * @param {Object} wallet
+ * @returns {string|null}
+ */
+function buildDebtContext(wallet) {
+    const ctx = getContext();
+    const charName = ctx?.name2 || '';
+    const recentText = (ctx?.chat || [])
+        .slice(-DEBT_CONTEXT_MESSAGES)
+        .map(msg => String(msg?.mes || '').replace(/<[^>]*>/g, ' '))
+        .join('\n');
+    const mentionedIds = new Set(findMentionedContacts(recentText).map(c => c.id));
+    const recentLower = recentText.toLowerCase();
+    const outstanding = getDebtLedger(wallet).filter(entry => entry.balance !== 0 && (
+        entry.name === charName
+        || (entry.contactId ? mentionedIds.has(entry.contactId) : recentLower.includes(entry.name.toLowerCase()))
+    ));
+    if (outstanding.length === 0) return null;
+    const lines = outstanding.map(entry => {
+        const who = entry.name === charName ? `${entry.name} ({{char}})` : entry.name;
+        const amount = formatCurrency(Math.abs(entry.balance), wallet.currencySymbol);
+        const lastDate = getTxWorldDate(entry.entries[entry.entries.length - 1]);
+        return entry.balance > 0
+            ? `- ${who} owes {{user}} ${amount} (last change ${lastDate})`
+            : `- {{user}} owes ${who} ${amount} (last change ${lastDate})`;
+    });
+    lines.push('Both sides remember these debts; the lender may bring them up and the borrower may feel awkward or promise to pay back.');
+    return `=== Debts ===\n${lines.join('\n')}`;
+}
+
+/**
+ * 거래를 내보내기용 평평한 기록으로 바꾼다
+ * @param {Object} tx
+ * @returns {Object}
+ */
+function toHistoryRecord(tx) {
+    return {
+        id: tx.id,
+        date: tx.date || '',
+        worldDate: getTxWorldDate(tx),
+        accountId: getTxAccountId(tx),
+        type: tx.type || '',
+        category: tx.category || inferCategory(tx),
+        amount: Number(tx.amount) || 0,
+        balanceAfter: Number.isFinite(tx.balanceAfter) ? tx.balanceAfter : '',
+        counterpart: tx.counterpart || '',
+        contactId: tx.counterpartContactId || '',
+        memo: tx.note || '',
+        status: tx.requestStatus || '',
+        debt: tx.debt || '',
+    };
+}
+
+/**
+ * 가져온 기록을 거래로 되돌린다 (금액이 숫자가 아니면 null)
+ * 이 지갑에 없는 계좌의 거래는 주 계좌로 넣는다.
+ * @param {Object} record
+ * @param {Object} wallet
+ * @returns {Object|null}
+ */
+function fromHistoryRecord(record, wallet) {
+    const amount = Number(record.amount);
+    if (record.amount === '' || record.amount == null || !Number.isFinite(amount)) return null;
+    const balanceAfter = record.balanceAfter === '' || record.balanceAfter == null ? NaN : Number(record.balanceAfter);
+    const tx = {
+        id: record.id,
+        accountId: getAccount(wallet, record.accountId).id,
+        type: HISTORY_TX_TYPES.includes(record.type) ? record.type : (amount < 0 ? 'deduct' : 'charge'),
+        amount,
+        counterpart: String(record.counterpart || ''),
+        note: String(record.memo ?? record.note ?? ''),
+        category: String(record.category || ''),
+        date: String(record.date || new Date().toISOString()),
+        balanceAfter: Number.isFinite(balanceAfter) ? balanceAfter : null,
+    };
+    if (/^\d{4}-\d{2}-\d{2}/.test(String(record.worldDate || ''))) tx.worldDate = String(record.worldDate).slice(0, 10);
+    if (record.status || record.requestStatus) tx.requestStatus = String(record.status || record.requestStatus);
+    if (record.debt === 'loan' || record.debt === 'repayment') tx.debt = record.debt;
+    if (tx.debt && record.contactId) tx.counterpartContactId = String(record.contactId);
+    if (!tx.category) tx.category = inferCategory(tx);
+    return tx;
+}
+
+/**
+ * 모든 계좌의 거래 내역을 CSV/JSON 파일로 내려받는다
+ * @param {'csv'|'json'} format
+ */
+function exportWalletHistory(format) {
+    const wallet = loadWallet();
+    if (wallet.history.length === 0) { showToast('내보낼 거래 내역이 없습니다.', 'warn'); return; }
+    const records = wallet.history.map(toHistoryRecord);
+    const filename = `st-lifesim-wallet-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+        downloadTextFile(toCsv(HISTORY_EXPORT_COLUMNS, records), filename, 'text/csv');
+    } else {
+        const payload = {
+            type: 'st-lifesim-wallet-history',
+            exportedAt: new Date().toISOString(),
+            currencyName: wallet.currencyName,
+            currencySymbol: wallet.currencySymbol,
+            accounts: wallet.accounts.map(({ id, name, currencyName, currencySymbol, rate }) => ({ id, name, currencyName, currencySymbol, rate })),
+            history: records,
+        };
+        downloadTextFile(JSON.stringify(payload, null, 2), filename, 'application/json');
+    }
+    showToast('거래 내역 내보내기 완료', 'success');
+}
+
+/**
+ * 가져온 거래 기록을 id 기준으로 병합한다
+ * 새 거래의 금액만큼 해당 계좌 잔액을 반영하고 (데이터 병합과 같은 규칙), 날짜순으로 정렬한다.
+ * 가져온 거래는 이 채팅의 메시지와 연결되지 않으므로 메시지 마커를 붙이지 않는다.
+ * @param {Object[]} records
+ * @returns {number} 추가된 거래 수
+ */
+function importWalletHistory(records) {
+    const wallet = loadWallet();
+    const added = pickNewRecords(wallet.history, records)
+        .map(record => fromHistoryRecord(record, wallet))
+        .filter(Boolean);
+    if (added.length === 0) return 0;
+    added.forEach(tx => {
+        const account = getAccount(wallet, tx.accountId);
+        account.balance = roundAmount(account.balance + tx.amount);
+    });
+    wallet.history = [...wallet.history, ...added]
+        .map((tx, index) => ({ tx, index }))
+        .sort((a, b) => String(a.tx.date).localeCompare(String(b.tx.date)) || a.index - b.index)
+        .map(({ tx }) => tx);
+    saveWallet(wallet);
+    return added.length;
+}
+
+/**
+ * 계좌 잔액을 조정한다
  */
-function adjustBalance(delta, type, counterpart, onDone) {
+function adjustBalance(accountId, delta, type, counterpart, onDone, category = '') {
     if (delta === 0) return;
     const wallet = loadWallet();
-    wallet.balance += delta;
+    const account = getAccount(wallet, accountId);
+    account.balance += delta;
     wallet.history.push({
         id: generateId(),
+        accountId: account.id,
         type: delta > 0 ? 'charge' : 'deduct',
         amount: delta,
         counterpart,
         note: type,
+        category: category || (delta > 0 ? '충전' : '기타'),
+        worldDate: getInWorldNow().slice(0, 10),
         date: new Date().toISOString(),
-        balanceAfter: wallet.balance,
+        balanceAfter: account.balance,
     });
     saveWallet(wallet);
     if (onDone) onDone();
-    showToast(`${type}: ${formatCurrency(Math.abs(delta), wallet.currencySymbol)}`, 'success', 1500);
+    showToast(`${type}: ${formatCurrency(Math.abs(delta), account.currencySymbol)}`, 'success', 1500);
+}
+
+// ─────────────────────────────────────────
+// 정기 거래 (급여·월세·통신비·구독 등) — 인월드 날짜가 넘어가면 자동 처리
+// ─────────────────────────────────────────
+
+/**
+ * @typedef {Object} ScheduledTransaction
+ * @property {string} id
+ * @property {'income'|'expense'} type
+ * @property {string} counterpart - 상대 (예: 회사, 집주인)
+ * @property {number} amount - 양수 금액
+ * @property {'daily'|'weekly'|'monthly'|'yearly'} interval
+ * @property {string} category
+ * @property {string} accountId
+ * @property {string} startDate - 첫 처리 날짜 (매월/매년 기준 일자)
+ * @property {string} nextDate - 다음 처리 날짜 'YYYY-MM-DD'
+ * @property {boolean} enabled
+ */
+
+/**
+ * 'YYYY-MM-DD' 날짜를 주기만큼 뒤로 민다
+ * 매월/매년은 기준 일자를 유지하고, 없는 날짜(31일 등)는 그 달의 마지막 날로 맞춘다.
+ * @param {string} date
+ * @param {string} interval
+ * @param {number} anchorDay - 기준 일자
+ * @returns {string}
+ */
+function addScheduleInterval(date, interval, anchorDay) {
+    const [year, month, day] = date.split('-').map(Number);
+    const clampDay = (y, m) => Math.min(anchorDay, new Date(Date.UTC(y, m + 1, 0)).getUTCDate());
+    let next;
+    if (interval === 'daily') next = new Date(Date.UTC(year, month - 1, day + 1));
+    else if (interval === 'weekly') next = new Date(Date.UTC(year, month - 1, day + 7));
+    else if (interval === 'yearly') next = new Date(Date.UTC(year + 1, month - 1, clampDay(year + 1, month - 1)));
+    else next = new Date(Date.UTC(year, month, clampDay(year, month)));
+    return next.toISOString().slice(0, 10);
+}
+
+/**
+ * 처리일이 된 정기 거래를 모두 처리한다
+ * 인월드 날짜가 여러 날 건너뛰면 밀린 회차를 한꺼번에 처리한다.
+ * @param {string} currentDate - 현재 인월드 날짜 'YYYY-MM-DD'
+ * @returns {Object[]} 새로 기록된 거래
+ */
+function postDueScheduledTransactions(currentDate) {
+    const wallet = loadWallet();
+    const posted = [];
+    wallet.scheduled.forEach(item => {
+        if (!item.enabled) return;
+        const account = getAccount(wallet, item.accountId);
+        const anchorDay = Number(String(item.startDate || item.nextDate).slice(8, 10)) || 1;
+        let count = 0;
+        while (item.nextDate <= currentDate && count < MAX_SCHEDULED_POSTS_PER_ADVANCE) {
+            const amount = item.type === 'income' ? item.amount : -item.amount;
+            account.balance = roundAmount(account.balance + amount);
+            const tx = {
+                id: generateId(),
+                accountId: account.id,
+                type: 'scheduled',
+                amount,
+                counterpart: item.counterpart,
+                category: item.category || (item.type === 'income' ? '기타 수입' : '기타'),
+                note: item.category || (item.type === 'income' ? '정기 수입' : '정기 지출'),
+                scheduledId: item.id,
+                worldDate: item.nextDate,
+                date: new Date().toISOString(),
+                balanceAfter: account.balance,
+            };
+            wallet.history.push(tx);
+            posted.push(tx);
+            item.nextDate = addScheduleInterval(item.nextDate, item.interval, anchorDay);
+            count++;
+        }
+    });
+    if (posted.length === 0) return posted;
+
+    const notices = posted.map(tx => ({
+        id: tx.id,
+        worldDate: tx.worldDate,
+        text: `${tx.worldDate} ${tx.counterpart || tx.note} ${tx.amount > 0 ? '+' : ''}${formatCurrency(tx.amount, getAccount(wallet, tx.accountId).currencySymbol)}`,
+    }));
+    wallet.scheduledNotices = [...(wallet.scheduledNotices || []), ...notices].slice(-MAX_SCHEDULED_NOTICES);
+    saveWallet(wallet);
+    return posted;
+}
+
+/**
+ * 인월드 날짜 변경 리스너 — 날짜가 앞으로 갔을 때만 정기 거래를 처리한다
+ * @param {{previousDate: string, currentDate: string}} change
+ */
+function handleInWorldDayChange({ previousDate, currentDate }) {
+    if (!isSetupDone() || currentDate <= previousDate) return;
+    const posted = postDueScheduledTransactions(currentDate);
+    if (posted.length === 0) return;
+    showToast(`📆 정기 거래 ${posted.length}건이 처리되었습니다.`, 'info', 2500);
+    const wallet = loadWallet();
+    const overdrawn = wallet.accounts.filter(acc => acc.balance < 0);
+    if (overdrawn.length > 0) {
+        showToast(`⚠️ 잔액 부족: ${overdrawn.map(acc => acc.name).join(', ')}`, 'warn', 3000);
+    }
+}
+
+/**
+ * 계좌 간 이체를 처리한다 (환율 적용)
+ * 출금·입금 거래를 한 쌍으로 기록하고 같은 transferId로 묶는다.
+ * @param {string} fromId
+ * @param {string} toId
+ * @param {number} amount - 출금 계좌 화폐 기준 금액
+ * @returns {boolean} 성공 여부
+ */
+function handleTransfer(fromId, toId, amount) {
+    const wallet = loadWallet();
+    const from = getAccount(wallet, fromId);
+    const to = getAccount(wallet, toId);
+    if (from.id === to.id) return false;
+    if (amount > from.balance) {
+        showToast('잔액이 부족합니다.', 'error');
+        return false;
+    }
+
+    const received = convertAmount(amount, from, to);
+    const transferId = generateId();
+    const date = new Date().toISOString();
+    const worldDate = getInWorldNow().slice(0, 10);
+    from.balance = roundAmount(from.balance - amount);
+    to.balance = roundAmount(to.balance + received);
+    wallet.history.push({
+        id: generateId(),
+        accountId: from.id,
+        type: 'transfer',
+        amount: -amount,
+        counterpart: to.name,
+        note: '계좌 이체',
+        category: TRANSFER_CATEGORY,
+        transferId,
+        worldDate,
+        date,
+        balanceAfter: from.balance,
+    });
+    wallet.history.push({
+        id: generateId(),
+        accountId: to.id,
+        type: 'transfer',
+        amount: received,
+        counterpart: from.name,
+        note: '계좌 이체',
+        category: TRANSFER_CATEGORY,
+        transferId,
+        worldDate,
+        date,
+        balanceAfter: to.balance,
+    });
+    saveWallet(wallet);
+    showToast(`🔁 ${from.name} → ${to.name} ${formatCurrency(received, to.currencySymbol)} 이체 완료`, 'success');
+    return true;
+}
+
+/**
+ * 더치페이 1인당 금액 (소수 둘째 자리 반올림)
+ * @param {number} total
+ * @param {number} people - 나를 포함한 인원
+ * @returns {number}
+ */
+function getSplitShare(total, people) {
+    const count = Math.max(2, Math.floor(Number(people) || 2));
+    return roundAmount((Number(total) || 0) / count);
+}
+
+/**
+ * 돈 요청·더치페이 카드를 채팅에 올리고 현재 캐릭터에게 보낼지 묻는다
+ * - 수락: 요청 금액을 계좌에 입금하고 거래를 카드 마커에 연결한다
+ * - 거절: 금액 0의 거절된 요청으로 기록한다
+ * - 응답 없음: 카드가 이미 올라갔으므로 금액 0의 실패한 요청으로 기록한다
+ * @param {{mode: 'request'|'split', accountId: string, amount: number, people: number, memo: string}} request
+ * @returns {Promise<boolean>} 요청 카드를 보냈는지 여부
+ */
+async function handleMoneyRequest({ mode, accountId, amount, people, memo }) {
+    const ctx = getContext();
+    const charName = ctx?.name2;
+    if (!charName) { showToast('대화 중인 캐릭터가 없습니다.', 'warn'); return false; }
+    if (typeof ctx.generateQuietPrompt !== 'function') { showToast('AI 생성 기능을 사용할 수 없습니다.', 'error'); return false; }
+
+    const wallet = loadWallet();
+    const account = getAccount(wallet, accountId);
+    const isSplit = mode === 'split';
+    const share = isSplit ? getSplitShare(amount, people) : roundAmount(amount);
+    const userName = ctx.name1 || 'user';
+    const id = generateId();
+    const marker = getWalletMarker(id);
+    const title = isSplit ? '🧾 더치페이 요청' : '🙏 송금 요청';
+
+    // '|'는 slash 체인 구분자로 해석될 수 있어 함께 정리한다.
+    const safe = value => escapeHtml(String(value || '').replace(/[|\r\n]/g, ' ').trim());
+    const card = '<div class="slm-transaction-card">'
+        + `<div class="slm-transaction-title">${title}</div>`
+        + `<div class="slm-transaction-route">${safe(userName)} → ${safe(charName)}</div>`
+        + (isSplit ? `<div class="slm-transaction-route">총 ${safe(formatCurrency(roundAmount(amount), account.currencySymbol))} · ${Math.max(2, Math.floor(Number(people) || 2))}명</div>` : '')
+        + `<div class="slm-transaction-amount">${safe(formatCurrency(share, account.currencySymbol))}</div>`
+        + (memo ? `<div class="slm-transaction-memo">${safe(memo)}</div>` : '')
+        + '</div>';
+    await slashSend(`${card}\n<!--${marker}-->`);
+
+    const what = isSplit
+        ? `asked you to split a bill of ${formatCurrency(roundAmount(amount), account.currencySymbol)} (your share: ${formatCurrency(share, account.currencySymbol)})`
+        : `requested ${formatCurrency(share, account.currencySymbol)} from you`;
+    const prompt = `You are ${charName}. {{user}} just ${what}${memo ? ` for "${memo}"` : ''}.
+Decide in character, based on your personality, your relationship with {{user}} and the conversation so far, whether you pay.
+Reply in JSON only, no extra text:
+{"accept": true or false, "reply": "one short in-character reply in the same language as the conversation"}`;
+
+    let decision;
+    try {
+        const raw = await ctx.generateQuietPrompt({ quietPrompt: prompt, quietName: charName }) || '';
+        const match = raw.match(/\{[\s\S]*\}/);
+        decision = match ? JSON.parse(match[0]) : null;
+    } catch (e) {
+        console.error('[ST-LifeSim] 돈 요청 응답 생성 오류:', e);
+    }
+    // 모델이 불리언을 문자열로 쓰는 경우도 받아 준다
+    const accept = typeof decision?.accept === 'string' ? decision.accept.trim().toLowerCase() : decision?.accept;
+    const answered = accept === true || accept === false || accept === 'true' || accept === 'false';
+    const accepted = accept === true || accept === 'true';
+    const status = answered ? (accepted ? 'accepted' : 'declined') : 'failed';
+    const reply = answered && typeof decision.reply === 'string' ? decision.reply.trim().slice(0, REQUEST_REPLY_MAX_LENGTH) : '';
+    const latest = loadWallet();
+    const target = getAccount(latest, account.id);
+    if (accepted) target.balance = roundAmount(target.balance + share);
+    latest.history.push({
+        id,
+        accountId: target.id,
+        type: 'request',
+        amount: accepted ? share : 0,
+        requestedAmount: share,
+        requestStatus: status,
+        splitTotal: isSplit ? roundAmount(amount) : undefined,
+        counterpart: charName,
+        note: memo || (isSplit ? '더치페이' : '송금 요청'),
+        category: '받은 돈',
+        worldDate: getInWorldNow().slice(0, 10),
+        date: new Date().toISOString(),
+        balanceAfter: target.balance,
+        messageMarker: marker,
+    });
+    saveWallet(latest);
+    if (!answered) {
+        showToast(`${charName}의 응답을 받지 못했습니다.`, 'error');
+        return true;
+    }
+
+    const result = '<div class="slm-transaction-card">'
+        + `<div class="slm-transaction-title">${accepted ? '✅ 요청 수락' : '❌ 요청 거절'} · ${safe(charName)}</div>`
+        + (accepted ? `<div class="slm-transaction-amount">+${safe(formatCurrency(share, target.currencySymbol))}</div>` : '')
+        + (reply ? `<div class="slm-transaction-memo">"${safe(reply)}"</div>` : '')
+        + '</div>';
+    await slashSendAs(charName, result);
+    showToast(accepted
+        ? `💰 ${charName}이(가) ${formatCurrency(share, target.currencySymbol)}을(를) 보냈습니다.`
+        : `${charName}이(가) 요청을 거절했습니다.`, accepted ? 'success' : 'warn');
+    return true;
 }
 
 /**
  * 송금을 처리한다
+ * @param {string} [debt] - 'loan'(빌려줌) | 'repayment'(빌린 돈 갚음) | '' (일반 송금)
  */
-async function handleSend(sender, recipient, amount, memo) {
+async function handleSend(accountId, sender, recipient, amount, memo, category = '송금', debt = '') {
     const wallet = loadWallet();
-    if (amount > wallet.balance) {
+    const account = getAccount(wallet, accountId);
+    if (amount > account.balance) {
         showToast('잔액이 부족합니다.', 'error');
         return;
     }
 
-    wallet.balance -= amount;
+    account.balance -= amount;
     const now = new Date();
     wallet.history.push({
         id: generateId(),
+        accountId: account.id,
         type: 'send',
         amount: -amount,
         sender,
         counterpart: recipient,
         note: memo,
+        category: debt ? DEBT_CATEGORY : category,
+        ...(debt ? { debt, counterpartContactId: findContactByName(recipient)?.id || '' } : {}),
+        worldDate: getInWorldNow().slice(0, 10),
         date: now.toISOString(),
-        balanceAfter: wallet.balance,
+        balanceAfter: account.balance,
     });
     saveWallet(wallet);
 
-    showToast(`💸 ${sender} → ${recipient} ${formatCurrency(amount, wallet.currencySymbol)} 송금 완료`, 'success');
+    showToast(`💸 ${sender} → ${recipient} ${formatCurrency(amount, account.currencySymbol)} 송금 완료`, 'success');
     // '|'는 slash 체인 구분자로 해석될 수 있어 함께 정리한다.
     const safeMemo = String(memo || '').replace(/[|\r\n]/g, ' ').trim();
     let marker = '';
@@ -500,7 +2308,252 @@ async function handleSend(sender, recipient, amount, memo) {
         historyEntry.messageMarker = marker;
         saveWallet(wallet);
     }
-    await slashSend(`💸 **송금 완료**\n- 보내는 사람: ${escapeHtml(sender)}\n- 받는 사람: ${escapeHtml(recipient)}\n- 금액: ${escapeHtml(formatCurrency(amount, wallet.currencySymbol))}${safeMemo ? `\n- 메모: ${escapeHtml(safeMemo)}` : ''}${marker ? `\n<!--${marker}-->` : ''}`);
+    const debtLine = debt ? `\n- 구분: ${DEBT_KIND_LABELS.send[debt]}` : '';
+    await slashSend(`💸 **송금 완료**\n- 보내는 사람: ${escapeHtml(sender)}\n- 받는 사람: ${escapeHtml(recipient)}\n- 금액: ${escapeHtml(formatCurrency(amount, account.currencySymbol))}${debtLine}${safeMemo ? `\n- 메모: ${escapeHtml(safeMemo)}` : ''}${marker ? `\n<!--${marker}-->` : ''}`);
+}
+
+// ─────────────────────────────────────────
+// 캐릭터가 보낸 돈 감지 (입금 제안 → 확인 → 입금 + 영수증 카드)
+// ─────────────────────────────────────────
+
+/**
+ * '3만 5천', '30,000', '1.5만' 같은 숫자 표현을 수로 바꾼다
+ * @param {string} text
+ * @returns {number}
+ */
+function parseKoreanNumber(text) {
+    const SMALL_UNITS = { 천: 1000, 백: 100 };
+    const BIG_UNITS = { 억: 100000000, 만: 10000 };
+    let total = 0;
+    let section = 0;
+    let digits = '';
+    for (const ch of String(text).replace(/[,\s]/g, '')) {
+        if (/[\d.]/.test(ch)) {
+            digits += ch;
+        } else if (SMALL_UNITS[ch]) {
+            section += (digits ? Number(digits) : 1) * SMALL_UNITS[ch];
+            digits = '';
+        } else if (BIG_UNITS[ch]) {
+            section += digits ? Number(digits) : 0;
+            total += (section || 1) * BIG_UNITS[ch];
+            section = 0;
+            digits = '';
+        }
+    }
+    section += digits ? Number(digits) : 0;
+    return total + section;
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 메시지에서 금액과 해당 계좌를 찾는다
+ * 계좌들의 화폐 기호(₩30,000)나 화폐 이름(3만 원, 50 gold)이 붙은 금액만 인식한다.
+ * @param {string} text
+ * @param {Object} wallet
+ * @returns {{amount: number, accountId: string, matched: string}|null}
+ */
+function parseTransferAmount(text, wallet) {
+    const units = [...new Set(wallet.accounts.flatMap(acc => [acc.currencySymbol, acc.currencyName]).filter(Boolean))]
+        .sort((a, b) => b.length - a.length);
+    if (units.length === 0) return null;
+    const unitPattern = units.map(escapeRegExp).join('|');
+    const numberPattern = '\\d[\\d,]*(?:\\.\\d+)?(?:\\s*[억만천백](?:\\s*\\d[\\d,]*(?:\\.\\d+)?)?)*';
+
+    const prefixed = new RegExp(`(${unitPattern})\\s*(${numberPattern})`, 'i').exec(text);
+    const suffixed = new RegExp(`(${numberPattern})\\s*(${unitPattern})`, 'i').exec(text);
+    const candidates = [
+        prefixed && { index: prefixed.index, unit: prefixed[1], number: prefixed[2], matched: prefixed[0] },
+        suffixed && { index: suffixed.index, unit: suffixed[2], number: suffixed[1], matched: suffixed[0] },
+    ].filter(Boolean).sort((a, b) => a.index - b.index);
+    if (candidates.length === 0) return null;
+
+    const { unit, number, matched } = candidates[0];
+    const amount = roundAmount(parseKoreanNumber(number));
+    if (!(amount > 0)) return null;
+    const lowered = unit.toLowerCase();
+    const byUnit = acc => acc.currencySymbol.toLowerCase() === lowered || acc.currencyName.toLowerCase() === lowered;
+    // 기본 계좌가 같은 화폐면 기본 계좌를 우선한다
+    const primary = getAccount(wallet, wallet.primaryAccountId);
+    const account = byUnit(primary) ? primary : (wallet.accounts.find(byUnit) || primary);
+    return { amount, accountId: account.id, matched };
+}
+
+/**
+ * 메시지에서 송금 메모로 쓸 문구를 고른다
+ * '메모: ...' 형식이 있으면 그 내용을, 없으면 금액이 나온 문장을 쓴다.
+ * @param {string} text
+ * @param {string} matched - 금액 표현
+ * @returns {string}
+ */
+function extractTransferMemo(text, matched) {
+    const explicit = /메모\s*[:：]?\s*["“']?([^"”'\n]{1,40})/.exec(text);
+    if (explicit) return explicit[1].trim();
+    const sentence = text.split(/(?<=[.!?~。])\s+|\n/).find(s => s.includes(matched)) || '';
+    return sentence.trim().slice(0, INCOMING_MEMO_MAX_LENGTH);
+}
+
+/**
+ * 캐릭터 메시지에서 "돈 보냈어" 류의 송금을 감지해 입금 확인 창을 띄운다
+ * CHARACTER_MESSAGE_RENDERED 이벤트에서 호출한다.
+ */
+export function trackIncomingTransferFromCharacterMessage() {
+    if (!isSetupDone()) return;
+    const ctx = getContext();
+    const chat = ctx?.chat || [];
+    const lastIdx = chat.length - 1;
+    const lastMsg = chat[lastIdx];
+    if (!lastMsg || lastMsg.is_user) return;
+
+    const text = String(lastMsg.mes || '').replace(/<[^>]*>/g, ' ').replace(/[ \t]+/g, ' ').trim();
+    if (!INCOMING_TRANSFER_HINT_RE.test(text)) return;
+
+    const signature = `${lastIdx}:${text.slice(0, 180)}`;
+    if (signature === lastIncomingSignature) return;
+    lastIncomingSignature = signature;
+
+    const wallet = loadWallet();
+    const parsed = parseTransferAmount(text, wallet);
+    if (!parsed) return;
+
+    openIncomingTransferDialog({
+        sender: lastMsg.name || ctx?.name2 || '',
+        amount: parsed.amount,
+        accountId: parsed.accountId,
+        memo: extractTransferMemo(text, parsed.matched),
+        debt: INCOMING_REPAYMENT_HINT_RE.test(text) ? 'repayment' : (INCOMING_LOAN_HINT_RE.test(text) ? 'loan' : ''),
+    });
+}
+
+/**
+ * 입금 확인 서브창 — 금액·보낸 사람·메모·계좌를 고쳐서 확정할 수 있다
+ * @param {{sender: string, amount: number, accountId: string, memo: string, debt?: string}} proposal
+ */
+function openIncomingTransferDialog(proposal) {
+    const wallet = loadWallet();
+    const wrapper = document.createElement('div');
+    wrapper.className = 'slm-form';
+
+    const desc = document.createElement('div');
+    desc.className = 'slm-desc';
+    desc.textContent = `${proposal.sender || '캐릭터'}이(가) 돈을 보낸 것 같습니다. 입금으로 기록할까요?`;
+    wrapper.appendChild(desc);
+
+    const senderInput = createInlineField(wrapper, '보낸 사람', proposal.sender);
+    const amountInput = createInlineField(wrapper, '금액', String(proposal.amount));
+    amountInput.type = 'number';
+    amountInput.min = '0';
+
+    const accountRow = document.createElement('div');
+    accountRow.className = 'slm-input-row';
+    const accountLabel = document.createElement('label');
+    accountLabel.className = 'slm-label';
+    accountLabel.textContent = '받는 계좌';
+    const accountSelect = document.createElement('select');
+    accountSelect.className = 'slm-select';
+    wallet.accounts.forEach(acc => {
+        const opt = document.createElement('option');
+        opt.value = acc.id;
+        opt.textContent = `${acc.name} (${acc.currencySymbol})`;
+        if (acc.id === proposal.accountId) opt.selected = true;
+        accountSelect.appendChild(opt);
+    });
+    accountRow.appendChild(accountLabel);
+    accountRow.appendChild(accountSelect);
+    wrapper.appendChild(accountRow);
+
+    const memoInput = createInlineField(wrapper, '메모', proposal.memo);
+
+    const debtRow = document.createElement('div');
+    debtRow.className = 'slm-input-row';
+    const debtLabel = document.createElement('label');
+    debtLabel.className = 'slm-label';
+    debtLabel.textContent = '구분';
+    const debtSelect = createDebtKindSelect('receive');
+    debtSelect.value = proposal.debt || '';
+    debtRow.appendChild(debtLabel);
+    debtRow.appendChild(debtSelect);
+    wrapper.appendChild(debtRow);
+
+    const footer = document.createElement('div');
+    footer.className = 'slm-panel-footer';
+
+    const ignoreBtn = document.createElement('button');
+    ignoreBtn.className = 'slm-btn slm-btn-secondary';
+    ignoreBtn.textContent = '무시';
+
+    const confirmBtn = document.createElement('button');
+    confirmBtn.className = 'slm-btn slm-btn-primary';
+    confirmBtn.textContent = '입금 기록';
+
+    footer.appendChild(ignoreBtn);
+    footer.appendChild(confirmBtn);
+
+    const { close } = createPopup({
+        id: 'wallet-incoming',
+        title: '💰 입금 확인',
+        content: wrapper,
+        footer,
+        className: 'slm-sub-panel',
+    });
+
+    ignoreBtn.onclick = () => close();
+    confirmBtn.onclick = async () => {
+        const amount = roundAmount(Number(amountInput.value) || 0);
+        const sender = senderInput.value.trim();
+        if (!sender) { showToast('보낸 사람을 입력해주세요.', 'warn'); return; }
+        if (amount <= 0) { showToast('금액을 입력해주세요.', 'warn'); return; }
+        confirmBtn.disabled = true;
+        close();
+        await recordIncomingTransfer(accountSelect.value, sender, amount, memoInput.value.trim(), debtSelect.value);
+    };
+}
+
+/**
+ * 받은 돈을 입금 처리하고 채팅에 영수증 카드를 남긴다
+ * @param {string} accountId
+ * @param {string} sender
+ * @param {number} amount
+ * @param {string} memo
+ * @param {string} [debt] - 'loan'(빌림) | 'repayment'(빌려준 돈 돌려받음) | '' (일반 입금)
+ */
+async function recordIncomingTransfer(accountId, sender, amount, memo, debt = '') {
+    const wallet = loadWallet();
+    const account = getAccount(wallet, accountId);
+    account.balance = roundAmount(account.balance + amount);
+    const id = generateId();
+    const marker = getWalletMarker(id);
+    wallet.history.push({
+        id,
+        accountId: account.id,
+        type: 'receive',
+        amount,
+        sender,
+        counterpart: sender,
+        note: memo,
+        category: debt ? DEBT_CATEGORY : '받은 돈',
+        ...(debt ? { debt, counterpartContactId: findContactByName(sender)?.id || '' } : {}),
+        worldDate: getInWorldNow().slice(0, 10),
+        date: new Date().toISOString(),
+        balanceAfter: account.balance,
+        messageMarker: marker,
+    });
+    saveWallet(wallet);
+
+    showToast(`💰 ${sender} → ${account.name} ${formatCurrency(amount, account.currencySymbol)} 입금`, 'success');
+    // '|'는 slash 체인 구분자로 해석될 수 있어 함께 정리한다.
+    const safe = value => escapeHtml(String(value || '').replace(/[|\r\n]/g, ' ').trim());
+    const userName = getContext()?.name1 || 'user';
+    const card = '<div class="slm-transaction-card">'
+        + '<div class="slm-transaction-title">💰 입금 완료</div>'
+        + `<div class="slm-transaction-route">${safe(sender)} → ${safe(userName)} · ${safe(account.name)}</div>`
+        + `<div class="slm-transaction-amount">+${safe(formatCurrency(amount, account.currencySymbol))}</div>`
+        + (debt ? `<div class="slm-transaction-memo">${safe(DEBT_KIND_LABELS.receive[debt])}</div>` : '')
+        + (memo ? `<div class="slm-transaction-memo">${safe(memo)}</div>` : '')
+        + '</div>';
+    await slashSend(`${card}\n<!--${marker}-->`);
 }
 
 /**
@@ -0,0 +1,64 @@
+/**
+ * barcode.js
+ * 외부 라이브러리 없이 Code 128 바코드를 SVG 문자열로 만드는 함수 모음
+ * - 숫자 문자열만 받으며 Code Set C(두 자리씩 인코딩)를 사용한다
+ */
+
+// Code 128 심볼 0~106의 막대/공백 폭 (막대부터 번갈아, 모듈 단위)
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const START_C = 105;
+const STOP = 106;
+// 바코드 양옆 여백 (모듈 단위)
+const QUIET_ZONE = 10;
+
+/**
+ * 숫자 문자열을 Code 128-C 심볼 값 목록으로 바꾼다 (체크섬·시작·정지 포함)
+ * @param {string} digits - 짝수 자리 숫자
+ * @returns {number[]}
+ */
+function encodeCode128C(digits) {
+    const values = [START_C];
+    for (let i = 0; i < digits.length; i += 2) {
+        values.push(Number(digits.slice(i, i + 2)));
+    }
+    const checksum = values.reduce((sum, value, i) => sum + value * (i === 0 ? 1 : i), 0) % 103;
+    values.push(checksum, STOP);
+    return values;
+}
+
+/**
+ * 숫자 문자열을 Code 128 바코드 SVG로 그린다
+ * 홀수 자리면 앞에 0을 붙인다.
+ * @param {string} code - 숫자 문자열
+ * @param {{ height?: number, color?: string }} [options]
+ * @returns {string} SVG 문자열 (한 줄)
+ */
+export function buildCode128Svg(code, { height = 48, color = '#111' } = {}) {
+    let digits = String(code || '').replace(/\D/g, '');
+    if (digits.length % 2 === 1) digits = `0${digits}`;
+    if (!digits) return '';
+
+    const rects = [];
+    let x = QUIET_ZONE;
+    encodeCode128C(digits).forEach(value => {
+        [...CODE128_PATTERNS[value]].forEach((width, i) => {
+            const w = Number(width);
+            if (i % 2 === 0) rects.push(`<rect x="${x}" y="0" width="${w}" height="${height}"></rect>`);
+            x += w;
+        });
+    });
+    const totalWidth = x + QUIET_ZONE;
+    return `<svg class="slm-barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${height}" preserveAspectRatio="none" role="img" aria-label="${digits}"><g fill="${color}">${rects.join('')}</g></svg>`;
+}
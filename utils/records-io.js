@@ -0,0 +1,149 @@
+/**
+ * records-io.js
+ * 거래 내역 같은 기록 목록을 CSV/JSON 파일로 내보내고 가져오는 공통 함수 모음
+ * - CSV는 RFC 4180 형식 (쉼표 구분, 큰따옴표 이스케이프, 엑셀 한글 표시용 BOM)
+ * - 가져온 기록은 id 기준으로 병합해 같은 항목이 두 번 들어가지 않게 한다
+ */
+
+import { generateId } from './ui.js';
+
+/**
+ * CSV 셀 값을 이스케이프한다
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 행 목록을 CSV 문자열로 만든다
+ * @param {string[]} columns - 헤더 (행 객체의 키)
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+    const lines = [columns.join(',')];
+    rows.forEach(row => lines.push(columns.map(col => escapeCsvCell(row[col])).join(',')));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * CSV 문자열을 헤더 키를 가진 객체 목록으로 읽는다
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const [header, ...body] = records.filter(r => r.some(value => value !== ''));
+    if (!header) return [];
+    const columns = header.map(col => col.trim());
+    return body.map(values => Object.fromEntries(columns.map((col, i) => [col, values[i] ?? ''])));
+}
+
+/**
+ * 문자열을 파일로 내려받는다
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * 파일 선택 창을 열어 CSV/JSON 파일을 고르게 한다
+ * @param {(file: {name: string, text: string}) => void} onLoad
+ * @param {string} [accept] - 고를 수 있는 파일 형식 (기본: CSV/JSON)
+ */
+export function pickRecordsFile(onLoad, accept = '.csv,.json,text/csv,application/json') {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.onchange = async (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        onLoad({ name: file.name, text: await file.text() });
+    };
+    input.click();
+}
+
+/**
+ * 가져온 파일 내용을 기록 목록으로 읽는다
+ * JSON은 배열이나 `{ [key]: [...] }` 형태를, CSV는 헤더가 있는 표를 받는다.
+ * @param {{name: string, text: string}} file
+ * @param {string} key - JSON 객체에서 목록이 담긴 키 (예: 'history')
+ * @returns {Object[]}
+ */
+export function readRecordsFile(file, key) {
+    const text = String(file.text || '').trim();
+    const isJson = /\.json$/i.test(file.name) || /^[[{]/.test(text);
+    if (!isJson) return parseCsv(text);
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.[key];
+    if (!Array.isArray(list)) throw new Error(`JSON에 ${key} 목록이 없습니다.`);
+    return list.filter(item => item && typeof item === 'object');
+}
+
+/**
+ * id 기준으로 새 기록만 골라낸다 (id가 없는 기록은 새 id를 붙인다)
+ * @param {Object[]} existing
+ * @param {Object[]} incoming
+ * @returns {Object[]} 기존 목록에 없는 기록
+ */
+export function pickNewRecords(existing, incoming) {
+    const knownIds = new Set(existing.map(item => item?.id).filter(Boolean));
+    const added = [];
+    incoming.forEach(item => {
+        const id = String(item.id || '').trim() || generateId();
+        if (knownIds.has(id)) return;
+        knownIds.add(id);
+        added.push({ ...item, id });
+    });
+    return added;
+}
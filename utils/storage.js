@@ -1,13 +1,54 @@
 /**
  * storage.js
  * 채팅별 또는 캐릭터별로 데이터를 저장하고 불러오는 유틸리티
+ * - IndexedDB에 저장하고, 메모리 캐시로 동기 조회를 지원한다
+ * - 기존 localStorage 데이터는 최초 초기화 시 한 번 IndexedDB로 이전한다
+ * - IndexedDB를 사용할 수 없는 환경에서는 localStorage로 폴백한다
+ * - 모듈별 스키마 버전을 기록하고, 불러오기·복원 시 등록된 마이그레이션을 순서대로 적용한다
+ * - (선택) 채팅 바인딩 데이터를 SillyTavern 채팅 메타데이터에도 저장해 채팅 파일과 함께 옮겨지게 한다
  */
 
 import { getContext } from './st-context.js';
+import { showToast, showConfirm } from './ui.js';
 
-// 로컬스토리지 키 접두사
+// 저장소 키 접두사
 const PREFIX = 'st-lifesim:';
 
+// IndexedDB 설정
+const DB_NAME = 'st-lifesim';
+const DB_VERSION = 1;
+const STORE_NAME = 'data';
+
+// 모듈 데이터 키 형식: st-lifesim:<module>:<global|default|chat:ID|char:ID>
+// (테마·사운드 프리셋 등 UI 설정 키는 이 형식이 아니므로 localStorage에 그대로 둔다)
+const DATA_KEY_RE = /^st-lifesim:([^:]+):(global|default|chat:.*|char:.*)$/;
+
+/** @type {IDBDatabase|null} */
+let db = null;
+let storageReady = false;
+/** @type {Promise<void>|null} */
+let initPromise = null;
+// 키 → JSON 문자열. loadData가 매번 새 객체를 돌려주도록 문자열로 보관한다.
+/** @type {Map<string, string>} */
+const cache = new Map();
+let quotaToastShown = false;
+// IndexedDB로 옮기지 못해 localStorage에 원본이 남아 있는 키
+const unmigratedKeys = new Set();
+
+// 버전이 기록된 데이터의 저장 형식: { [SCHEMA_FIELD]: 버전, data: 실제 데이터 }
+// 버전 정보가 없는 기존 데이터는 버전 0으로 취급한다
+const SCHEMA_FIELD = '__slmSchema';
+/** @type {Map<string, {version: number, migrations: Function[], validate?: Function, merge?: Function, chatMetadata: boolean, trimForBranch?: Function, relocate?: {from: Function, apply: Function}}>} */
+const schemas = new Map();
+// 바인딩 이전 검사를 마친 '예전 키>지금 키' 쌍 (세션마다 한 번만 검사)
+const relocatedKeyPairs = new Set();
+
+// 채팅 메타데이터(chat_metadata)에 모듈 데이터를 보관하는 키: { [module]: 저장 문자열 }
+const CHAT_METADATA_KEY = 'st_lifesim';
+// 채팅 메타데이터에 기록하는 원래 채팅 ID. 분기·복제된 채팅은 메타데이터를 그대로 물려받으므로
+// 현재 채팅 ID와 다르면 다른 채팅에서 갈라져 나온 것으로 본다.
+const CHAT_ORIGIN_KEY = 'st_lifesim_chat_id';
+
 /**
  * SillyTavern extension_settings 객체를 가져온다 (컨텍스트 API 사용)
  * @returns {Object|null}
@@ -47,23 +88,332 @@ function getBindingKey(binding) {
     return `chat:${chatId}`;
 }
 
+/**
+ * 모듈 데이터의 스키마를 등록한다 (모듈 최상위에서 한 번 호출)
+ * migrations[i]는 버전 i의 데이터를 버전 i+1로 바꾸는 함수이며, 현재 버전은 migrations.length가 된다.
+ * 함수는 (data, { module, key }) 를 받아 변환된 데이터를 반환한다.
+ * validate는 백업 가져오기 시 현재 버전 데이터의 형태를 검사하며, 문제가 있으면 오류 메시지를 반환한다.
+ * merge는 가져오기 '병합' 모드에서 (기존, 가져온 데이터)를 합친다. 없으면 mergeValues를 쓴다.
+ * chatMetadata가 true이면 채팅 바인딩으로 저장할 때 채팅 메타데이터 동기화 대상이 된다.
+ * trimForBranch는 분기된 채팅으로 데이터를 복사할 때 (data, { chat }) 를 받아 분기 지점 이후 항목을 잘라낸다.
+ * relocate는 예전 버전이 다른 바인딩에 두던 데이터를 옮기는 단계다. loadData가 어떤 바인딩을 처음 읽을 때
+ * from(바인딩)이 예전 바인딩을 돌려주면, apply(예전 데이터, 지금 데이터 또는 null)의 결과 { data, legacy } 중
+ * data는 지금 바인딩에, legacy는 예전 바인딩에 저장한다 (undefined인 쪽은 그대로 둔다). 옮길 것이 없으면 null을 반환한다.
+ * @param {string} module - 모듈 이름
+ * @param {{
+ *   migrations?: Array<function(*, {module: string, key: string}): *>,
+ *   validate?: function(*): (string|null),
+ *   merge?: function(*, *): *,
+ *   chatMetadata?: boolean,
+ *   trimForBranch?: function(*, {chat: Object[]}): *,
+ *   relocate?: {
+ *     from: function('chat'|'character'|'global'): ('chat'|'character'|'global'|null),
+ *     apply: function(*, *): ({data?: *, legacy?: *}|null),
+ *   },
+ * }} schema
+ */
+export function registerSchema(module, { migrations = [], validate, merge, chatMetadata = false, trimForBranch, relocate } = {}) {
+    schemas.set(module, { version: migrations.length, migrations, validate, merge, chatMetadata, trimForBranch, relocate });
+}
+
+/**
+ * 저장된 문자열을 { version, updatedAt, data } 형태로 해석한다
+ * @param {string} raw
+ * @returns {{version: number, updatedAt: number, data: *}}
+ */
+function decodeRaw(raw) {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+        && Number.isInteger(parsed[SCHEMA_FIELD]) && 'data' in parsed) {
+        return { version: parsed[SCHEMA_FIELD], updatedAt: Number(parsed.updatedAt) || 0, data: parsed.data };
+    }
+    return { version: 0, updatedAt: 0, data: parsed };
+}
+
+/**
+ * 데이터를 저장용 문자열로 만든다 (스키마가 등록된 모듈만 버전과 수정 시각을 기록한다)
+ * @param {string} module
+ * @param {*} data
+ * @param {number} [updatedAt] - 수정 시각 (기본: 현재)
+ * @returns {string}
+ */
+function encodeRaw(module, data, updatedAt = Date.now()) {
+    const schema = schemas.get(module);
+    if (!schema) return JSON.stringify(data);
+    return JSON.stringify({ [SCHEMA_FIELD]: schema.version, updatedAt, data });
+}
+
+/**
+ * 채팅 메타데이터 동기화가 켜져 있는지 확인한다
+ * @returns {boolean}
+ */
+function isChatMetadataSyncEnabled() {
+    return getExtensionSettings()?.['st-lifesim']?.chatMetadataSync === true;
+}
+
+/**
+ * 모듈이 채팅 메타데이터 동기화 대상인지 확인한다
+ * @param {string} module
+ * @param {'chat'|'character'|'global'} binding
+ * @returns {boolean}
+ */
+function shouldSyncToChatMetadata(module, binding) {
+    return binding === 'chat' && schemas.get(module)?.chatMetadata === true && isChatMetadataSyncEnabled();
+}
+
+/**
+ * 현재 채팅 메타데이터에 보관된 라이프심 데이터 객체를 가져온다
+ * @param {boolean} create - 없으면 만들지 여부
+ * @returns {Object<string, string>|null}
+ */
+function getChatMetadataStore(create) {
+    const metadata = getContext()?.chatMetadata;
+    if (!metadata || typeof metadata !== 'object') return null;
+    if (!metadata[CHAT_METADATA_KEY] || typeof metadata[CHAT_METADATA_KEY] !== 'object') {
+        if (!create) return null;
+        metadata[CHAT_METADATA_KEY] = {};
+    }
+    return metadata[CHAT_METADATA_KEY];
+}
+
+/**
+ * 채팅 메타데이터 저장을 요청한다 (디바운스 저장이 있으면 그것을 쓴다)
+ */
+function requestChatMetadataSave() {
+    const ctx = getContext();
+    try {
+        if (typeof ctx?.saveMetadataDebounced === 'function') ctx.saveMetadataDebounced();
+        else if (typeof ctx?.saveMetadata === 'function') void ctx.saveMetadata();
+    } catch (e) {
+        console.error('[ST-LifeSim] 채팅 메타데이터 저장 오류:', e);
+    }
+}
+
+/**
+ * 모듈 데이터 하나를 채팅 메타데이터에 기록한다
+ * @param {string} module
+ * @param {string|null} raw - null이면 삭제
+ */
+function writeChatMetadata(module, raw) {
+    const store = getChatMetadataStore(raw !== null);
+    if (!store) return;
+    if (raw === null) delete store[module];
+    else store[module] = raw;
+    requestChatMetadataSave();
+}
+
+/**
+ * 등록된 마이그레이션을 저장된 버전부터 현재 버전까지 순서대로 적용한다
+ * @param {string} module
+ * @param {string} key - 저장소 키 (마이그레이션 함수에 전달)
+ * @param {{version: number, data: *}} stored
+ * @returns {{data: *, upgraded: boolean}}
+ */
+function runMigrations(module, key, stored) {
+    const schema = schemas.get(module);
+    if (!schema) return { data: stored.data, upgraded: false };
+    if (stored.version > schema.version) {
+        console.warn(`[ST-LifeSim] ${key}: 저장된 스키마 버전(${stored.version})이 지원 버전(${schema.version})보다 높습니다.`);
+        return { data: stored.data, upgraded: false };
+    }
+    let data = stored.data;
+    for (let v = stored.version; v < schema.version; v++) {
+        data = schema.migrations[v](data, { module, key });
+    }
+    return { data, upgraded: stored.version < schema.version };
+}
+
+/**
+ * IndexedDB 요청을 Promise로 감싼다
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB를 연다 (사용 불가 시 null)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+async function openDatabase() {
+    if (typeof indexedDB === 'undefined') return null;
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(STORE_NAME)) {
+            database.createObjectStore(STORE_NAME);
+        }
+    };
+    return promisifyRequest(request);
+}
+
+/**
+ * 저장소 오류를 처리한다. 용량 초과는 사용자에게 한 번 알린다.
+ * @param {*} e
+ */
+function handleWriteError(e) {
+    console.error('[ST-LifeSim] 저장 오류:', e);
+    if (e?.name === 'QuotaExceededError' && !quotaToastShown) {
+        quotaToastShown = true;
+        showToast('저장 공간이 부족해 ST-LifeSim 데이터를 저장하지 못했습니다. 설정 > 일반에서 사용량을 확인하세요.', 'error', 6000);
+    }
+}
+
+/**
+ * 키 하나를 영구 저장소에 기록한다
+ * @param {string} key
+ * @param {string|null} raw - null이면 삭제
+ * @returns {Promise<boolean>} 기록에 성공했는지
+ */
+async function persist(key, raw) {
+    if (!db) {
+        try {
+            if (raw === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, raw);
+            return true;
+        } catch (e) {
+            handleWriteError(e);
+            return false;
+        }
+    }
+    try {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        if (raw === null) store.delete(key);
+        else store.put(raw, key);
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } catch (e) {
+        handleWriteError(e);
+        return false;
+    }
+    // 이전에 실패해 localStorage에 남겨 둔 원본은 IndexedDB 기록이 확인된 뒤에 지운다
+    if (unmigratedKeys.delete(key)) {
+        try { localStorage.removeItem(key); } catch { /* localStorage not available */ }
+    }
+    return true;
+}
+
+/**
+ * 저장소를 초기화한다 (확장 초기화 시 한 번 호출)
+ * - IndexedDB의 모든 데이터를 메모리 캐시에 올린다
+ * - localStorage에 남아 있는 기존 모듈 데이터를 IndexedDB로 이전한다
+ * @returns {Promise<void>}
+ */
+export function initStorage() {
+    if (initPromise) return initPromise;
+    initPromise = (async () => {
+        try {
+            db = await openDatabase();
+        } catch (e) {
+            console.warn('[ST-LifeSim] IndexedDB를 열 수 없어 localStorage를 사용합니다:', e);
+            db = null;
+        }
+
+        if (db) {
+            const tx = db.transaction(STORE_NAME, 'readonly');
+            const store = tx.objectStore(STORE_NAME);
+            const [keys, values] = await Promise.all([
+                promisifyRequest(store.getAllKeys()),
+                promisifyRequest(store.getAll()),
+            ]);
+            keys.forEach((k, i) => cache.set(String(k), values[i]));
+            await migrateFromLocalStorage();
+        } else {
+            for (const k of listLocalStorageKeys()) {
+                if (DATA_KEY_RE.test(k)) cache.set(k, localStorage.getItem(k));
+            }
+        }
+        storageReady = true;
+    })();
+    return initPromise;
+}
+
+/**
+ * localStorage에서 ST-LifeSim 접두사 키 목록을 가져온다
+ * @returns {string[]}
+ */
+function listLocalStorageKeys() {
+    const keys = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const k = localStorage.key(i);
+            if (k && k.startsWith(PREFIX)) keys.push(k);
+        }
+    } catch { /* localStorage not available */ }
+    return keys;
+}
+
+/**
+ * localStorage의 기존 모듈 데이터를 IndexedDB로 이전하고 원본을 제거한다
+ * 이전이 끝난 키는 localStorage에서 지워지므로, 남아 있는 값은 항상 더 최신이다
+ * (구버전 확장, 초기화 전 쓰기, 또는 이전에 실패한 키)
+ * IndexedDB 기록에 실패한 키는 원본을 남겨 두고 다음 기록 성공 시 지운다.
+ */
+async function migrateFromLocalStorage() {
+    const legacyKeys = listLocalStorageKeys().filter(k => DATA_KEY_RE.test(k));
+    for (const k of legacyKeys) {
+        const raw = localStorage.getItem(k);
+        if (raw === null) continue;
+        cache.set(k, raw);
+        if (await persist(k, raw)) {
+            localStorage.removeItem(k);
+        } else {
+            unmigratedKeys.add(k);
+        }
+    }
+}
+
 /**
  * 모듈 데이터를 저장한다
+ * 메모리 캐시는 즉시 갱신되며, 반환된 Promise는 영구 저장이 끝나면 완료된다
  * @param {string} module - 모듈 이름 (예: 'contacts', 'wallet')
  * @param {*} data - 저장할 데이터
  * @param {'chat'|'character'|'global'} binding - 바인딩 타입
+ * @returns {Promise<void>}
  */
 export function saveData(module, data, binding = 'chat') {
     const key = `${PREFIX}${module}:${getBindingKey(binding)}`;
+    let raw;
     try {
-        localStorage.setItem(key, JSON.stringify(data));
+        raw = encodeRaw(module, data);
     } catch (e) {
         console.error('[ST-LifeSim] 저장 오류:', e);
+        return Promise.resolve();
+    }
+    if (!storageReady) {
+        // 초기화 전 쓰기는 localStorage에 남겨 두면 초기화 시 이전된다
+        return persistBeforeReady(key, raw);
+    }
+    cache.set(key, raw);
+    if (shouldSyncToChatMetadata(module, binding)) writeChatMetadata(module, raw);
+    return persist(key, raw);
+}
+
+/**
+ * 저장소 초기화 전에 들어온 쓰기를 처리한다
+ * @param {string} key
+ * @param {string} raw
+ * @returns {Promise<void>}
+ */
+async function persistBeforeReady(key, raw) {
+    try {
+        localStorage.setItem(key, raw);
+    } catch (e) {
+        handleWriteError(e);
     }
 }
 
 /**
  * 모듈 데이터를 불러온다
+ * 이전 버전으로 저장된 데이터는 마이그레이션을 적용한 뒤 현재 버전으로 다시 저장한다
  * @param {string} module - 모듈 이름
  * @param {*} defaultValue - 기본값 (데이터가 없을 때 반환)
  * @param {'chat'|'character'|'global'} binding - 바인딩 타입
@@ -71,67 +421,470 @@ export function saveData(module, data, binding = 'chat') {
  */
 export function loadData(module, defaultValue = null, binding = 'chat') {
     const key = `${PREFIX}${module}:${getBindingKey(binding)}`;
+    if (storageReady) relocateLegacyBinding(module, binding, key);
     try {
-        const raw = localStorage.getItem(key);
-        if (raw === null) return defaultValue;
-        return JSON.parse(raw);
+        const raw = storageReady ? cache.get(key) : localStorage.getItem(key);
+        if (raw === null || raw === undefined) return defaultValue;
+        const stored = decodeRaw(raw);
+        const { data, upgraded } = runMigrations(module, key, stored);
+        if (upgraded) {
+            const nextRaw = encodeRaw(module, data, stored.updatedAt || Date.now());
+            if (storageReady) {
+                cache.set(key, nextRaw);
+                persist(key, nextRaw);
+            } else {
+                persistBeforeReady(key, nextRaw);
+            }
+        }
+        return data;
     } catch (e) {
         console.error('[ST-LifeSim] 불러오기 오류:', e);
         return defaultValue;
     }
 }
 
+/**
+ * 예전 버전이 다른 바인딩에 두던 데이터를 스키마의 relocate 규칙에 따라 옮긴다
+ * @param {string} module
+ * @param {'chat'|'character'|'global'} binding - 지금 읽으려는 바인딩
+ * @param {string} key - 지금 읽으려는 키
+ */
+function relocateLegacyBinding(module, binding, key) {
+    const relocate = schemas.get(module)?.relocate;
+    if (!relocate) return;
+    const fromBinding = relocate.from(binding);
+    if (!fromBinding) return;
+    const fromKey = `${PREFIX}${module}:${getBindingKey(fromBinding)}`;
+    const pair = `${fromKey}>${key}`;
+    if (fromKey === key || relocatedKeyPairs.has(pair)) return;
+    relocatedKeyPairs.add(pair);
+    if (!cache.has(fromKey)) return;
+    try {
+        const legacy = runMigrations(module, fromKey, decodeRaw(cache.get(fromKey))).data;
+        const current = cache.has(key) ? runMigrations(module, key, decodeRaw(cache.get(key))).data : null;
+        const result = relocate.apply(legacy, current);
+        if (!result) return;
+        if (result.data !== undefined) saveData(module, result.data, binding);
+        if (result.legacy !== undefined) saveData(module, result.legacy, fromBinding);
+    } catch (e) {
+        console.warn(`[ST-LifeSim] ${fromKey} → ${key} 이전 실패:`, e);
+    }
+}
+
 /**
  * 모듈 데이터를 삭제한다
  * @param {string} module - 모듈 이름
  * @param {'chat'|'character'|'global'} binding - 바인딩 타입
+ * @returns {Promise<void>}
  */
 export function deleteData(module, binding = 'chat') {
     const key = `${PREFIX}${module}:${getBindingKey(binding)}`;
-    localStorage.removeItem(key);
+    if (!storageReady) {
+        localStorage.removeItem(key);
+        return Promise.resolve();
+    }
+    cache.delete(key);
+    if (shouldSyncToChatMetadata(module, binding)) writeChatMetadata(module, null);
+    return persist(key, null);
+}
+
+/**
+ * 분기·복제된 채팅을 감지해 원본 채팅의 채팅 바인딩 데이터를 새 채팅 ID로 복사한다 (채팅 전환 시 호출)
+ * - 원본은 메타데이터의 CHAT_ORIGIN_KEY, 없으면 SillyTavern 분기 정보(main_chat)로 찾는다
+ * - 새 채팅에 이미 데이터가 있으면 복사하지 않는다
+ * - 모듈의 trimForBranch로 분기 지점(현재 채팅 길이) 이후 항목을 잘라낸다
+ * @returns {Promise<{sourceChatId: string, modules: string[]}|null>} 복사했으면 원본 채팅 ID와 모듈 목록
+ */
+export async function carryOverBranchedChatData() {
+    if (!storageReady) await initStorage();
+    const ctx = getContext();
+    const metadata = ctx?.chatMetadata;
+    if (!metadata || typeof metadata !== 'object' || ctx.chatId == null) return null;
+
+    const chatId = String(ctx.chatId);
+    const findKeys = (bindingKey) => [...cache.keys()].filter(k => k.match(DATA_KEY_RE)?.[2] === bindingKey);
+    const targetBindingKey = `chat:${chatId}`;
+    let result = null;
+
+    const sourceChatId = String(metadata[CHAT_ORIGIN_KEY] || metadata.main_chat || '');
+    if (sourceChatId && sourceChatId !== chatId && findKeys(targetBindingKey).length === 0) {
+        const sourceKeys = findKeys(`chat:${sourceChatId}`);
+        const chat = Array.isArray(ctx.chat) ? ctx.chat : [];
+        const modules = [];
+        const metaStore = isChatMetadataSyncEnabled() ? getChatMetadataStore(false) : null;
+        for (const sourceKey of sourceKeys) {
+            const module = sourceKey.match(DATA_KEY_RE)[1];
+            const targetKey = `${PREFIX}${module}:${targetBindingKey}`;
+            let raw = cache.get(sourceKey);
+            const trim = schemas.get(module)?.trimForBranch;
+            if (trim) {
+                try {
+                    const { data } = runMigrations(module, sourceKey, decodeRaw(raw));
+                    raw = encodeRaw(module, trim(data, { chat }));
+                } catch (e) {
+                    console.warn(`[ST-LifeSim] ${sourceKey} 분기 정리 실패, 원본을 그대로 복사합니다:`, e);
+                }
+            }
+            cache.set(targetKey, raw);
+            await persist(targetKey, raw);
+            // 메타데이터에는 잘리지 않은 원본 사본이 따라왔으므로 정리된 값으로 바꾼다
+            if (metaStore && typeof metaStore[module] === 'string') metaStore[module] = raw;
+            modules.push(module);
+        }
+        if (modules.length > 0) {
+            result = { sourceChatId, modules };
+        }
+    }
+
+    // 데이터가 있는 채팅에는 원래 ID를 기록해 두어 이후 분기·복제를 알아볼 수 있게 한다
+    if (metadata[CHAT_ORIGIN_KEY] !== chatId && findKeys(targetBindingKey).length > 0) {
+        metadata[CHAT_ORIGIN_KEY] = chatId;
+        requestChatMetadataSave();
+    }
+    return result;
+}
+
+/**
+ * 현재 채팅의 브라우저 저장소와 채팅 메타데이터를 맞춘다 (채팅 전환 시 호출)
+ * - 한쪽에만 있으면 다른 쪽으로 복사한다 (다른 기기에서 연 채팅, 새로 켠 동기화)
+ * - 양쪽 내용이 다르면 설정된 충돌 정책(chatMetadataConflict)에 따라 하나를 고른다
+ *   'newer': 수정 시각이 늦은 쪽 (같으면 채팅 파일), 'metadata': 채팅 파일, 'local': 브라우저, 'ask': 사용자에게 묻기
+ * @returns {Promise<{adopted: string[], pushed: string[]}>} 채팅 파일에서 가져온 모듈 / 채팅 파일에 기록한 모듈
+ */
+export async function syncChatMetadata() {
+    const result = { adopted: [], pushed: [] };
+    if (!isChatMetadataSyncEnabled()) return result;
+    if (!storageReady) await initStorage();
+    const ctx = getContext();
+    if (!ctx?.chatMetadata || ctx.chatId == null) return result;
+
+    const bindingKey = getBindingKey('chat');
+    const policy = getExtensionSettings()?.['st-lifesim']?.chatMetadataConflict || 'newer';
+    const conflicts = [];
+    for (const [module, schema] of schemas.entries()) {
+        if (!schema.chatMetadata) continue;
+        const key = `${PREFIX}${module}:${bindingKey}`;
+        const localRaw = cache.get(key);
+        const metaRaw = getChatMetadataStore(false)?.[module];
+        const hasMeta = typeof metaRaw === 'string';
+        if (!hasMeta && localRaw === undefined) continue;
+        if (hasMeta && localRaw === metaRaw) continue;
+        if (!hasMeta) {
+            result.pushed.push(module);
+        } else if (localRaw === undefined) {
+            result.adopted.push(module);
+        } else {
+            conflicts.push({ module, localRaw, metaRaw });
+        }
+    }
+
+    if (conflicts.length > 0) {
+        let useMetadata = null;
+        if (policy === 'ask') {
+            useMetadata = await showConfirm(
+                `채팅 파일과 이 브라우저에 저장된 라이프심 데이터가 다릅니다 (${conflicts.map(c => c.module).join(', ')}).\n채팅 파일의 데이터를 사용할까요?`,
+                '채팅 파일 사용',
+                '브라우저 데이터 유지',
+            );
+        } else if (policy === 'metadata' || policy === 'local') {
+            useMetadata = policy === 'metadata';
+        }
+        for (const conflict of conflicts) {
+            let pickMeta = useMetadata;
+            if (pickMeta === null) {
+                try {
+                    pickMeta = decodeRaw(conflict.metaRaw).updatedAt >= decodeRaw(conflict.localRaw).updatedAt;
+                } catch {
+                    pickMeta = true;
+                }
+            }
+            (pickMeta ? result.adopted : result.pushed).push(conflict.module);
+        }
+    }
+
+    // 동기화 도중 채팅이 바뀌었으면 아무것도 쓰지 않는다
+    if (getBindingKey('chat') !== bindingKey) return { adopted: [], pushed: [] };
+    const metaStore = getChatMetadataStore(result.pushed.length > 0);
+    for (const module of result.adopted) {
+        const key = `${PREFIX}${module}:${bindingKey}`;
+        const raw = metaStore[module];
+        cache.set(key, raw);
+        await persist(key, raw);
+    }
+    if (result.pushed.length > 0) {
+        for (const module of result.pushed) {
+            metaStore[module] = cache.get(`${PREFIX}${module}:${bindingKey}`);
+        }
+        requestChatMetadataSave();
+    }
+    return result;
 }
 
 /**
  * 모든 ST-LifeSim 데이터를 백업 (JSON 문자열 반환)
+ * 모듈 데이터와 localStorage에 남아 있는 UI 설정 키를 함께 내보낸다
  * @returns {string} JSON 백업 문자열
  */
 export function exportAllData() {
     const result = {};
-    for (let i = 0; i < localStorage.length; i++) {
-        const k = localStorage.key(i);
-        if (k && k.startsWith(PREFIX)) {
-            result[k] = localStorage.getItem(k);
+    for (const k of listLocalStorageKeys()) {
+        result[k] = localStorage.getItem(k);
+    }
+    for (const [k, v] of cache.entries()) {
+        result[k] = v;
+    }
+    return JSON.stringify(result, null, 2);
+}
+
+/**
+ * 현재 채팅·캐릭터·전역 바인딩 키를 반환한다 (선택 백업 범위 지정용)
+ * @returns {{chat: string, character: string, global: string}}
+ */
+export function getCurrentBindingKeys() {
+    return {
+        chat: getBindingKey('chat'),
+        character: getBindingKey('character'),
+        global: getBindingKey('global'),
+    };
+}
+
+/**
+ * 저장된 모듈 데이터 키 목록을 반환한다
+ * @returns {{key: string, module: string, bindingKey: string, size: number}[]}
+ */
+export function listDataEntries() {
+    const entries = [];
+    for (const [k, v] of cache.entries()) {
+        const match = k.match(DATA_KEY_RE);
+        if (!match) continue;
+        entries.push({ key: k, module: match[1], bindingKey: match[2], size: byteSize(k) + byteSize(v) });
+    }
+    return entries;
+}
+
+/**
+ * 선택한 모듈·바인딩의 데이터만 백업한다
+ * @param {Object} options
+ * @param {string[]} options.modules - 포함할 모듈 이름
+ * @param {Array<'chat'|'character'|'global'>} options.bindings - 포함할 바인딩 (현재 채팅/현재 캐릭터/전역)
+ * @param {boolean} [options.includeUiSettings=false] - 테마·사운드 프리셋 등 UI 설정 키 포함 여부
+ * @returns {string} JSON 백업 문자열 (exportAllData와 같은 형식)
+ */
+export function exportSelectedData({ modules, bindings, includeUiSettings = false }) {
+    const moduleSet = new Set(modules);
+    const current = getCurrentBindingKeys();
+    const bindingKeys = new Set(bindings.map(b => current[b]).filter(Boolean));
+    const result = {};
+    if (includeUiSettings) {
+        for (const k of listLocalStorageKeys()) {
+            if (!DATA_KEY_RE.test(k)) result[k] = localStorage.getItem(k);
+        }
+    }
+    for (const entry of listDataEntries()) {
+        if (moduleSet.has(entry.module) && bindingKeys.has(entry.bindingKey)) {
+            result[entry.key] = cache.get(entry.key);
         }
     }
     return JSON.stringify(result, null, 2);
 }
 
 /**
- * 백업 JSON으로부터 모든 데이터를 복원한다
+ * 백업 데이터를 검사해 가져오기 미리보기를 만든다 (저장소는 변경하지 않는다)
  * @param {string} json - 백업 JSON 문자열
+ * @returns {{
+ *   entries: Array<{key: string, module: string, bindingKey: string, exists: boolean, valid: boolean, error: string|null, upgraded: boolean, data: *}>,
+ *   uiEntries: Array<{key: string, value: string}>,
+ * }}
  */
-export function importAllData(json) {
-    try {
-        const data = JSON.parse(json);
-        for (const [k, v] of Object.entries(data)) {
-            if (k.startsWith(PREFIX)) {
-                localStorage.setItem(k, v);
+export function previewImport(json) {
+    const parsed = JSON.parse(json);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('백업 파일 형식이 올바르지 않습니다.');
+    }
+    const entries = [];
+    const uiEntries = [];
+    for (const [k, v] of Object.entries(parsed)) {
+        if (!k.startsWith(PREFIX)) continue;
+        const match = k.match(DATA_KEY_RE);
+        if (!match) {
+            if (typeof v === 'string') uiEntries.push({ key: k, value: v });
+            continue;
+        }
+        const [, module, bindingKey] = match;
+        const entry = { key: k, module, bindingKey, exists: cache.has(k), valid: false, error: null, upgraded: false, data: null };
+        try {
+            if (typeof v !== 'string') throw new Error('값이 문자열이 아닙니다.');
+            const { data, upgraded } = runMigrations(module, k, decodeRaw(v));
+            const error = schemas.get(module)?.validate?.(data) || null;
+            Object.assign(entry, { valid: !error, error, upgraded, data });
+        } catch (e) {
+            entry.error = e.message || String(e);
+        }
+        entries.push(entry);
+    }
+    if (entries.length === 0 && uiEntries.length === 0) {
+        throw new Error('ST-LifeSim 데이터가 없는 파일입니다.');
+    }
+    return { entries, uiEntries };
+}
+
+/**
+ * 두 값을 병합한다
+ * - 배열: id가 같은 항목은 가져온 값으로 교체하고, 새 항목은 뒤에 붙인다 (id 없는 항목은 중복만 제외)
+ * - 객체: 키별로 재귀 병합한다
+ * - 그 외: 가져온 값을 쓴다
+ * @param {*} existing
+ * @param {*} incoming
+ * @returns {*}
+ */
+export function mergeValues(existing, incoming) {
+    if (Array.isArray(existing) && Array.isArray(incoming)) {
+        const result = [...existing];
+        const indexById = new Map();
+        result.forEach((item, i) => {
+            if (item && typeof item === 'object' && item.id !== undefined) indexById.set(item.id, i);
+        });
+        const seen = new Set(result.map(item => JSON.stringify(item)));
+        for (const item of incoming) {
+            if (item && typeof item === 'object' && item.id !== undefined) {
+                if (indexById.has(item.id)) {
+                    result[indexById.get(item.id)] = item;
+                } else {
+                    indexById.set(item.id, result.length);
+                    result.push(item);
+                }
+            } else if (!seen.has(JSON.stringify(item))) {
+                seen.add(JSON.stringify(item));
+                result.push(item);
             }
         }
-    } catch (e) {
-        console.error('[ST-LifeSim] 복원 오류:', e);
-        throw e;
+        return result;
     }
+    const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (isPlainObject(existing) && isPlainObject(incoming)) {
+        const result = { ...existing };
+        for (const [k, v] of Object.entries(incoming)) {
+            result[k] = k in existing ? mergeValues(existing[k], v) : v;
+        }
+        return result;
+    }
+    return incoming;
+}
+
+/**
+ * 미리보기 결과를 바탕으로 백업을 가져온다
+ * 형태 검사에 실패한 항목은 건너뛴다.
+ * @param {ReturnType<typeof previewImport>} preview
+ * @param {Object<string, 'replace'|'merge'|'skip'>} modes - 모듈별 가져오기 방식 (없으면 replace)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUiSettings=true] - 테마·사운드 프리셋 등 UI 설정 키를 함께 가져올지 여부
+ * @returns {Promise<{replaced: number, merged: number, skipped: number}>}
+ */
+export async function applyImport(preview, modes = {}, { includeUiSettings = true } = {}) {
+    if (!storageReady) await initStorage();
+    let replaced = 0;
+    let merged = 0;
+    let skipped = 0;
+    for (const entry of preview.entries) {
+        const mode = modes[entry.module] || 'replace';
+        if (!entry.valid || mode === 'skip') {
+            skipped++;
+            continue;
+        }
+        let data = entry.data;
+        if (mode === 'merge' && cache.has(entry.key)) {
+            try {
+                const { data: existing } = runMigrations(entry.module, entry.key, decodeRaw(cache.get(entry.key)));
+                const merge = schemas.get(entry.module)?.merge || mergeValues;
+                data = merge(existing, data);
+                merged++;
+            } catch (e) {
+                console.warn(`[ST-LifeSim] ${entry.key} 병합 실패, 건너뜁니다:`, e);
+                skipped++;
+                continue;
+            }
+        } else {
+            replaced++;
+        }
+        const raw = encodeRaw(entry.module, data);
+        cache.set(entry.key, raw);
+        await persist(entry.key, raw);
+    }
+    if (includeUiSettings) {
+        preview.uiEntries.forEach(({ key, value }) => localStorage.setItem(key, value));
+    }
+    return { replaced, merged, skipped };
 }
 
 /**
  * ST-LifeSim 저장소 데이터를 모두 삭제한다
+ * @returns {Promise<void>}
  */
-export function clearAllData() {
-    const keys = [];
-    for (let i = 0; i < localStorage.length; i++) {
-        const k = localStorage.key(i);
-        if (k && k.startsWith(PREFIX)) keys.push(k);
+export async function clearAllData() {
+    listLocalStorageKeys().forEach(k => localStorage.removeItem(k));
+    cache.clear();
+    if (!db) return;
+    try {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        tx.objectStore(STORE_NAME).clear();
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    } catch (e) {
+        console.error('[ST-LifeSim] 초기화 오류:', e);
+    }
+}
+
+/**
+ * 문자열의 UTF-8 바이트 크기를 계산한다
+ * @param {string} str
+ * @returns {number}
+ */
+function byteSize(str) {
+    return new TextEncoder().encode(String(str ?? '')).length;
+}
+
+/**
+ * 저장소 사용량을 모듈별/바인딩별로 집계한다
+ * @returns {Promise<{
+ *   backend: 'indexeddb'|'localStorage',
+ *   total: number,
+ *   byModule: Object<string, number>,
+ *   byBinding: Object<string, number>,
+ *   usage: number|null,
+ *   quota: number|null,
+ * }>}
+ */
+export async function getStorageUsage() {
+    if (!storageReady) await initStorage();
+    const byModule = {};
+    const byBinding = {};
+    let total = 0;
+    for (const [k, v] of cache.entries()) {
+        const match = k.match(DATA_KEY_RE);
+        if (!match) continue;
+        const size = byteSize(k) + byteSize(v);
+        const [, module, bindingKey] = match;
+        byModule[module] = (byModule[module] || 0) + size;
+        byBinding[bindingKey] = (byBinding[bindingKey] || 0) + size;
+        total += size;
     }
-    keys.forEach(k => localStorage.removeItem(k));
+    let usage = null;
+    let quota = null;
+    try {
+        if (typeof navigator !== 'undefined' && typeof navigator.storage?.estimate === 'function') {
+            const estimate = await navigator.storage.estimate();
+            usage = Number.isFinite(estimate?.usage) ? estimate.usage : null;
+            quota = Number.isFinite(estimate?.quota) ? estimate.quota : null;
+        }
+    } catch { /* estimate not supported */ }
+    return {
+        backend: db ? 'indexeddb' : 'localStorage',
+        total,
+        byModule,
+        byBinding,
+        usage,
+        quota,
+    };
 }
@@ -0,0 +1,176 @@
+/**
+ * vcard.js
+ * vCard(.vcf) 파일을 읽고 쓰는 함수 모음
+ * - 읽기: 2.1/3.0/4.0 (줄 접기, 백슬래시 이스케이프, QUOTED-PRINTABLE, base64 사진)
+ * - 쓰기: 4.0 (75바이트 줄 접기, CRLF)
+ */
+
+/**
+ * @typedef {Object} VCardProperty
+ * @property {string} name - 대문자 속성 이름 (그룹 접두사 제외, 예: 'TEL')
+ * @property {Object<string, string>} params - 대문자 파라미터 이름 → 값
+ * @property {string} value - 이스케이프를 풀지 않은 원본 값
+ */
+
+/**
+ * vCard 텍스트 값의 이스케이프를 푼다
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeVCardText(value) {
+    return String(value || '').replace(/\\([\\,;nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/**
+ * vCard 텍스트 값을 이스케이프한다
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeVCardText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 쉼표로 구분된 목록 값을 나눈다 (이스케이프된 쉼표는 나누지 않음)
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitVCardList(value) {
+    return String(value || '')
+        .split(/(?<!\\),/)
+        .map(item => unescapeVCardText(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * QUOTED-PRINTABLE 값을 UTF-8 문자열로 푼다 (2.1 형식 대응)
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeQuotedPrintable(value) {
+    const bytes = [];
+    const text = String(value || '').replace(/=\r?\n/g, '');
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+            bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+            i += 2;
+        } else {
+            bytes.push(...new TextEncoder().encode(text[i]));
+        }
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+}
+
+/**
+ * 속성 한 줄을 이름·파라미터·값으로 나눈다
+ * @param {string} line
+ * @returns {VCardProperty|null}
+ */
+function parsePropertyLine(line) {
+    // 따옴표로 감싼 파라미터 값 안의 콜론은 건너뛴다
+    let colon = -1;
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) { colon = i; break; }
+    }
+    if (colon === -1) return null;
+    const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+    const name = rawName.replace(/^.*\./, '').toUpperCase();
+    const params = {};
+    rawParams.forEach(param => {
+        const eq = param.indexOf('=');
+        // 2.1 형식은 'TEL;CELL:...'처럼 TYPE= 없이 값만 쓰기도 한다
+        const key = eq === -1 ? 'TYPE' : param.slice(0, eq).toUpperCase();
+        const val = (eq === -1 ? param : param.slice(eq + 1)).replace(/^"|"$/g, '');
+        params[key] = params[key] ? `${params[key]},${val}` : val;
+    });
+    let value = line.slice(colon + 1);
+    if (String(params.ENCODING || '').toUpperCase() === 'QUOTED-PRINTABLE') {
+        value = decodeQuotedPrintable(value);
+    }
+    return { name, params, value };
+}
+
+/**
+ * .vcf 텍스트를 카드별 속성 목록으로 읽는다
+ * @param {string} text
+ * @returns {VCardProperty[][]}
+ */
+export function parseVCards(text) {
+    const rawLines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const lines = [];
+    rawLines.forEach(line => {
+        const prev = lines[lines.length - 1];
+        if (/^[ \t]/.test(line) && lines.length > 0) {
+            // 줄 접기: 앞의 공백 한 칸을 빼고 이전 줄에 잇는다
+            lines[lines.length - 1] = prev + line.slice(1);
+        } else if (prev !== undefined && /ENCODING=QUOTED-PRINTABLE/i.test(prev) && prev.endsWith('=')) {
+            // QUOTED-PRINTABLE 소프트 줄바꿈
+            lines[lines.length - 1] = prev.slice(0, -1) + line;
+        } else {
+            lines.push(line);
+        }
+    });
+
+    const cards = [];
+    let current = null;
+    lines.forEach(line => {
+        if (/^BEGIN:VCARD$/i.test(line.trim())) {
+            current = [];
+        } else if (/^END:VCARD$/i.test(line.trim())) {
+            if (current) cards.push(current);
+            current = null;
+        } else if (current && line.trim()) {
+            const prop = parsePropertyLine(line);
+            if (prop) current.push(prop);
+        }
+    });
+    return cards;
+}
+
+/**
+ * 한 줄을 75바이트 단위로 접는다 (UTF-8 문자를 자르지 않음)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    let size = 0;
+    for (const ch of line) {
+        const chSize = encoder.encode(ch).length;
+        // 이어지는 줄은 앞에 공백 한 칸이 붙으므로 74바이트까지만 담는다
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + chSize > limit) {
+            parts.push(part);
+            part = '';
+            size = 0;
+        }
+        part += ch;
+        size += chSize;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/**
+ * 속성 목록으로 vCard 4.0 한 장을 만든다
+ * 값은 이미 이스케이프된 문자열이어야 하며, 빈 값인 속성은 빠진다.
+ * @param {Array<[string, string]>} properties - [속성 이름(파라미터 포함), 값]
+ * @returns {string}
+ */
+export function buildVCard(properties) {
+    const lines = ['BEGIN:VCARD', 'VERSION:4.0'];
+    properties.forEach(([name, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        lines.push(foldLine(`${name}:${value}`));
+    });
+    lines.push('END:VCARD');
+    return `${lines.join('\r\n')}\r\n`;
+}